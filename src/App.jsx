@@ -6,46 +6,135 @@
  * transcription workflow and sheet music visualization
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import BackendStatus from './components/BackendStatus';
 import FileUploader from './components/FileUploader';
 import SheetMusicViewer from './components/SheetMusicViewer';
+import TranscriptionQueue from './components/TranscriptionQueue';
+import HistorySidebar from './components/HistorySidebar';
 import { transcribeAudio, getErrorMessage, downloadMidiFile } from './services/apiService';
 import { parseMidiBlob, getMidiSummary } from './services/midiProcessor';
+import { exportMidiBlob } from './services/midiEditor';
+import { createCleanedScoreDocument, getCurrentMidiData, isModified, undo, redo } from './services/scoreDocument';
+import { createTranscriptionQueue } from './services/transcriptionQueue';
+import { createTranscriptionHistory, getHistoryFilename } from './services/transcriptionHistory';
+
+/**
+ * Check whether a keyboard event belongs to a text field, which keeps its own undo
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} Whether the event was typed into a text field
+ */
+const isTextEntry = (event) => (
+  event.target.isContentEditable
+  || event.target.tagName === 'TEXTAREA'
+  || (event.target.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(event.target.type))
+);
 
 function App() {
   // Application state
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [midiData, setMidiData] = useState(null);
+  const [scoreDocument, setScoreDocument] = useState(null); // The transcription with its edit history
   const [midiSummary, setMidiSummary] = useState(null);
   const [midiBlob, setMidiBlob] = useState(null);
   const [midiFilename, setMidiFilename] = useState('');
   const [error, setError] = useState('');
   const [currentFile, setCurrentFile] = useState(null);
+  const [sourceName, setSourceName] = useState(''); // Name of the audio shown, which may not have been kept
+  const [uploadProgress, setUploadProgress] = useState(null); // { phase, loaded, total } of the running transcription
+  const [transcriptionSettings, setTranscriptionSettings] = useState({}); // Options changed from the backend's defaults
+  const transcriptionRef = useRef(null); // AbortController of the running transcription
+  const [queue] = useState(() => createTranscriptionQueue()); // Batch transcriptions of several files
+  const [history] = useState(() => createTranscriptionHistory()); // Transcriptions saved in the browser
+  const [historyId, setHistoryId] = useState(null); // History entry shown in the viewer
+
+  useEffect(() => () => queue.dispose(), [queue]);
+
+  useEffect(() => {
+    history.load();
+    return () => history.dispose();
+  }, [history]);
+
+  // Save batch results to the history as they finish
+  useEffect(() => {
+    if (!history.getState().isAvailable) {
+      return undefined;
+    }
+    const savedIds = new Set();
+    return queue.subscribe(({ items }) => {
+      items.filter(item => item.status === 'done' && !savedIds.has(item.id)).forEach(async (item) => {
+        savedIds.add(item.id);
+        let summary = null;
+        try {
+          summary = getMidiSummary(await parseMidiBlob(item.midiFile));
+        } catch {
+          // Files the viewer cannot read are still saved, without a summary
+        }
+        history.add({
+          sourceName: item.file.name,
+          midiFile: item.midiFile,
+          filename: item.filename,
+          summary,
+          settings: item.settings,
+          audioFile: item.file
+        });
+      });
+    });
+  }, [queue, history]);
+
+  // Show a finished transcription in the viewer; the audio file is optional
+  const showTranscription = async (file, midiFile, filename, name = file.name) => {
+    setCurrentFile(file);
+    setSourceName(name);
+    // Store the MIDI blob for download
+    setMidiBlob(midiFile);
+    setMidiFilename(filename);
+
+    // Parse MIDI data for sheet music rendering
+    const parsedMidi = await parseMidiBlob(midiFile);
+    const summary = getMidiSummary(parsedMidi);
+
+    setMidiData(parsedMidi);
+    // Ghost notes and fragments are cleaned up from the start; undo brings them back
+    setScoreDocument(createCleanedScoreDocument(parsedMidi));
+    setMidiSummary(summary);
+    return summary;
+  };
 
   // Handle file upload and transcription
   const handleFileUpload = async (file) => {
+    const controller = new AbortController();
+    transcriptionRef.current = controller;
     setIsTranscribing(true);
+    setUploadProgress(null);
     setError('');
     setCurrentFile(file);
+    setHistoryId(null);
     setMidiData(null);
+    setScoreDocument(null);
     setMidiSummary(null);
 
     try {
       // Send file to backend for transcription
-      const result = await transcribeAudio(file);
+      const result = await transcribeAudio(file, {
+        signal: controller.signal,
+        onProgress: setUploadProgress,
+        settings: transcriptionSettings
+      });
 
       if (result.success) {
-        // Store the MIDI blob for download
-        setMidiBlob(result.midiFile);
-        setMidiFilename(result.filename);
-
-        // Parse MIDI data for sheet music rendering
-        const parsedMidi = await parseMidiBlob(result.midiFile);
-        const summary = getMidiSummary(parsedMidi);
-
-        setMidiData(parsedMidi);
-        setMidiSummary(summary);
+        const summary = await showTranscription(file, result.midiFile, result.filename);
+        const entry = await history.add({
+          sourceName: file.name,
+          midiFile: result.midiFile,
+          filename: result.filename,
+          summary,
+          settings: transcriptionSettings,
+          audioFile: file
+        });
+        setHistoryId(entry?.id ?? null);
+      } else if (result.cancelled) {
+        setCurrentFile(null);
       } else {
         const errorMessage = getErrorMessage(result.error);
         setError(errorMessage);
@@ -54,13 +143,72 @@ function App() {
       const errorMessage = getErrorMessage(err.message);
       setError(errorMessage);
     } finally {
+      transcriptionRef.current = null;
       setIsTranscribing(false);
+      setUploadProgress(null);
     }
   };
 
-  // Handle MIDI file download
+  // Queue several files, transcribed with the current options
+  const handleFilesUpload = (files) => {
+    queue.add(files, transcriptionSettings);
+  };
+
+  // Open a finished batch item in the viewer
+  const handleOpenQueueItem = async (item) => {
+    setError('');
+    try {
+      await showTranscription(item.file, item.midiFile, item.filename);
+      setHistoryId(null);
+    } catch (err) {
+      setError(getErrorMessage(err.message));
+    }
+  };
+
+  // Open a transcription saved in an earlier session
+  const handleOpenHistoryEntry = async (entry) => {
+    setError('');
+    try {
+      await showTranscription(entry.audioFile, entry.midiFile, getHistoryFilename(entry), entry.name);
+      setHistoryId(entry.id);
+    } catch (err) {
+      setError(getErrorMessage(err.message));
+    }
+  };
+
+  // Stop the running transcription, whether it is still uploading or already on the backend
+  const handleCancelTranscription = () => {
+    transcriptionRef.current?.abort();
+  };
+
+  // Undo with Ctrl+Z, redo with Ctrl+Shift+Z (or Ctrl+Y), Cmd instead of Ctrl on a Mac
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextEntry(event)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        setScoreDocument(current => current && undo(current));
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        setScoreDocument(current => current && redo(current));
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Handle MIDI file download; cleaned or edited notes are written to a new file,
+  // named as edited only once the user has changed something
   const handleDownload = () => {
-    if (midiBlob && midiFilename) {
+    if (scoreDocument && getCurrentMidiData(scoreDocument) !== scoreDocument.original) {
+      const baseName = midiFilename || 'transcription.mid';
+      const filename = isModified(scoreDocument) ? baseName.replace(/(\.midi?)?$/i, '_edited.mid') : baseName;
+      downloadMidiFile(exportMidiBlob(getCurrentMidiData(scoreDocument)), filename);
+    } else if (midiBlob && midiFilename) {
       downloadMidiFile(midiBlob, midiFilename);
     }
   };
@@ -68,11 +216,14 @@ function App() {
   // Reset application state
   const handleReset = () => {
     setMidiData(null);
+    setScoreDocument(null);
     setMidiSummary(null);
     setMidiBlob(null);
     setMidiFilename('');
     setError('');
     setCurrentFile(null);
+    setSourceName('');
+    setHistoryId(null);
   };
 
   return (
@@ -100,8 +251,8 @@ function App() {
       </header>
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="space-y-8">
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 lg:flex lg:items-start lg:gap-8">
+        <div className="space-y-8 lg:flex-1 lg:min-w-0">
           {/* Error Display */}
           {error && (
             <div className="bg-red-50 border border-red-200 rounded-lg p-4">
@@ -137,7 +288,7 @@ function App() {
                     Transcription Successful!
                   </h3>
                   <p className="mt-1 text-sm text-green-700">
-                    Successfully converted "{currentFile?.name}" to MIDI. 
+                    Successfully converted "{sourceName}" to MIDI. 
                     View the sheet music below and download the MIDI file.
                   </p>
                   <div className="mt-3 flex flex-wrap gap-2">
@@ -163,15 +314,34 @@ function App() {
           <FileUploader
             onFileUpload={handleFileUpload}
             isTranscribing={isTranscribing}
+            progress={uploadProgress}
+            onCancel={handleCancelTranscription}
+            settings={transcriptionSettings}
+            onSettingsChange={setTranscriptionSettings}
+            onFilesUpload={handleFilesUpload}
           />
 
+          {/* Batch Queue Section */}
+          <TranscriptionQueue queue={queue} onOpen={handleOpenQueueItem} />
+
           {/* Sheet Music Viewer Section */}
           <SheetMusicViewer
             midiData={midiData}
             midiSummary={midiSummary}
             onDownload={handleDownload}
+            audioFile={currentFile}
+            filename={midiFilename}
+            scoreDocument={scoreDocument}
+            onDocumentChange={setScoreDocument}
           />
         </div>
+
+        {/* History Sidebar */}
+        {history.getState().isAvailable && (
+          <div className="mt-8 lg:mt-0 lg:w-80 lg:flex-shrink-0 lg:sticky lg:top-8">
+            <HistorySidebar history={history} onOpen={handleOpenHistoryEntry} activeId={historyId} />
+          </div>
+        )}
       </main>
 
       {/* Footer */}
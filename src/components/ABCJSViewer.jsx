@@ -9,17 +9,48 @@
 import { useEffect, useRef } from 'react';
 import abcjs from 'abcjs';
 
-const ABCJSViewer = ({ abcNotation }) => {
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Find the timing event sounding at a point in time
+ * @param {Array} events - Note timing events from abcjs TimingCallbacks
+ * @param {number} milliseconds - Position in milliseconds
+ * @returns {Object|undefined} The last event starting at or before the position
+ */
+const findTimingEvent = (events, milliseconds) => {
+  let found;
+  for (const event of events) {
+    if (event.milliseconds > milliseconds + 1) {
+      break;
+    }
+    // Events without a position only continue a tied note
+    if (event.left !== null) {
+      found = event;
+    }
+  }
+  return found;
+};
+
+const ABCJSViewer = ({ abcNotation, cursorBeat = null, onSeek }) => {
   const containerRef = useRef(null);
+  const timingRef = useRef(null); // Note timings of the rendered tune
+  const cursorRef = useRef({ line: null, notes: [], row: null });
+  const onSeekRef = useRef(onSeek);
+
+  useEffect(() => {
+    onSeekRef.current = onSeek;
+  }, [onSeek]);
 
   useEffect(() => {
     if (abcNotation && containerRef.current) {
       try {
         // Clear previous content
         containerRef.current.innerHTML = '';
+        timingRef.current = null;
+        cursorRef.current = { line: null, notes: [], row: null };
 
         // Render ABC notation using ABCJS
-        abcjs.renderAbc(containerRef.current, abcNotation, {
+        const [visualObj] = abcjs.renderAbc(containerRef.current, abcNotation, {
           responsive: 'resize',
           scale: 1.0,
           staffwidth: 740,
@@ -40,8 +71,27 @@ const ABCJSViewer = ({ abcNotation }) => {
             footerfont: 'Times 12',
             headerfont: 'Times 12',
             measurenumberfont: 'Times 10'
+          },
+          // Clicking a note seeks playback to it
+          clickListener: (abcElem) => {
+            const event = timingRef.current?.events.find(timing => timing.startCharArray.includes(abcElem.startChar));
+            if (event && onSeekRef.current) {
+              onSeekRef.current(event.milliseconds / timingRef.current.millisecondsPerBeat);
+            }
           }
-        });
+        }) || [];
+
+        if (visualObj && abcjs.TimingCallbacks) {
+          // TimingCallbacks works out when every note of the tune sounds; the
+          // player's clock then picks the current one, so the cursor follows
+          // tempo changes and speed scaling
+          const timingCallbacks = new abcjs.TimingCallbacks(visualObj, {});
+          const { num, den } = visualObj.getMeterFraction();
+          timingRef.current = {
+            events: timingCallbacks.noteTimings.filter(timing => timing.type === 'event'),
+            millisecondsPerBeat: visualObj.millisecondsPerMeasure() / (num * 4 / den)
+          };
+        }
       } catch (error) {
         console.error('ABCJS rendering error:', error);
         containerRef.current.innerHTML = `
@@ -54,6 +104,45 @@ const ABCJSViewer = ({ abcNotation }) => {
     }
   }, [abcNotation]);
 
+  // Move the cursor to the note sounding at the playback position
+  useEffect(() => {
+    const cursor = cursorRef.current;
+    cursor.notes.forEach(element => element.classList.remove('playback-note'));
+    cursor.notes = [];
+
+    const timing = timingRef.current;
+    const svg = containerRef.current?.querySelector('svg');
+    const event = timing && cursorBeat !== null
+      ? findTimingEvent(timing.events, cursorBeat * timing.millisecondsPerBeat)
+      : null;
+
+    if (!event || !svg) {
+      cursor.line?.setAttribute('visibility', 'hidden');
+      return;
+    }
+
+    cursor.notes = event.elements.flat().filter(Boolean);
+    cursor.notes.forEach(element => element.classList.add('playback-note'));
+
+    if (!cursor.line) {
+      cursor.line = document.createElementNS(SVG_NAMESPACE, 'line');
+      cursor.line.setAttribute('class', 'playback-cursor');
+      svg.appendChild(cursor.line);
+    }
+    const x = event.left - 2;
+    cursor.line.setAttribute('x1', x);
+    cursor.line.setAttribute('x2', x);
+    cursor.line.setAttribute('y1', event.top);
+    cursor.line.setAttribute('y2', event.top + event.height);
+    cursor.line.setAttribute('visibility', 'visible');
+
+    // Keep the current line of music in view
+    if (event.top !== cursor.row) {
+      cursor.row = event.top;
+      cursor.line.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [cursorBeat, abcNotation]);
+
   if (!abcNotation) {
     return (
       <div className="abcjs-container">
@@ -0,0 +1,368 @@
+/**
+ * Audio Analysis View Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component draws the uploaded recording as a waveform and a semitone
+ * spectrogram, with the transcribed notes outlined on the same time and pitch
+ * axes so missed or hallucinated notes stand out
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  computeWaveformPeaks,
+  computeSpectrogram,
+  SPECTROGRAM_MIN_MIDI,
+  SPECTROGRAM_MAX_MIDI
+} from '../services/audioAnalysis';
+import { getNoteMidi } from '../services/midiProcessor';
+
+// Horizontal zoom steps, in pixels per second
+const ZOOM_LEVELS = [25, 50, 100, 200, 400];
+const DEFAULT_ZOOM_INDEX = 2;
+
+// Waveform slices per second, enough for one per pixel at the closest zoom
+const PEAKS_PER_SECOND = ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+
+// Canvas width used until the container has been measured
+const DEFAULT_WIDTH = 800;
+
+// Heights of the waveform and of one pitch row, and the gap between them
+const WAVEFORM_HEIGHT = 80;
+const ROW_HEIGHT = 5;
+const SECTION_GAP = 8;
+
+// Pitches shown beyond the highest and lowest notes
+const PITCH_PADDING = 5;
+
+// Outline color of each track's notes
+const TRACK_COLORS = ['#22d3ee', '#a3e635', '#f472b6', '#facc15', '#818cf8', '#fb923c'];
+
+// Spectrogram color ramp from silent to loudest, as [value, [r, g, b]]
+const HEAT_STOPS = [
+  [0, [15, 23, 42]],
+  [0.4, [88, 28, 135]],
+  [0.7, [234, 88, 12]],
+  [1, [253, 224, 71]]
+];
+
+/**
+ * Map a loudness from 0 to 1 onto the spectrogram color ramp
+ * @param {number} value - Loudness from 0 to 1
+ * @returns {number[]} RGB color
+ */
+const getHeatColor = (value) => {
+  const upper = HEAT_STOPS.findIndex(([stop]) => stop >= value);
+  if (upper <= 0) {
+    return HEAT_STOPS[0][1];
+  }
+  const [fromStop, fromColor] = HEAT_STOPS[upper - 1];
+  const [toStop, toColor] = HEAT_STOPS[upper];
+  const fraction = (value - fromStop) / (toStop - fromStop);
+  return fromColor.map((channel, index) => Math.round(channel + (toColor[index] - channel) * fraction));
+};
+
+/**
+ * Paint a spectrogram into an offscreen canvas, one pixel per frame and pitch
+ * with the highest pitch on top, so it can be scaled onto the view
+ * @param {Object} spectrogram - Spectrogram from computeSpectrogram
+ * @returns {HTMLCanvasElement|null} Canvas, or null when canvas drawing is unavailable
+ */
+const createSpectrogramImage = (spectrogram) => {
+  const { values, frameCount, minMidi, maxMidi } = spectrogram;
+  const pitchCount = maxMidi - minMidi + 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, frameCount);
+  canvas.height = pitchCount;
+  const context = canvas.getContext('2d');
+  if (!context || frameCount === 0) {
+    return null;
+  }
+
+  const image = context.createImageData(frameCount, pitchCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let row = 0; row < pitchCount; row++) {
+      const [red, green, blue] = getHeatColor(values[frame * pitchCount + row]);
+      const offset = ((pitchCount - 1 - row) * frameCount + frame) * 4;
+      image.data[offset] = red;
+      image.data[offset + 1] = green;
+      image.data[offset + 2] = blue;
+      image.data[offset + 3] = 255;
+    }
+  }
+  context.putImageData(image, 0, 0);
+  return canvas;
+};
+
+const AudioAnalysisView = ({ audioBuffer, midiData, currentTime = 0, isPlaying = false, showCursor = false, onSeek }) => {
+  const scrollRef = useRef(null);
+  const canvasRef = useRef(null);
+  const pendingCenterRef = useRef(null); // Time to center on after zooming
+  const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState('');
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX);
+  const [scrollLeft, setScrollLeft] = useState(0);
+  const [viewportWidth, setViewportWidth] = useState(DEFAULT_WIDTH);
+
+  const pixelsPerSecond = ZOOM_LEVELS[zoomIndex];
+
+  // Every note with its track, and the pitches worth showing
+  const notes = useMemo(() => (
+    (midiData?.tracks || []).flatMap((track, trackIndex) => track.notes.map(note => ({
+      midi: getNoteMidi(note),
+      time: note.time || 0,
+      duration: note.duration || 0,
+      trackIndex
+    }))).filter(note => Number.isFinite(note.midi))
+  ), [midiData]);
+
+  const [minMidi, maxMidi] = useMemo(() => {
+    if (notes.length === 0) {
+      return [48, 84];
+    }
+    const lowest = notes.reduce((min, note) => Math.min(min, note.midi), Infinity);
+    const highest = notes.reduce((max, note) => Math.max(max, note.midi), -Infinity);
+    return [
+      Math.max(SPECTROGRAM_MIN_MIDI, lowest - PITCH_PADDING),
+      Math.min(SPECTROGRAM_MAX_MIDI, highest + PITCH_PADDING)
+    ];
+  }, [notes]);
+
+  const duration = notes.reduce(
+    (end, note) => Math.max(end, note.time + note.duration),
+    Math.max(audioBuffer?.duration || 0, midiData?.duration || 0)
+  );
+  const totalWidth = Math.max(viewportWidth, Math.ceil(duration * pixelsPerSecond));
+  const rollTop = WAVEFORM_HEIGHT + SECTION_GAP;
+  const height = rollTop + (maxMidi - minMidi + 1) * ROW_HEIGHT;
+
+  // Analyze off the render so the view can show its progress first
+  useEffect(() => {
+    setAnalysis(null);
+    setError('');
+    if (!audioBuffer) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      try {
+        const spectrogram = computeSpectrogram(audioBuffer);
+        setAnalysis({
+          peaks: computeWaveformPeaks(audioBuffer, PEAKS_PER_SECOND),
+          spectrogram,
+          image: createSpectrogramImage(spectrogram)
+        });
+      } catch (err) {
+        console.error('Audio analysis error:', err);
+        setError('The recording could not be analyzed.');
+      }
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [audioBuffer]);
+
+  // Follow the width of the container so the canvas fills it
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(([entry]) => {
+      setViewportWidth(Math.floor(entry.contentRect.width) || DEFAULT_WIDTH);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [analysis]);
+
+  // Keep the same moment in the middle of the view when zooming
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (container && pendingCenterRef.current !== null) {
+      container.scrollLeft = Math.max(0, pendingCenterRef.current * pixelsPerSecond - viewportWidth / 2);
+      setScrollLeft(container.scrollLeft);
+      pendingCenterRef.current = null;
+    }
+  }, [pixelsPerSecond, viewportWidth]);
+
+  // Page along with the playback cursor when it leaves the view
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || !isPlaying) {
+      return;
+    }
+    const x = currentTime * pixelsPerSecond;
+    if (x < container.scrollLeft || x > container.scrollLeft + viewportWidth - 20) {
+      container.scrollLeft = Math.max(0, x - viewportWidth * 0.1);
+      setScrollLeft(container.scrollLeft);
+    }
+  }, [currentTime, isPlaying, pixelsPerSecond, viewportWidth]);
+
+  // Only the visible stretch is drawn; the canvas stays put while the content scrolls under it
+  useEffect(() => {
+    const context = canvasRef.current?.getContext('2d');
+    if (!analysis || !context) {
+      return;
+    }
+
+    const { peaks, spectrogram, image } = analysis;
+    const startTime = scrollLeft / pixelsPerSecond;
+    const endTime = startTime + viewportWidth / pixelsPerSecond;
+    context.clearRect(0, 0, viewportWidth, height);
+
+    // Waveform, one column of peaks per pixel
+    const middle = WAVEFORM_HEIGHT / 2;
+    context.fillStyle = '#64748b';
+    for (let x = 0; x < viewportWidth; x++) {
+      const from = Math.floor((startTime + x / pixelsPerSecond) / peaks.peakDuration);
+      const to = Math.max(from + 1, Math.floor((startTime + (x + 1) / pixelsPerSecond) / peaks.peakDuration));
+      let low = 0;
+      let high = 0;
+      for (let peak = from; peak < Math.min(to, peaks.min.length); peak++) {
+        low = Math.min(low, peaks.min[peak]);
+        high = Math.max(high, peaks.max[peak]);
+      }
+      context.fillRect(x, middle - high * middle, 1, Math.max(1, (high - low) * middle));
+    }
+
+    // Second markers along the waveform
+    const tickInterval = pixelsPerSecond >= 50 ? 1 : 5;
+    context.fillStyle = '#94a3b8';
+    context.font = '10px sans-serif';
+    for (let second = Math.ceil(startTime / tickInterval) * tickInterval; second <= endTime; second += tickInterval) {
+      const x = (second - startTime) * pixelsPerSecond;
+      context.fillRect(x, 0, 1, 6);
+      context.fillText(`${second}s`, x + 2, 10);
+    }
+
+    // Spectrogram rows for the shown pitches
+    const pitchCount = maxMidi - minMidi + 1;
+    context.fillStyle = '#0f172a';
+    context.fillRect(0, rollTop, viewportWidth, pitchCount * ROW_HEIGHT);
+    if (image) {
+      context.imageSmoothingEnabled = false;
+      context.drawImage(
+        image,
+        startTime / spectrogram.frameDuration + 0.5,
+        spectrogram.maxMidi - maxMidi,
+        viewportWidth / pixelsPerSecond / spectrogram.frameDuration,
+        pitchCount,
+        0,
+        rollTop,
+        viewportWidth,
+        pitchCount * ROW_HEIGHT
+      );
+    }
+
+    // Octave lines at every C
+    context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    for (let midi = minMidi; midi <= maxMidi; midi++) {
+      if (midi % 12 === 0) {
+        const y = rollTop + (maxMidi - midi + 1) * ROW_HEIGHT;
+        context.fillRect(0, y, viewportWidth, 1);
+        context.fillText(`C${midi / 12 - 1}`, 2, y - 2);
+      }
+    }
+
+    // Transcribed notes, outlined on top of the spectrogram
+    notes.forEach(note => {
+      if (note.time + note.duration < startTime || note.time > endTime || note.midi < minMidi || note.midi > maxMidi) {
+        return;
+      }
+      const color = TRACK_COLORS[note.trackIndex % TRACK_COLORS.length];
+      const x = (note.time - startTime) * pixelsPerSecond;
+      const y = rollTop + (maxMidi - note.midi) * ROW_HEIGHT;
+      const width = Math.max(2, note.duration * pixelsPerSecond);
+      context.globalAlpha = 0.25;
+      context.fillStyle = color;
+      context.fillRect(x, y, width, ROW_HEIGHT);
+      context.globalAlpha = 1;
+      context.strokeStyle = color;
+      context.strokeRect(x + 0.5, y + 0.5, width - 1, ROW_HEIGHT - 1);
+    });
+  }, [analysis, notes, scrollLeft, pixelsPerSecond, viewportWidth, height, rollTop, minMidi, maxMidi]);
+
+  const zoom = (step) => {
+    const container = scrollRef.current;
+    if (container) {
+      pendingCenterRef.current = (container.scrollLeft + viewportWidth / 2) / pixelsPerSecond;
+    }
+    setZoomIndex(Math.min(ZOOM_LEVELS.length - 1, Math.max(0, zoomIndex + step)));
+  };
+
+  const handleClick = (event) => {
+    if (!onSeek) {
+      return;
+    }
+    const bounds = event.currentTarget.getBoundingClientRect();
+    onSeek(Math.min(duration, (scrollLeft + event.clientX - bounds.left) / pixelsPerSecond));
+  };
+
+  if (!audioBuffer) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-gray-800">🔬 Audio Analysis</h3>
+        <div className="flex items-center gap-2 text-sm text-gray-700">
+          <button
+            onClick={() => zoom(-1)}
+            disabled={zoomIndex === 0}
+            aria-label="Zoom out"
+            className="btn-secondary px-3 py-1 disabled:opacity-50"
+          >
+            −
+          </button>
+          <span className="tabular-nums">{pixelsPerSecond} px/s</span>
+          <button
+            onClick={() => zoom(1)}
+            disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+            aria-label="Zoom in"
+            className="btn-secondary px-3 py-1 disabled:opacity-50"
+          >
+            +
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-sm text-red-600">{error}</div>
+      ) : !analysis ? (
+        <div className="flex items-center text-sm text-gray-600">
+          <div className="loading-spinner mr-2"></div>
+          Analyzing audio...
+        </div>
+      ) : (
+        <div
+          ref={scrollRef}
+          onScroll={(event) => setScrollLeft(event.currentTarget.scrollLeft)}
+          className="overflow-x-auto border border-gray-200 rounded bg-white"
+        >
+          <div className="relative" style={{ width: totalWidth, height }}>
+            <canvas
+              ref={canvasRef}
+              width={viewportWidth}
+              height={height}
+              onClick={handleClick}
+              className="sticky left-0 block cursor-pointer"
+            />
+            {showCursor && (
+              <div
+                className="playback-cursor-bar absolute top-0 pointer-events-none"
+                style={{ left: currentTime * pixelsPerSecond, height }}
+              />
+            )}
+          </div>
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        Waveform on top; below it the recording&apos;s spectrogram, one row per semitone, with the
+        transcribed notes outlined on their pitch. An outline over a dark row was probably
+        hallucinated, and a bright streak without an outline was probably missed.
+      </p>
+    </div>
+  );
+};
+
+export default AudioAnalysisView;
@@ -0,0 +1,143 @@
+/**
+ * Cleanup Panel Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component configures the transcription cleanup filters, previews how
+ * many notes each of them would remove and applies them to the score. New
+ * transcriptions already have the default filters applied (see
+ * createCleanedScoreDocument)
+ */
+
+import { useState, useMemo } from 'react';
+import { cleanupMidiData, DEFAULT_CLEANUP_OPTIONS } from '../services/midiProcessor';
+
+/**
+ * Format a number of removed notes for the preview
+ * @param {number} count - Notes removed
+ * @returns {string} e.g. '−3 notes'
+ */
+const formatRemoved = (count) => `−${count} note${count === 1 ? '' : 's'}`;
+
+const CleanupPanel = ({ midiData, onCommand }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  // Settings in the units shown: milliseconds and MIDI velocity (1-127)
+  const [minDurationMs, setMinDurationMs] = useState(Math.round(DEFAULT_CLEANUP_OPTIONS.minDuration * 1000));
+  const [minVelocity, setMinVelocity] = useState(Math.round(DEFAULT_CLEANUP_OPTIONS.minVelocity * 127));
+  const [mergeGapMs, setMergeGapMs] = useState(Math.round(DEFAULT_CLEANUP_OPTIONS.mergeGap * 1000));
+  const [removeOctaveDuplicates, setRemoveOctaveDuplicates] = useState(DEFAULT_CLEANUP_OPTIONS.removeOctaveDuplicates);
+
+  const options = useMemo(() => ({
+    minDuration: Math.max(0, Number(minDurationMs) || 0) / 1000,
+    minVelocity: Math.max(0, Number(minVelocity) || 0) / 127,
+    mergeGap: Math.max(0, Number(mergeGapMs) || 0) / 1000,
+    removeOctaveDuplicates
+  }), [minDurationMs, minVelocity, mergeGapMs, removeOctaveDuplicates]);
+
+  // Preview on the current score, so filters can be tuned before anything changes
+  const preview = useMemo(() => (isOpen ? cleanupMidiData(midiData, options) : null), [isOpen, midiData, options]);
+
+  const header = (
+    <button
+      onClick={() => setIsOpen(!isOpen)}
+      aria-expanded={isOpen}
+      className="font-medium text-gray-800 flex items-center"
+    >
+      <span className="mr-2">{isOpen ? '▾' : '▸'}</span>
+      🧹 Clean Up Transcription
+    </button>
+  );
+
+  if (!isOpen) {
+    return <div className="bg-gray-50 rounded-lg p-4 mb-6">{header}</div>;
+  }
+
+  const { removed } = preview;
+  const removedCount = Object.values(removed).reduce((sum, count) => sum + count, 0);
+
+  const filters = [
+    {
+      name: 'mergeGap',
+      label: 'Merge repeats closer than (ms)',
+      value: mergeGapMs,
+      onChange: setMergeGapMs,
+      max: 500
+    },
+    {
+      name: 'minDuration',
+      label: 'Minimum note length (ms)',
+      value: minDurationMs,
+      onChange: setMinDurationMs,
+      max: 1000
+    },
+    {
+      name: 'minVelocity',
+      label: 'Minimum velocity (1-127)',
+      value: minVelocity,
+      onChange: setMinVelocity,
+      max: 127
+    }
+  ];
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="mb-3">{header}</div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm text-gray-700">
+        {filters.map(filter => (
+          <div key={filter.name} className="flex items-center justify-between gap-2">
+            <label className="flex items-center">
+              <span className="mr-2">{filter.label}:</span>
+              <input
+                type="number"
+                min={0}
+                max={filter.max}
+                value={filter.value}
+                onChange={(event) => filter.onChange(event.target.value)}
+                className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+              />
+            </label>
+            <span data-testid={`cleanup-removed-${filter.name}`} className="text-gray-500 tabular-nums">
+              {formatRemoved(removed[filter.name])}
+            </span>
+          </div>
+        ))}
+        <div className="flex items-center justify-between gap-2">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={removeOctaveDuplicates}
+              onChange={(event) => setRemoveOctaveDuplicates(event.target.checked)}
+              className="mr-2"
+            />
+            Remove octave-error duplicates
+          </label>
+          <span data-testid="cleanup-removed-removeOctaveDuplicates" className="text-gray-500 tabular-nums">
+            {formatRemoved(removed.removeOctaveDuplicates)}
+          </span>
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center gap-3">
+        <button
+          onClick={() => onCommand({ type: 'cleanup', options, removedCount })}
+          disabled={removedCount === 0}
+          className="btn-primary py-1 disabled:opacity-50"
+        >
+          Apply cleanup
+        </button>
+        <span className="text-sm text-gray-600">
+          {removedCount === 0 ? 'Nothing to clean up with these settings' : `${formatRemoved(removedCount)} in total`}
+        </span>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Merged repeats join fragments of one sustained note. Octave duplicates are quieter notes an octave
+        away from a note starting at the same time, a common transcription error. A value of 0 turns a filter off.
+        New transcriptions are cleaned up with the default settings; undo &quot;Automatic cleanup&quot; in the edit
+        history to see every note the backend found.
+      </p>
+    </div>
+  );
+};
+
+export default CleanupPanel;
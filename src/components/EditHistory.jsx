@@ -0,0 +1,89 @@
+/**
+ * Edit History Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component lists the changes made to a transcription and lets the user
+ * undo, redo, jump back to any of them or revert to the transcription as opened
+ */
+
+import {
+  canUndo,
+  canRedo,
+  undo,
+  redo,
+  goToPosition,
+  executeCommand,
+  isModified
+} from '../services/scoreDocument';
+
+const EditHistory = ({ scoreDocument, onChange }) => {
+  if (!scoreDocument || scoreDocument.entries.length === 0) {
+    return null;
+  }
+
+  const { entries, position } = scoreDocument;
+
+  // Entry 0 is the original transcription, entry n is the state after the n-th change
+  const items = [{ label: 'Original transcription' }, ...entries];
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 mb-3">
+        <h3 className="font-medium text-gray-800">🕘 Edit History</h3>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => onChange(undo)}
+            disabled={!canUndo(scoreDocument)}
+            title="Undo (Ctrl+Z)"
+            className="btn-secondary py-1 disabled:opacity-50"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => onChange(redo)}
+            disabled={!canRedo(scoreDocument)}
+            title="Redo (Ctrl+Shift+Z)"
+            className="btn-secondary py-1 disabled:opacity-50"
+          >
+            ↷ Redo
+          </button>
+          <button
+            onClick={() => onChange(current => executeCommand(current, { type: 'revert' }))}
+            disabled={!isModified(scoreDocument)}
+            className="btn-secondary py-1 disabled:opacity-50"
+          >
+            Revert to original
+          </button>
+        </div>
+      </div>
+
+      <ol className="max-h-40 overflow-y-auto text-sm space-y-1">
+        {items.map((item, index) => {
+          const isCurrent = index === position;
+          const isUndone = index > position;
+          return (
+            <li key={index}>
+              <button
+                onClick={() => onChange(current => goToPosition(current, index))}
+                aria-current={isCurrent ? 'step' : undefined}
+                className={`w-full text-left px-2 py-1 rounded ${
+                  isCurrent
+                    ? 'bg-primary-600 text-white'
+                    : `hover:bg-gray-100 ${isUndone ? 'text-gray-400 line-through' : 'text-gray-700'}`
+                }`}
+              >
+                {item.label}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Click a step to go back to it. Making a new change after undoing discards the undone steps.
+      </p>
+    </div>
+  );
+};
+
+export default EditHistory;
@@ -8,11 +8,67 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { getSupportedFormats, isValidAudioFile } from '../services/apiService';
+import { getSupportedFormats, getTranscriptionCapabilities, isValidAudioFile } from '../services/apiService';
+import TranscriptionOptions from './TranscriptionOptions';
 
-const FileUploader = ({ onFileUpload, isTranscribing }) => {
+/**
+ * Format a number of bytes in megabytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '12.5 MB'
+ */
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Get the share of the current transcription phase that is done
+ * @param {Object} progress - Progress from transcribeAudio ({ phase, loaded, total, percent })
+ * @returns {number|undefined} Percentage, or undefined when unknown
+ */
+const getProgressPercent = (progress) => {
+  if (progress?.phase === 'uploading' && progress.total > 0) {
+    return Math.round((progress.loaded / progress.total) * 100);
+  }
+  if (progress?.phase === 'transcribing' && Number.isFinite(progress.percent)) {
+    return Math.round(progress.percent);
+  }
+  return undefined;
+};
+
+/**
+ * Describe where a transcription is
+ * @param {Object} progress - Progress from transcribeAudio, or null before any is reported
+ * @param {number} percent - Share of the phase that is done, when known
+ * @returns {string} Status text
+ */
+const getProgressText = (progress, percent) => {
+  switch (progress?.phase) {
+    case 'uploading':
+      return `Uploading... ${formatMegabytes(progress.loaded)}${
+        progress.total > 0 ? ` of ${formatMegabytes(progress.total)} (${percent}%)` : ''
+      }`;
+    case 'queued':
+      return 'Upload complete. Waiting for the transcription service...';
+    case 'transcribing':
+      return percent === undefined
+        ? 'Upload complete. Transcribing your audio...'
+        : `Transcribing your audio... ${percent}%`;
+    default:
+      return 'Processing your audio file...';
+  }
+};
+
+const FileUploader = ({
+  onFileUpload,
+  isTranscribing,
+  progress = null,
+  onCancel,
+  settings = {},
+  onSettingsChange,
+  onFilesUpload
+}) => {
+  const percent = getProgressPercent(progress);
   const [supportedFormats, setSupportedFormats] = useState([]);
   const [maxFileSize, setMaxFileSize] = useState(50);
+  const [capabilities, setCapabilities] = useState({});
   const [dragActive, setDragActive] = useState(false);
 
   useEffect(() => {
@@ -29,12 +85,31 @@ const FileUploader = ({ onFileUpload, isTranscribing }) => {
       }
     };
 
+    // Options the backend accepts for tuning the transcription
+    const fetchCapabilities = async () => {
+      setCapabilities(await getTranscriptionCapabilities() || {});
+    };
+
     fetchFormats();
+    fetchCapabilities();
   }, []);
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     setDragActive(false);
 
+    // Several files, or a folder, go to the batch queue; files it cannot take are skipped
+    if (onFilesUpload && acceptedFiles.length + rejectedFiles.length > 1) {
+      const validFiles = acceptedFiles.filter(file => isValidAudioFile(file, supportedFormats, maxFileSize));
+      const skippedCount = acceptedFiles.length + rejectedFiles.length - validFiles.length;
+      if (skippedCount > 0) {
+        alert(`Skipped ${skippedCount} file${skippedCount === 1 ? '' : 's'} that ${skippedCount === 1 ? 'is' : 'are'} not ${supportedFormats.join(', ')} audio under ${maxFileSize}MB`);
+      }
+      if (validFiles.length > 0) {
+        onFilesUpload(validFiles);
+      }
+      return;
+    }
+
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors[0]?.code === 'file-too-large') {
@@ -57,7 +132,7 @@ const FileUploader = ({ onFileUpload, isTranscribing }) => {
         alert(`Please select a valid audio file (${supportedFormats.join(', ')}) under ${maxFileSize}MB`);
       }
     }
-  }, [supportedFormats, maxFileSize, onFileUpload]);
+  }, [supportedFormats, maxFileSize, onFileUpload, onFilesUpload]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -67,7 +142,7 @@ const FileUploader = ({ onFileUpload, isTranscribing }) => {
       acc[`audio/${format}`] = [`.${format}`];
       return acc;
     }, {}),
-    maxFiles: 1,
+    maxFiles: onFilesUpload ? 0 : 1, // 0 allows any number
     maxSize: maxFileSize * 1024 * 1024, // Convert MB to bytes
     disabled: isTranscribing
   });
@@ -88,8 +163,33 @@ const FileUploader = ({ onFileUpload, isTranscribing }) => {
         
         {isTranscribing ? (
           <div className="flex flex-col items-center">
-            <div className="loading-spinner mb-2"></div>
-            <p className="text-gray-600">Processing your audio file...</p>
+            {percent !== undefined ? (
+              <div
+                role="progressbar"
+                aria-label={progress.phase === 'uploading' ? 'Upload progress' : 'Transcription progress'}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                className="w-full max-w-sm h-2 bg-gray-200 rounded-full overflow-hidden mb-2"
+              >
+                <div className="h-full bg-primary-600 transition-all" style={{ width: `${percent}%` }} />
+              </div>
+            ) : (
+              <div className="loading-spinner mb-2"></div>
+            )}
+            <p className="text-gray-600">{getProgressText(progress, percent)}</p>
+            {onCancel && (
+              <button
+                onClick={(event) => {
+                  // Keep the click from reaching the drop zone
+                  event.stopPropagation();
+                  onCancel();
+                }}
+                className="btn-secondary mt-3"
+              >
+                Cancel
+              </button>
+            )}
           </div>
         ) : (
           <div className="flex flex-col items-center">
@@ -109,12 +209,26 @@ const FileUploader = ({ onFileUpload, isTranscribing }) => {
                 <p className="text-sm text-gray-500">
                   Maximum file size: {maxFileSize}MB
                 </p>
+                {onFilesUpload && (
+                  <p className="text-sm text-gray-500">
+                    Drop several files or a whole folder to transcribe them as a batch
+                  </p>
+                )}
               </div>
             )}
           </div>
         )}
       </div>
 
+      {onSettingsChange && (
+        <TranscriptionOptions
+          capabilities={capabilities}
+          settings={settings}
+          onChange={onSettingsChange}
+          disabled={isTranscribing}
+        />
+      )}
+
       <div className="mt-4 p-4 bg-blue-50 rounded-lg">
         <h3 className="font-medium text-blue-800 mb-2">💡 How it works:</h3>
         <ol className="text-sm text-blue-700 list-decimal list-inside space-y-1">
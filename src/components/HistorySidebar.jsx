@@ -0,0 +1,149 @@
+/**
+ * History Sidebar Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component lists the transcriptions saved in the browser, so past
+ * results can be opened, renamed, downloaded or deleted after a reload
+ */
+
+import { useState, useEffect } from 'react';
+import { getHistoryFilename } from '../services/transcriptionHistory';
+import { downloadMidiFile } from '../services/apiService';
+
+/**
+ * Describe when a transcription was saved
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Date and time in the user's locale
+ */
+const formatSavedAt = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const HistorySidebar = ({ history, onOpen, activeId = null }) => {
+  const [historyState, setHistoryState] = useState(history.getState());
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  useEffect(() => history.subscribe(setHistoryState), [history]);
+
+  const { entries, error, keepAudio, isAvailable } = historyState;
+  if (!isAvailable) {
+    return null;
+  }
+
+  const startRename = (entry) => {
+    setEditingId(entry.id);
+    setDraftName(entry.name);
+  };
+
+  const finishRename = () => {
+    history.rename(editingId, draftName);
+    setEditingId(null);
+  };
+
+  const handleRenameKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      finishRename();
+    } else if (event.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (entry) => {
+    if (window.confirm(`Delete "${entry.name}" from the history?`)) {
+      history.remove(entry.id);
+    }
+  };
+
+  return (
+    <aside className="card" aria-label="Transcription history">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">🕘 History</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Transcriptions are saved in this browser.
+      </p>
+
+      <label className="flex items-center text-sm text-gray-700 mb-4">
+        <input
+          type="checkbox"
+          checked={keepAudio}
+          onChange={(event) => history.setKeepAudio(event.target.checked)}
+          className="mr-2"
+        />
+        Also keep the original audio
+      </label>
+
+      {error && (
+        <p role="alert" className="text-sm text-red-600 mb-3">{error}</p>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved transcriptions yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 max-h-[32rem] overflow-y-auto">
+          {entries.map(entry => (
+            <li
+              key={entry.id}
+              data-testid="history-entry"
+              className={`py-2 text-sm ${entry.id === activeId ? 'bg-primary-50' : ''}`}
+            >
+              {editingId === entry.id ? (
+                <input
+                  type="text"
+                  value={draftName}
+                  onChange={(event) => setDraftName(event.target.value)}
+                  onKeyDown={handleRenameKeyDown}
+                  title="Enter to save, Escape to cancel"
+                  aria-label={`New name for ${entry.name}`}
+                  autoFocus
+                  className="w-full border border-gray-300 rounded px-2 py-1"
+                />
+              ) : (
+                <button
+                  onClick={() => onOpen(entry)}
+                  title={`Open ${entry.name}`}
+                  className="block w-full text-left font-medium text-gray-800 truncate hover:text-primary-600"
+                >
+                  {entry.name}
+                </button>
+              )}
+              <p className="text-xs text-gray-500">
+                {formatSavedAt(entry.createdAt)}
+                {entry.summary && ` · ${entry.summary.totalNotes} notes, ${entry.summary.duration}`}
+                {entry.audioFile && ' · 🎧 audio kept'}
+              </p>
+              {entry.name !== entry.sourceName && (
+                <p className="text-xs text-gray-400 truncate">From {entry.sourceName}</p>
+              )}
+              <div className="mt-1 flex gap-3 text-xs">
+                <button
+                  onClick={() => startRename(entry)}
+                  aria-label={`Rename ${entry.name}`}
+                  className="text-primary-600 hover:underline"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => downloadMidiFile(entry.midiFile, getHistoryFilename(entry))}
+                  aria-label={`Download ${entry.name}`}
+                  className="text-primary-600 hover:underline"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() => handleDelete(entry)}
+                  aria-label={`Delete ${entry.name}`}
+                  className="text-red-600 hover:underline"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default HistorySidebar;
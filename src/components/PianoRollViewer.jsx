@@ -0,0 +1,566 @@
+/**
+ * Piano Roll Viewer Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component draws every track's notes as bars on a pitch/time grid,
+ * showing the exact timing and velocity that notation rounds away. When given
+ * an onCommand handler it also edits them: add, delete, move, resize and
+ * change velocity, each sent as a command for the score document.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  getNoteMidi,
+  getTimeSignature,
+  getTrackLabel,
+  secondsToBeats,
+  beatsToSeconds,
+  PITCH_NAMES
+} from '../services/midiProcessor';
+import { createNote } from '../services/midiEditor';
+
+// Horizontal zoom steps, in pixels per second, and vertical zoom steps, in pixels per pitch
+const ZOOM_LEVELS = [25, 50, 100, 200, 400];
+const DEFAULT_ZOOM_INDEX = 2;
+const ROW_HEIGHTS = [6, 10, 14];
+const DEFAULT_ROW_HEIGHT_INDEX = 1;
+
+// Width of the keyboard down the left side
+const KEYBOARD_WIDTH = 48;
+
+// Pitches shown beyond the highest and lowest notes, and the fewest pitches shown
+const PITCH_PADDING = 2;
+const MIN_PITCH_SPAN = 24;
+
+// Hue of each track's notes
+const TRACK_HUES = [217, 142, 0, 271, 25, 188];
+
+// Pitch classes of the black keys
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+// Edits snap to this many steps per quarter-note beat (sixteenths)
+const SNAP_STEPS_PER_BEAT = 4;
+
+// Width at the end of a note that resizes it instead of moving it, in pixels
+const RESIZE_HANDLE_WIDTH = 6;
+
+/**
+ * Color a note by its track, darker the harder it was played
+ * @param {number} trackIndex - Index of the note's track
+ * @param {number} velocity - Velocity from 0 to 1
+ * @returns {{fill: string, stroke: string}} Fill and outline colors
+ */
+const getNoteColors = (trackIndex, velocity = 0.8) => {
+  const hue = TRACK_HUES[trackIndex % TRACK_HUES.length];
+  return {
+    fill: `hsl(${hue}, 70%, ${Math.round(80 - velocity * 45)}%)`,
+    stroke: `hsl(${hue}, 70%, 30%)`
+  };
+};
+
+/**
+ * Get the MIDI note name of a pitch, e.g. 60 -> 'C4'
+ * @param {number} midi - MIDI note number
+ * @returns {string} Note name with octave
+ */
+const getPitchName = (midi) => (
+  `${PITCH_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`
+);
+
+const PianoRollViewer = ({
+  midiData,
+  tracks,
+  currentTime = 0,
+  isPlaying = false,
+  showCursor = false,
+  onSeek,
+  onCommand
+}) => {
+  const scrollRef = useRef(null);
+  const gridRef = useRef(null);
+  const draggedRef = useRef(false); // Swallows the click that ends a drag
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX);
+  const [rowHeightIndex, setRowHeightIndex] = useState(DEFAULT_ROW_HEIGHT_INDEX);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSnapping, setIsSnapping] = useState(true);
+  const [editTrack, setEditTrack] = useState(null); // Track new notes go to
+  const [selection, setSelection] = useState(null); // { trackIndex, note }
+  const [drag, setDrag] = useState(null); // { mode, trackIndex, note, originX, originY, preview }
+
+  const pixelsPerSecond = ZOOM_LEVELS[zoomIndex];
+  const rowHeight = ROW_HEIGHTS[rowHeightIndex];
+
+  // Notes of the shown tracks, each with its track
+  const notes = useMemo(() => (
+    (midiData?.tracks || []).flatMap((track, trackIndex) => (
+      !tracks || tracks.includes(trackIndex)
+        ? track.notes.map((note, noteIndex) => ({
+          midi: getNoteMidi(note),
+          time: note.time || 0,
+          duration: note.duration || 0,
+          velocity: note.velocity,
+          trackIndex,
+          noteIndex,
+          source: note
+        }))
+        : []
+    )).filter(note => Number.isFinite(note.midi))
+  ), [midiData, tracks]);
+
+  const [minMidi, maxMidi] = useMemo(() => {
+    if (notes.length === 0) {
+      return [60 - MIN_PITCH_SPAN / 2, 60 + MIN_PITCH_SPAN / 2];
+    }
+    let lowest = notes.reduce((min, note) => Math.min(min, note.midi), Infinity) - PITCH_PADDING;
+    let highest = notes.reduce((max, note) => Math.max(max, note.midi), -Infinity) + PITCH_PADDING;
+    const missing = MIN_PITCH_SPAN - (highest - lowest);
+    if (missing > 0) {
+      lowest -= Math.floor(missing / 2);
+      highest += Math.ceil(missing / 2);
+    }
+    return [Math.max(0, lowest), Math.min(127, highest)];
+  }, [notes]);
+
+  const duration = notes.reduce((end, note) => Math.max(end, note.time + note.duration), midiData?.duration || 0);
+  const width = Math.ceil(duration * pixelsPerSecond) + 1;
+  const height = (maxMidi - minMidi + 1) * rowHeight;
+  const pitches = Array.from({ length: maxMidi - minMidi + 1 }, (_, index) => maxMidi - index);
+
+  // Beat and bar lines, following tempo changes
+  const gridLines = useMemo(() => {
+    const [numerator, denominator] = getTimeSignature(midiData);
+    const beatsPerBar = numerator * 4 / denominator;
+    const totalBeats = Math.ceil(secondsToBeats(duration, midiData?.tempos));
+    return Array.from({ length: totalBeats + 1 }, (_, beat) => ({
+      x: beatsToSeconds(beat, midiData?.tempos) * pixelsPerSecond,
+      isBar: beat % beatsPerBar === 0
+    }));
+  }, [midiData, duration, pixelsPerSecond]);
+
+  // Page along with the playback cursor when it leaves the view
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || !isPlaying) {
+      return;
+    }
+    const visibleWidth = container.clientWidth - KEYBOARD_WIDTH;
+    const x = currentTime * pixelsPerSecond;
+    if (x < container.scrollLeft || x > container.scrollLeft + visibleWidth - 20) {
+      container.scrollLeft = Math.max(0, x - visibleWidth * 0.1);
+    }
+  }, [currentTime, isPlaying, pixelsPerSecond]);
+
+  const canEdit = Boolean(onCommand) && (midiData?.tracks || []).length > 0;
+  const editableTracks = (midiData?.tracks || [])
+    .map((track, index) => ({ index, label: getTrackLabel(track, index) }))
+    .filter(track => !tracks || tracks.includes(track.index));
+  const targetTrack = editableTracks.some(track => track.index === editTrack)
+    ? editTrack
+    : editableTracks[0]?.index;
+
+  // Forget the selection once its note is gone, e.g. after the data was replaced
+  const selectedNote = selection && midiData?.tracks[selection.trackIndex]?.notes.includes(selection.note)
+    ? selection
+    : null;
+
+  const snapTime = (seconds) => {
+    if (!isSnapping) {
+      return Math.max(0, seconds);
+    }
+    const steps = Math.round(secondsToBeats(Math.max(0, seconds), midiData.tempos) * SNAP_STEPS_PER_BEAT);
+    return beatsToSeconds(steps / SNAP_STEPS_PER_BEAT, midiData.tempos);
+  };
+
+  // Position of a mouse event on the grid, in pixels
+  const getGridPoint = (event) => {
+    const bounds = gridRef.current.getBoundingClientRect();
+    return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+  };
+
+  const commitNote = (trackIndex, note, fields) => {
+    const replacement = createNote(midiData, fields);
+    onCommand({ type: 'replaceNote', trackIndex, note, replacement });
+    setSelection({ trackIndex, note: replacement });
+  };
+
+  const deleteSelection = () => {
+    if (selectedNote) {
+      onCommand({ type: 'removeNote', trackIndex: selectedNote.trackIndex, note: selectedNote.note });
+      setSelection(null);
+    }
+  };
+
+  // Drag listeners read the current zoom, snapping and data through this ref,
+  // so they are only set up again when another drag starts
+  const dragContextRef = useRef(null);
+  dragContextRef.current = { pixelsPerSecond, rowHeight, isSnapping, snapTime, commitNote };
+
+  // Follow the mouse anywhere on the page while dragging a note
+  const { mode: dragMode, note: dragNote, trackIndex: dragTrackIndex, originX, originY } = drag || {};
+  useEffect(() => {
+    if (!dragNote) {
+      return undefined;
+    }
+
+    const source = { midi: getNoteMidi(dragNote), time: dragNote.time, duration: dragNote.duration, velocity: dragNote.velocity };
+
+    const getPreview = (event) => {
+      const { pixelsPerSecond: scale, rowHeight: height, isSnapping: snaps, snapTime: snap } = dragContextRef.current;
+      const seconds = (event.clientX - originX) / scale;
+      if (dragMode === 'resize') {
+        const minimum = snaps ? snap(source.time + 1 / SNAP_STEPS_PER_BEAT) - source.time : 0.01;
+        const end = snap(source.time + source.duration + seconds);
+        return { ...source, duration: Math.max(minimum || 0.01, end - source.time) };
+      }
+      const semitones = Math.round((event.clientY - originY) / height);
+      return {
+        ...source,
+        time: snap(source.time + seconds),
+        midi: Math.min(127, Math.max(0, source.midi - semitones))
+      };
+    };
+
+    const handleMouseMove = (event) => {
+      setDrag(current => current && { ...current, preview: getPreview(event) });
+    };
+    const handleMouseUp = (event) => {
+      const preview = getPreview(event);
+      if (preview.time !== source.time || preview.midi !== source.midi || preview.duration !== source.duration) {
+        dragContextRef.current.commitNote(dragTrackIndex, dragNote, preview);
+        // The click that follows this mouseup must not add a note
+        draggedRef.current = true;
+        setTimeout(() => {
+          draggedRef.current = false;
+        }, 0);
+      }
+      setDrag(null);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [dragMode, dragNote, dragTrackIndex, originX, originY]);
+
+  const handleNoteMouseDown = (event, note) => {
+    if (!isEditing) {
+      return;
+    }
+    event.stopPropagation();
+    event.preventDefault();
+    const { x } = getGridPoint(event);
+    const end = (note.time + note.duration) * pixelsPerSecond;
+    setSelection({ trackIndex: note.trackIndex, note: note.source });
+    setDrag({
+      mode: end - x <= RESIZE_HANDLE_WIDTH ? 'resize' : 'move',
+      trackIndex: note.trackIndex,
+      note: note.source,
+      originX: event.clientX,
+      originY: event.clientY,
+      preview: null
+    });
+  };
+
+  const handleClick = (event) => {
+    if (draggedRef.current) {
+      draggedRef.current = false;
+      return;
+    }
+    const { x, y } = getGridPoint(event);
+    if (isEditing) {
+      // Clicking empty space adds a beat-long note there
+      const time = snapTime(x / pixelsPerSecond);
+      const beat = secondsToBeats(time, midiData.tempos);
+      const note = createNote(midiData, {
+        midi: maxMidi - Math.floor(y / rowHeight),
+        time,
+        duration: beatsToSeconds(beat + 1, midiData.tempos) - time
+      });
+      onCommand({ type: 'addNote', trackIndex: targetTrack, note });
+      setSelection({ trackIndex: targetTrack, note });
+      return;
+    }
+    if (onSeek) {
+      onSeek(Math.min(duration, Math.max(0, x / pixelsPerSecond)));
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (isEditing && (event.key === 'Delete' || event.key === 'Backspace') && selectedNote) {
+      event.preventDefault();
+      deleteSelection();
+    }
+  };
+
+  if (!midiData) {
+    return (
+      <div className="pianoroll-container">
+        <div className="text-center py-8 text-gray-500">
+          No MIDI data available for the piano roll
+        </div>
+      </div>
+    );
+  }
+
+  const shownTracks = (midiData.tracks || [])
+    .map((track, index) => ({ index, label: getTrackLabel(track, index), noteCount: track.notes.length }))
+    .filter(track => track.noteCount > 0 && (!tracks || tracks.includes(track.index)));
+
+  return (
+    <div className="pianoroll-container">
+      <div className="mb-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+        <div className="flex items-center text-sm text-gray-600">
+          <span className="font-medium mr-2">🎹 Piano Roll:</span>
+          <span>Exact note timing and velocity</span>
+        </div>
+        <div className="flex items-center gap-4 text-sm text-gray-700">
+          <div className="flex items-center gap-2">
+            <span>Time:</span>
+            <button
+              onClick={() => setZoomIndex(zoomIndex - 1)}
+              disabled={zoomIndex === 0}
+              aria-label="Zoom out time"
+              className="btn-secondary px-3 py-1 disabled:opacity-50"
+            >
+              −
+            </button>
+            <button
+              onClick={() => setZoomIndex(zoomIndex + 1)}
+              disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+              aria-label="Zoom in time"
+              className="btn-secondary px-3 py-1 disabled:opacity-50"
+            >
+              +
+            </button>
+          </div>
+          <div className="flex items-center gap-2">
+            <span>Pitch:</span>
+            <button
+              onClick={() => setRowHeightIndex(rowHeightIndex - 1)}
+              disabled={rowHeightIndex === 0}
+              aria-label="Zoom out pitch"
+              className="btn-secondary px-3 py-1 disabled:opacity-50"
+            >
+              −
+            </button>
+            <button
+              onClick={() => setRowHeightIndex(rowHeightIndex + 1)}
+              disabled={rowHeightIndex === ROW_HEIGHTS.length - 1}
+              aria-label="Zoom in pitch"
+              className="btn-secondary px-3 py-1 disabled:opacity-50"
+            >
+              +
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Note Editing */}
+      {canEdit && (
+        <div className="mb-3 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <button
+            onClick={() => {
+              setIsEditing(!isEditing);
+              setSelection(null);
+            }}
+            aria-pressed={isEditing}
+            className={isEditing ? 'btn-primary' : 'btn-secondary'}
+          >
+            ✏️ Edit notes
+          </button>
+          {isEditing && (
+            <>
+              {editableTracks.length > 1 && (
+                <label className="flex items-center">
+                  <span className="mr-2">Add to:</span>
+                  <select
+                    value={targetTrack}
+                    onChange={(event) => setEditTrack(Number(event.target.value))}
+                    className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                  >
+                    {editableTracks.map(track => (
+                      <option key={track.index} value={track.index}>
+                        {track.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={isSnapping}
+                  onChange={(event) => setIsSnapping(event.target.checked)}
+                  className="mr-2"
+                />
+                Snap to 1/16
+              </label>
+              <span className="text-xs text-gray-500">
+                Click empty space to add a note, drag to move, drag the right edge to resize, Delete to remove.
+              </span>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Selected Note */}
+      {isEditing && selectedNote && (
+        <div className="mb-3 flex flex-wrap items-center gap-3 text-sm text-gray-700 bg-gray-50 rounded-lg p-2">
+          <span>
+            <span className="font-medium">{getPitchName(getNoteMidi(selectedNote.note))}</span>
+            {` at ${selectedNote.note.time.toFixed(2)}s, ${selectedNote.note.duration.toFixed(2)}s long`}
+          </span>
+          <label className="flex items-center gap-2">
+            <span>Velocity:</span>
+            <input
+              type="range"
+              min={1}
+              max={127}
+              value={Math.round((selectedNote.note.velocity ?? 0.8) * 127)}
+              onChange={(event) => commitNote(selectedNote.trackIndex, selectedNote.note, {
+                midi: getNoteMidi(selectedNote.note),
+                time: selectedNote.note.time,
+                duration: selectedNote.note.duration,
+                velocity: Number(event.target.value) / 127
+              })}
+              aria-label="Velocity"
+            />
+            <span className="tabular-nums w-8">{Math.round((selectedNote.note.velocity ?? 0.8) * 127)}</span>
+          </label>
+          <button onClick={deleteSelection} className="btn-secondary py-1">
+            🗑 Delete note
+          </button>
+        </div>
+      )}
+
+      {/* Track Legend */}
+      {shownTracks.length > 1 && (
+        <div className="mb-3 flex flex-wrap gap-3 text-xs text-gray-700">
+          {shownTracks.map(track => (
+            <span key={track.index} className="flex items-center">
+              <span
+                className="inline-block w-3 h-3 rounded-sm mr-1"
+                style={{ backgroundColor: getNoteColors(track.index).fill }}
+              />
+              {track.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div
+        ref={scrollRef}
+        tabIndex={canEdit ? 0 : undefined}
+        onKeyDown={handleKeyDown}
+        className="overflow-auto border border-gray-200 rounded bg-white focus:outline-none"
+        style={{ maxHeight: '480px' }}
+      >
+        <div className="flex" style={{ width: KEYBOARD_WIDTH + width }}>
+          {/* Keyboard */}
+          <svg width={KEYBOARD_WIDTH} height={height} className="sticky left-0 z-10 flex-shrink-0 bg-white">
+            {pitches.map((midi, row) => (
+              <g key={midi}>
+                <rect
+                  x={0}
+                  y={row * rowHeight}
+                  width={BLACK_KEYS.includes(midi % 12) ? KEYBOARD_WIDTH * 0.6 : KEYBOARD_WIDTH}
+                  height={rowHeight}
+                  fill={BLACK_KEYS.includes(midi % 12) ? '#1f2937' : '#ffffff'}
+                  stroke="#d1d5db"
+                  strokeWidth={0.5}
+                />
+                {midi % 12 === 0 && rowHeight >= ROW_HEIGHTS[DEFAULT_ROW_HEIGHT_INDEX] && (
+                  <text x={KEYBOARD_WIDTH - 3} y={(row + 1) * rowHeight - 2} fontSize={9} textAnchor="end" fill="#6b7280">
+                    {getPitchName(midi)}
+                  </text>
+                )}
+              </g>
+            ))}
+          </svg>
+
+          {/* Grid and Notes */}
+          <svg
+            ref={gridRef}
+            width={width}
+            height={height}
+            onClick={handleClick}
+            className={`flex-shrink-0 ${isEditing ? 'cursor-crosshair' : 'cursor-pointer'}`}
+          >
+            {pitches.map((midi, row) => (
+              <rect
+                key={midi}
+                x={0}
+                y={row * rowHeight}
+                width={width}
+                height={rowHeight}
+                fill={BLACK_KEYS.includes(midi % 12) ? '#f3f4f6' : '#ffffff'}
+                stroke={midi % 12 === 0 ? '#d1d5db' : 'none'}
+                strokeWidth={0.5}
+              />
+            ))}
+            {gridLines.map(({ x, isBar }, index) => (
+              <line
+                key={index}
+                x1={x}
+                x2={x}
+                y1={0}
+                y2={height}
+                stroke={isBar ? '#9ca3af' : '#e5e7eb'}
+                strokeWidth={1}
+              />
+            ))}
+            {notes.map(note => {
+              // A note being dragged is drawn where it would land
+              const shown = drag?.preview && drag.note === note.source ? { ...note, ...drag.preview } : note;
+              const isSelected = isEditing && selectedNote?.note === note.source;
+              const colors = getNoteColors(note.trackIndex, shown.velocity);
+              return (
+                <rect
+                  key={`${note.trackIndex}-${note.noteIndex}`}
+                  data-testid="piano-roll-note"
+                  x={shown.time * pixelsPerSecond}
+                  y={(maxMidi - shown.midi) * rowHeight + 0.5}
+                  width={Math.max(2, shown.duration * pixelsPerSecond)}
+                  height={rowHeight - 1}
+                  rx={2}
+                  fill={colors.fill}
+                  stroke={isSelected ? '#111827' : colors.stroke}
+                  strokeWidth={isSelected ? 2 : 1}
+                  onMouseDown={(event) => handleNoteMouseDown(event, note)}
+                  onClick={(event) => isEditing && event.stopPropagation()}
+                  className={isEditing ? 'cursor-move' : undefined}
+                >
+                  <title>
+                    {`${getPitchName(note.midi)} • ${note.time.toFixed(2)}s • ${note.duration.toFixed(2)}s`
+                      + (note.velocity !== undefined ? ` • velocity ${Math.round(note.velocity * 127)}` : '')}
+                  </title>
+                </rect>
+              );
+            })}
+            {showCursor && (
+              <line
+                className="playback-cursor"
+                x1={currentTime * pixelsPerSecond}
+                x2={currentTime * pixelsPerSecond}
+                y1={0}
+                y2={height}
+              />
+            )}
+          </svg>
+        </div>
+      </div>
+
+      <div className="mt-4 text-xs text-gray-500">
+        <p>
+          <strong>About the piano roll:</strong> Every note is drawn at its exact start and length, with
+          darker bars for harder-played notes. Bar lines follow the time signature and tempo. Click
+          anywhere to move playback there{canEdit && ', or switch on editing to fix wrong notes'}.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PianoRollViewer;
@@ -0,0 +1,195 @@
+/**
+ * Playback Controls Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component provides transport controls (play/pause/stop, seek, speed),
+ * per-track mute/solo and A/B comparison with the original recording for the
+ * in-browser MIDI player
+ */
+
+import { useState, useEffect } from 'react';
+import { PLAYBACK_RATES } from '../services/midiPlayer';
+import { getTrackLabel } from '../services/midiProcessor';
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time, e.g. '1:05'
+ */
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${String(rest).padStart(2, '0')}`;
+};
+
+const PlaybackControls = ({ player, midiData }) => {
+  const [playerState, setPlayerState] = useState(player.getState());
+  const [isOverlay, setIsOverlay] = useState(false); // Mix both sides instead of switching
+
+  useEffect(() => player.subscribe(setPlayerState), [player]);
+
+  const { isPlaying, currentTime, duration, playbackRate, mix, hasOriginal, mutedTracks, soloTracks } = playerState;
+
+  // Only tracks with notes can be heard
+  const noteTracks = (midiData?.tracks || [])
+    .map((track, index) => ({ index, label: getTrackLabel(track, index), noteCount: track.notes.length }))
+    .filter(track => track.noteCount > 0);
+
+  const togglePlayback = () => {
+    if (isPlaying) {
+      player.pause();
+    } else {
+      player.play().catch(err => console.error('MIDI playback error:', err));
+    }
+  };
+
+  const toggleOverlay = (overlay) => {
+    setIsOverlay(overlay);
+    // Start overlays from an even mix, and switch back to the side that was louder
+    player.setMix(overlay ? 0.5 : Math.round(mix));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <h3 className="font-medium text-gray-800 mb-3">🔊 Playback</h3>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        {/* Transport */}
+        <div className="flex gap-2">
+          <button
+            onClick={togglePlayback}
+            disabled={duration === 0}
+            className="btn-primary"
+          >
+            {isPlaying ? '⏸ Pause' : '▶ Play'}
+          </button>
+          <button
+            onClick={() => player.stop()}
+            className="btn-secondary"
+          >
+            ⏹ Stop
+          </button>
+        </div>
+
+        {/* Seek Bar */}
+        <div className="flex items-center flex-1 gap-2 text-sm text-gray-600">
+          <span className="tabular-nums">{formatTime(currentTime)}</span>
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={0.01}
+            value={currentTime}
+            onChange={(event) => player.seek(Number(event.target.value))}
+            aria-label="Seek"
+            className="flex-1"
+          />
+          <span className="tabular-nums">{formatTime(duration)}</span>
+        </div>
+
+        {/* Speed Selector */}
+        <label className="flex items-center text-sm text-gray-700">
+          <span className="mr-2">Speed:</span>
+          <select
+            value={playbackRate}
+            onChange={(event) => player.setPlaybackRate(Number(event.target.value))}
+            className="border border-gray-300 rounded-lg px-2 py-2 bg-white"
+          >
+            {PLAYBACK_RATES.map(rate => (
+              <option key={rate} value={rate}>
+                {Math.round(rate * 100)}%
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* A/B Comparison */}
+      {hasOriginal && (
+        <div className="mt-3 flex flex-col md:flex-row md:items-center gap-3 text-sm text-gray-700">
+          <span className="font-medium">A/B Compare:</span>
+          {isOverlay ? (
+            <label className="flex items-center flex-1 gap-2">
+              <span>Original</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={mix}
+                onChange={(event) => player.setMix(Number(event.target.value))}
+                aria-label="Crossfade"
+                className="flex-1"
+              />
+              <span>MIDI</span>
+            </label>
+          ) : (
+            <div className="flex gap-2">
+              {[{ label: 'A: Original', value: 0 }, { label: 'B: MIDI', value: 1 }].map(side => (
+                <button
+                  key={side.value}
+                  onClick={() => player.setMix(side.value)}
+                  aria-pressed={mix === side.value}
+                  className={`px-3 py-1 rounded font-medium ${
+                    mix === side.value ? 'bg-primary-600 text-white' : 'bg-white border border-gray-300 text-gray-700'
+                  }`}
+                >
+                  {side.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={isOverlay}
+              onChange={(event) => toggleOverlay(event.target.checked)}
+              className="mr-2"
+            />
+            Overlay both
+          </label>
+        </div>
+      )}
+
+      {/* Track Mute/Solo */}
+      {noteTracks.length > 1 && (
+        <div className="mt-3 flex flex-wrap gap-3 text-sm">
+          {noteTracks.map(track => {
+            const isMuted = mutedTracks.includes(track.index);
+            const isSolo = soloTracks.includes(track.index);
+
+            return (
+              <div key={track.index} className="flex items-center gap-1">
+                <span className={player.isTrackAudible(track.index) ? 'text-gray-700' : 'text-gray-400'}>
+                  {track.label}
+                </span>
+                <button
+                  onClick={() => player.setTrackMuted(track.index, !isMuted)}
+                  aria-pressed={isMuted}
+                  aria-label={`Mute ${track.label}`}
+                  className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    isMuted ? 'bg-red-500 text-white' : 'bg-white border border-gray-300 text-gray-700'
+                  }`}
+                >
+                  M
+                </button>
+                <button
+                  onClick={() => player.setTrackSolo(track.index, !isSolo)}
+                  aria-pressed={isSolo}
+                  aria-label={`Solo ${track.label}`}
+                  className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    isSolo ? 'bg-yellow-400 text-gray-900' : 'bg-white border border-gray-300 text-gray-700'
+                  }`}
+                >
+                  S
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackControls;
@@ -6,23 +6,176 @@
  * Provides options to switch between different notation libraries
  */
 
-import { useState, useEffect, useRef } from 'react';
-import { convertMidiToABC, convertMidiToVexFlow, getMidiSummary } from '../services/midiProcessor';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  convertMidiToABC,
+  convertMidiToVexFlow,
+  QUANTIZE_GRIDS,
+  DEFAULT_QUANTIZE_GRID,
+  KEY_SIGNATURES,
+  STAFF_LAYOUTS,
+  getTrackLabel,
+  secondsToBeats,
+  beatsToSeconds,
+  detectKey
+} from '../services/midiProcessor';
+import { createMidiPlayer } from '../services/midiPlayer';
+import { exportMusicXmlBlob, exportMxlBlob } from '../services/musicXmlExporter';
+import { exportLilyPondBlob } from '../services/lilypondExporter';
+import { downloadFile } from '../services/apiService';
 import ABCJSViewer from './ABCJSViewer';
 import VexFlowViewer from './VexFlowViewer';
+import PlaybackControls from './PlaybackControls';
+import AudioAnalysisView from './AudioAnalysisView';
+import PianoRollViewer from './PianoRollViewer';
+import EditHistory from './EditHistory';
+import TransposePanel from './TransposePanel';
+import CleanupPanel from './CleanupPanel';
+import { getCurrentMidiData, executeCommand, isModified } from '../services/scoreDocument';
 
-const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
-  const [notationLibrary, setNotationLibrary] = useState('abcjs'); // 'abcjs' or 'vexflow'
+/**
+ * The views that follow playback: the original audio analysis and the score
+ * with its cursor. They listen to the player themselves, so position updates
+ * while playing re-render them and not the whole viewer.
+ */
+const PlaybackViews = ({ player, scoreData, notationLibrary, abcNotation, vexFlowData, visibleTracks, onCommand }) => {
+  const [playback, setPlayback] = useState(() => player.getState());
+
+  useEffect(() => player.subscribe(setPlayback), [player]);
+
+  // Follow playback on the score; the cursor hides once playback is stopped and rewound
+  const showCursor = playback.isPlaying || playback.currentTime > 0;
+  const cursorBeat = showCursor ? secondsToBeats(playback.currentTime, scoreData?.tempos) : null;
+
+  const seekToBeat = (beat) => {
+    player.seek(beatsToSeconds(beat, scoreData?.tempos));
+  };
+
+  return (
+    <>
+      {/* Original Audio Analysis */}
+      {playback.hasOriginal && (
+        <AudioAnalysisView
+          audioBuffer={player.getOriginalBuffer()}
+          midiData={scoreData}
+          currentTime={playback.currentTime}
+          isPlaying={playback.isPlaying}
+          showCursor={showCursor}
+          onSeek={(time) => player.seek(time)}
+        />
+      )}
+
+      {/* Sheet Music Rendering */}
+      <div className="relative">
+        {notationLibrary === 'abcjs' && (
+          <ABCJSViewer abcNotation={abcNotation} cursorBeat={cursorBeat} onSeek={seekToBeat} />
+        )}
+        {notationLibrary === 'vexflow' && (
+          <VexFlowViewer vexFlowData={vexFlowData} cursorBeat={cursorBeat} onSeek={seekToBeat} />
+        )}
+        {notationLibrary === 'pianoroll' && (
+          <PianoRollViewer
+            midiData={scoreData}
+            tracks={visibleTracks}
+            currentTime={playback.currentTime}
+            isPlaying={playback.isPlaying}
+            showCursor={showCursor}
+            onSeek={(time) => player.seek(time)}
+            onCommand={onCommand}
+          />
+        )}
+      </div>
+    </>
+  );
+};
+
+const SheetMusicViewer = ({
+  midiData,
+  midiSummary,
+  onDownload,
+  audioFile = null,
+  filename = '',
+  scoreDocument = null,
+  onDocumentChange
+}) => {
+  // Edits replace the transcription everywhere it is shown and played
+  const scoreData = scoreDocument ? getCurrentMidiData(scoreDocument) : midiData;
+  const isEdited = Boolean(scoreDocument) && isModified(scoreDocument);
+  const canEdit = Boolean(scoreDocument && onDocumentChange);
+
+  // The summary describes the transcription; once edited (e.g. transposed) the key is detected again
+  const detectedKey = useMemo(
+    () => (isEdited ? detectKey(scoreData)?.name : midiSummary?.key),
+    [isEdited, scoreData, midiSummary]
+  );
+
+  const runCommand = (command) => {
+    onDocumentChange(current => executeCommand(current, command));
+  };
+
+  const [notationLibrary, setNotationLibrary] = useState('abcjs'); // 'abcjs', 'vexflow' or 'pianoroll'
+  const [quantizeGrid, setQuantizeGrid] = useState(DEFAULT_QUANTIZE_GRID);
+  const [keyOverride, setKeyOverride] = useState(''); // '' uses the detected key
+  const [staffLayout, setStaffLayout] = useState('auto'); // See STAFF_LAYOUTS
+  const [hiddenTracks, setHiddenTracks] = useState([]); // Indexes of tracks left out of the score
   const [abcNotation, setAbcNotation] = useState('');
   const [vexFlowData, setVexFlowData] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [player] = useState(() => createMidiPlayer());
+
+  // Tracks that can be shown, i.e. the ones with notes
+  const noteTracks = useMemo(() => (scoreData?.tracks || [])
+    .map((track, index) => ({ index, label: getTrackLabel(track, index), noteCount: track.notes.length }))
+    .filter(track => track.noteCount > 0), [scoreData]);
+  const visibleTracks = hiddenTracks.length > 0
+    ? noteTracks.map(track => track.index).filter(index => !hiddenTracks.includes(index))
+    : undefined;
+
+  // Snapped to the selected grid, spelled in the selected key and laid out on the selected staves;
+  // shared by the viewers and the score exports so both show the same notation
+  const scoreOptions = {
+    grid: quantizeGrid,
+    key: keyOverride || undefined,
+    staffLayout,
+    tracks: visibleTracks
+  };
+
+  useEffect(() => {
+    setHiddenTracks(hidden => (hidden.length > 0 ? [] : hidden));
+  }, [midiData]);
+
+  // A new transcription starts playback over; edits to it keep the position and mute/solo
+  const loadedMidiRef = useRef(null);
+  useEffect(() => {
+    if (loadedMidiRef.current === midiData) {
+      player.update(scoreData);
+    } else {
+      loadedMidiRef.current = midiData;
+      player.load(scoreData);
+    }
+  }, [midiData, scoreData, player]);
+
+  // The uploaded recording is played alongside the MIDI for A/B comparison
+  useEffect(() => {
+    player.loadOriginal(audioFile).catch(err => console.error('Original audio decoding error:', err));
+  }, [audioFile, player]);
+
+  // Release the audio context when the viewer goes away
+  useEffect(() => () => player.dispose(), [player]);
 
   useEffect(() => {
-    if (midiData) {
+    if (scoreData) {
       processMidiData();
     }
-  }, [midiData]);
+  }, [scoreData, quantizeGrid, keyOverride, staffLayout, hiddenTracks]);
+
+  const toggleTrack = (index) => {
+    setHiddenTracks(hidden => (
+      hidden.includes(index) ? hidden.filter(trackIndex => trackIndex !== index) : [...hidden, index]
+    ));
+  };
 
   const processMidiData = async () => {
     setIsProcessing(true);
@@ -30,8 +183,8 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
 
     try {
       // Convert MIDI data to both formats
-      const abc = convertMidiToABC(midiData);
-      const vexflow = convertMidiToVexFlow(midiData);
+      const abc = convertMidiToABC(scoreData, scoreOptions);
+      const vexflow = convertMidiToVexFlow(scoreData, scoreOptions);
 
       setAbcNotation(abc);
       setVexFlowData(vexflow);
@@ -43,6 +196,25 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
     }
   };
 
+  // Download the score as shown, named after the MIDI file
+  const handleExport = async (format) => {
+    const baseName = `${(filename || 'transcription').replace(/\.midi?$/i, '')}${isEdited ? '_edited' : ''}`;
+    setExportError('');
+
+    try {
+      if (format === 'mxl') {
+        downloadFile(await exportMxlBlob(scoreData, scoreOptions), `${baseName}.mxl`);
+      } else if (format === 'ly') {
+        downloadFile(exportLilyPondBlob(scoreData, scoreOptions), `${baseName}.ly`);
+      } else {
+        downloadFile(exportMusicXmlBlob(scoreData, scoreOptions), `${baseName}.musicxml`);
+      }
+    } catch (err) {
+      setExportError('Failed to export the score');
+      console.error('Score export error:', err);
+    }
+  };
+
   if (!midiData) {
     return (
       <div className="card">
@@ -92,6 +264,57 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
         </h2>
         
         <div className="flex flex-col sm:flex-row gap-3">
+          {/* Quantization Grid Selector */}
+          <label className="flex items-center text-sm text-gray-700">
+            <span className="mr-2">Quantize:</span>
+            <select
+              value={quantizeGrid}
+              onChange={(event) => setQuantizeGrid(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-2 bg-white"
+            >
+              {Object.keys(QUANTIZE_GRIDS).map(grid => (
+                <option key={grid} value={grid}>
+                  {grid.replace('T', ' triplet')}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {/* Key Signature Selector */}
+          <label className="flex items-center text-sm text-gray-700">
+            <span className="mr-2">Key:</span>
+            <select
+              value={keyOverride}
+              onChange={(event) => setKeyOverride(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-2 bg-white"
+            >
+              <option value="">
+                Auto{detectedKey ? ` (${detectedKey})` : ''}
+              </option>
+              {KEY_SIGNATURES.map(key => (
+                <option key={key.id} value={key.id}>
+                  {key.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {/* Staff Layout Selector */}
+          <label className="flex items-center text-sm text-gray-700">
+            <span className="mr-2">Staves:</span>
+            <select
+              value={staffLayout}
+              onChange={(event) => setStaffLayout(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-2 bg-white"
+            >
+              {Object.entries(STAFF_LAYOUTS).map(([layout, label]) => (
+                <option key={layout} value={layout}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
           {/* Notation Library Selector */}
           <div className="flex rounded-lg border border-gray-300 overflow-hidden">
             <button
@@ -114,19 +337,64 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
             >
               VexFlow
             </button>
+            <button
+              onClick={() => setNotationLibrary('pianoroll')}
+              className={`px-4 py-2 text-sm font-medium transition-colors ${
+                notationLibrary === 'pianoroll'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Piano Roll
+            </button>
           </div>
           
+          {/* Edited Indicator */}
+          {isEdited && (
+            <span className="px-2 py-1 rounded bg-yellow-100 text-yellow-800 text-sm">✏️ Edited</span>
+          )}
+
           {/* Download Button */}
           <button
             onClick={onDownload}
             className="btn-primary flex items-center"
           >
             <span className="mr-2">💾</span>
-            Download MIDI
+            {isEdited ? 'Download Edited MIDI' : 'Download MIDI'}
           </button>
+
+          {/* Score Export */}
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleExport('musicxml')}
+              title="MusicXML 4.0 for MuseScore, Sibelius, Finale and Dorico"
+              className="btn-secondary flex items-center"
+            >
+              <span className="mr-2">📄</span>
+              MusicXML
+            </button>
+            <button
+              onClick={() => handleExport('mxl')}
+              title="Compressed MusicXML"
+              className="btn-secondary"
+            >
+              .mxl
+            </button>
+            <button
+              onClick={() => handleExport('ly')}
+              title="LilyPond source for engraving"
+              className="btn-secondary"
+            >
+              LilyPond
+            </button>
+          </div>
         </div>
       </div>
 
+      {exportError && (
+        <p className="text-sm text-red-600 mb-4">{exportError}</p>
+      )}
+
       {/* MIDI Summary */}
       {midiSummary && (
         <div className="bg-gray-50 rounded-lg p-4 mb-6">
@@ -148,18 +416,71 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
               <span className="text-gray-600">Instrument:</span>
               <div className="font-medium">{midiSummary.instruments}</div>
             </div>
+            <div>
+              <span className="text-gray-600">Key:</span>
+              <div className="font-medium">{midiSummary.key}</div>
+            </div>
+            <div>
+              <span className="text-gray-600">Tempo:</span>
+              <div className="font-medium">{midiSummary.tempo}</div>
+            </div>
+            <div>
+              <span className="text-gray-600">Time Signature:</span>
+              <div className="font-medium">{midiSummary.timeSignature}</div>
+            </div>
           </div>
         </div>
       )}
 
-      {/* Sheet Music Rendering */}
-      <div className="relative">
-        {notationLibrary === 'abcjs' ? (
-          <ABCJSViewer abcNotation={abcNotation} />
-        ) : (
-          <VexFlowViewer vexFlowData={vexFlowData} />
-        )}
-      </div>
+      {/* Track Selector */}
+      {noteTracks.length > 1 && (
+        <fieldset className="mb-6">
+          <legend className="font-medium text-gray-800 mb-2">🎻 Tracks</legend>
+          <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+            {noteTracks.map(track => {
+              const isVisible = !hiddenTracks.includes(track.index);
+              // Keep at least one track on the score
+              const isLastVisible = isVisible && hiddenTracks.length === noteTracks.length - 1;
+
+              return (
+                <label key={track.index} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={isVisible}
+                    disabled={isLastVisible}
+                    onChange={() => toggleTrack(track.index)}
+                    className="mr-2"
+                  />
+                  {track.label}
+                  <span className="ml-1 text-gray-500">({track.noteCount} notes)</span>
+                </label>
+              );
+            })}
+          </div>
+        </fieldset>
+      )}
+
+      {/* Cleanup */}
+      {canEdit && <CleanupPanel midiData={scoreData} onCommand={runCommand} />}
+
+      {/* Transposition */}
+      {canEdit && <TransposePanel midiData={scoreData} onCommand={runCommand} />}
+
+      {/* Edit History */}
+      {canEdit && <EditHistory scoreDocument={scoreDocument} onChange={onDocumentChange} />}
+
+      {/* MIDI Playback */}
+      <PlaybackControls player={player} midiData={scoreData} />
+
+      <PlaybackViews
+        player={player}
+        scoreData={scoreData}
+        notationLibrary={notationLibrary}
+        abcNotation={abcNotation}
+        vexFlowData={vexFlowData}
+        visibleTracks={visibleTracks}
+        onCommand={canEdit ? runCommand : undefined}
+      />
 
       {/* Usage Tips */}
       <div className="mt-6 p-4 bg-green-50 rounded-lg">
@@ -169,6 +490,7 @@ const SheetMusicViewer = ({ midiData, midiSummary, onDownload }) => {
           <li>Avoid background noise and multiple overlapping instruments</li>
           <li>Piano and guitar recordings typically work very well</li>
           <li>The ABCJS viewer is better for simple melodies, VexFlow for complex notation</li>
+          <li>The piano roll shows exact timing and velocity, handy for checking what notation rounds off</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,150 @@
+/**
+ * Transcription Options Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component shows the transcription options the backend accepts, such as
+ * the instrument, detection thresholds and pitch range, so they can be tuned
+ * before a file is uploaded
+ */
+
+import { useState } from 'react';
+
+// Labels and hints of the options known to the frontend; others use the backend's label
+const OPTION_LABELS = {
+  instrument: { label: 'Instrument', hint: 'What was recorded' },
+  polyphony: { label: 'Notes at a time', hint: 'Melody only keeps a single line' },
+  onset_threshold: { label: 'Onset threshold', hint: 'Higher values detect fewer new notes' },
+  frame_threshold: { label: 'Frame threshold', hint: 'Higher values end notes sooner' },
+  min_note_length_ms: { label: 'Minimum note length (ms)', hint: 'Shorter notes are dropped' },
+  min_pitch: { label: 'Lowest note (MIDI)', hint: '60 is middle C' },
+  max_pitch: { label: 'Highest note (MIDI)', hint: '60 is middle C' }
+};
+
+// Names shown for well-known choices
+const CHOICE_LABELS = {
+  polyphonic: 'Polyphonic (chords)',
+  melody: 'Melody only'
+};
+
+/**
+ * Get the choices of an option as { value, label }
+ * @param {Array} choices - Choices from the backend, as values or { value, label }
+ * @returns {Array} Choices
+ */
+const normalizeChoices = (choices) => choices.map(choice => (
+  typeof choice === 'object'
+    ? { value: choice.value, label: choice.label || CHOICE_LABELS[choice.value] || choice.value }
+    : { value: choice, label: CHOICE_LABELS[choice] || choice }
+));
+
+const TranscriptionOptions = ({ capabilities, settings, onChange, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const options = Object.entries(capabilities || {});
+  if (options.length === 0) {
+    return null;
+  }
+
+  const changedCount = Object.keys(settings).length;
+
+  // Unset options are left to the backend, so only changes are sent
+  const setOption = (name, value, defaultValue) => {
+    const { [name]: _previous, ...rest } = settings;
+    onChange(value === '' || value === defaultValue ? rest : { ...rest, [name]: value });
+  };
+
+  const header = (
+    <button
+      onClick={() => setIsOpen(!isOpen)}
+      aria-expanded={isOpen}
+      className="font-medium text-gray-800 flex items-center"
+    >
+      <span className="mr-2">{isOpen ? '▾' : '▸'}</span>
+      ⚙️ Transcription Options
+      {changedCount > 0 && (
+        <span className="ml-2 text-xs text-primary-600">({changedCount} changed)</span>
+      )}
+    </button>
+  );
+
+  if (!isOpen) {
+    return <div className="mt-4 bg-gray-50 rounded-lg p-4">{header}</div>;
+  }
+
+  const minPitch = Number(settings.min_pitch ?? capabilities.min_pitch?.default);
+  const maxPitch = Number(settings.max_pitch ?? capabilities.max_pitch?.default);
+
+  return (
+    <div className="mt-4 bg-gray-50 rounded-lg p-4">
+      <div className="mb-3">{header}</div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm text-gray-700">
+        {options.map(([name, option]) => {
+          const { label, hint } = OPTION_LABELS[name] || { label: option.label || name };
+          const value = settings[name] ?? option.default ?? '';
+          const choices = option.choices && normalizeChoices(option.choices);
+
+          return (
+            <label key={name} className="flex flex-col">
+              <span className="mb-1">{label}</span>
+              {choices ? (
+                <select
+                  value={value}
+                  // Select values are strings; keep the type the backend gave the choice
+                  onChange={(event) => setOption(
+                    name,
+                    choices.find(choice => String(choice.value) === event.target.value)?.value ?? event.target.value,
+                    option.default
+                  )}
+                  disabled={disabled}
+                  className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                >
+                  {choices.map(choice => (
+                    <option key={choice.value} value={choice.value}>
+                      {choice.label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  min={option.min}
+                  max={option.max}
+                  step={option.step}
+                  value={value}
+                  onChange={(event) => setOption(
+                    name,
+                    event.target.value === '' ? '' : Number(event.target.value),
+                    option.default
+                  )}
+                  disabled={disabled}
+                  className="border border-gray-300 rounded-lg px-2 py-1"
+                />
+              )}
+              {hint && <span className="mt-1 text-xs text-gray-500">{hint}</span>}
+            </label>
+          );
+        })}
+      </div>
+
+      {minPitch > maxPitch && (
+        <div role="alert" className="mt-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-2">
+          ⚠️ The lowest note is above the highest note, so no notes would be kept
+        </div>
+      )}
+
+      <div className="mt-3 flex items-center gap-3">
+        <button
+          onClick={() => onChange({})}
+          disabled={disabled || changedCount === 0}
+          className="btn-secondary py-1 disabled:opacity-50"
+        >
+          Reset to defaults
+        </button>
+        <span className="text-xs text-gray-500">Options apply to the next file you upload.</span>
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptionOptions;
@@ -0,0 +1,156 @@
+/**
+ * Transcription Queue Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component lists the files of a batch transcription with the status of
+ * each, and lets the user retry failures, open results and download them all
+ * as a ZIP archive
+ */
+
+import { useState, useEffect } from 'react';
+import { MAX_CONCURRENCY, createResultsArchive } from '../services/transcriptionQueue';
+import { downloadFile, getErrorMessage } from '../services/apiService';
+
+// Badge text and colors of each item status
+const STATUS_BADGES = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-700' },
+  uploading: { label: 'Uploading', className: 'bg-blue-100 text-blue-800' },
+  transcribing: { label: 'Transcribing', className: 'bg-indigo-100 text-indigo-800' },
+  done: { label: 'Done', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Get the share of an item's current phase that is done
+ * @param {Object} progress - Progress from transcribeAudio
+ * @returns {number|undefined} Percentage, or undefined when unknown
+ */
+const getItemPercent = (progress) => {
+  if (progress?.phase === 'uploading' && progress.total > 0) {
+    return Math.round((progress.loaded / progress.total) * 100);
+  }
+  return Number.isFinite(progress?.percent) ? Math.round(progress.percent) : undefined;
+};
+
+const TranscriptionQueue = ({ queue, onOpen }) => {
+  const [queueState, setQueueState] = useState(queue.getState());
+  const [downloadError, setDownloadError] = useState('');
+
+  useEffect(() => queue.subscribe(setQueueState), [queue]);
+
+  const { items, concurrency } = queueState;
+  if (items.length === 0) {
+    return null;
+  }
+
+  const countOf = (status) => items.filter(item => item.status === status).length;
+  const doneCount = countOf('done');
+  const failedCount = countOf('failed');
+
+  const handleDownloadAll = async () => {
+    setDownloadError('');
+    try {
+      downloadFile(await createResultsArchive(items), 'transcriptions.zip');
+    } catch (err) {
+      setDownloadError('Failed to create the ZIP archive');
+      console.error('ZIP export error:', err);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-800">📚 Batch Transcription</h2>
+          <p className="text-sm text-gray-600">
+            {doneCount} of {items.length} done{failedCount > 0 && `, ${failedCount} failed`}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center text-gray-700">
+            <span className="mr-2">At a time:</span>
+            <select
+              value={concurrency}
+              onChange={(event) => queue.setConcurrency(Number(event.target.value))}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              {Array.from({ length: MAX_CONCURRENCY }, (_, index) => index + 1).map(value => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => queue.retryFailed()}
+            disabled={failedCount === 0}
+            className="btn-secondary py-1 disabled:opacity-50"
+          >
+            Retry failed
+          </button>
+          <button
+            onClick={() => queue.clearFinished()}
+            disabled={doneCount === 0}
+            className="btn-secondary py-1 disabled:opacity-50"
+          >
+            Clear finished
+          </button>
+          <button
+            onClick={handleDownloadAll}
+            disabled={doneCount === 0}
+            className="btn-primary py-1 disabled:opacity-50"
+          >
+            💾 Download all as ZIP
+          </button>
+        </div>
+      </div>
+
+      {downloadError && (
+        <p className="text-sm text-red-600 mb-3">{downloadError}</p>
+      )}
+
+      <ul className="divide-y divide-gray-200 max-h-80 overflow-y-auto">
+        {items.map(item => {
+          const badge = STATUS_BADGES[item.status];
+          const percent = getItemPercent(item.progress);
+
+          return (
+            <li key={item.id} data-testid="queue-item" className="py-2 flex items-center gap-3 text-sm">
+              <span className="flex-1 truncate text-gray-800" title={item.file.name}>
+                {item.file.name}
+                {item.status === 'failed' && (
+                  <span className="block text-xs text-red-600">{getErrorMessage(item.error)}</span>
+                )}
+              </span>
+              <span className={`px-2 py-0.5 rounded text-xs ${badge.className}`}>
+                {badge.label}
+                {percent !== undefined && ` ${percent}%`}
+              </span>
+              {item.status === 'done' && onOpen && (
+                <button onClick={() => onOpen(item)} className="text-primary-600 hover:underline">
+                  View
+                </button>
+              )}
+              {item.status === 'failed' && (
+                <button onClick={() => queue.retry(item.id)} className="text-primary-600 hover:underline">
+                  Retry
+                </button>
+              )}
+              <button
+                onClick={() => queue.remove(item.id)}
+                aria-label={`Remove ${item.file.name}`}
+                title={['uploading', 'transcribing'].includes(item.status) ? 'Cancel and remove' : 'Remove'}
+                className="text-gray-400 hover:text-gray-700"
+              >
+                ✕
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default TranscriptionQueue;
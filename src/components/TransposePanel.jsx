@@ -0,0 +1,210 @@
+/**
+ * Transpose Panel Component
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This component transposes the score by semitones, to another key or into
+ * the written key of a transposing instrument, for all tracks or just one,
+ * and warns about notes the chosen instrument cannot play or that would leave
+ * the MIDI range
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  KEY_SIGNATURES,
+  TRANSPOSING_INSTRUMENTS,
+  detectKey,
+  getKeyTransposition,
+  transposeKey,
+  transposeMidiData,
+  countNotesOutOfRange,
+  countNotesDroppedByTransposition,
+  spellMidiNote,
+  getTrackLabel
+} from '../services/midiProcessor';
+
+// Furthest the score can be moved at once, in semitones
+const MAX_SEMITONES = 24;
+
+// Preset offered first in the instrument list
+const DEFAULT_INSTRUMENT = 'bb-trumpet';
+
+const TransposePanel = ({ midiData, onCommand }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('semitones'); // 'semitones', 'key' or 'instrument'
+  const [semitoneInput, setSemitoneInput] = useState(0);
+  const [targetKey, setTargetKey] = useState('');
+  const [instrumentId, setInstrumentId] = useState(DEFAULT_INSTRUMENT);
+  const [trackChoice, setTrackChoice] = useState('all'); // 'all' or a track index
+
+  // Only detected again when the score changes, not on every input change
+  const currentKey = useMemo(() => (isOpen ? detectKey(midiData) : null), [isOpen, midiData]);
+
+  const header = (
+    <button
+      onClick={() => setIsOpen(!isOpen)}
+      aria-expanded={isOpen}
+      className="font-medium text-gray-800 flex items-center"
+    >
+      <span className="mr-2">{isOpen ? '▾' : '▸'}</span>
+      🎺 Transpose
+    </button>
+  );
+
+  if (!isOpen) {
+    return <div className="bg-gray-50 rounded-lg p-4 mb-6">{header}</div>;
+  }
+
+  const instrument = TRANSPOSING_INSTRUMENTS.find(preset => preset.id === instrumentId);
+  const tracks = trackChoice === 'all' ? undefined : [Number(trackChoice)];
+
+  const noteTracks = midiData.tracks
+    .map((track, index) => ({ index, label: getTrackLabel(track, index), track }))
+    .filter(({ track }) => track.notes.length > 0 && !track.instrument?.percussion);
+
+  let semitones = 0;
+  let target = '';
+  if (mode === 'semitones') {
+    semitones = Math.max(-MAX_SEMITONES, Math.min(MAX_SEMITONES, Math.round(Number(semitoneInput) || 0)));
+  } else if (mode === 'key') {
+    semitones = targetKey ? getKeyTransposition(currentKey.id, targetKey) : 0;
+    target = targetKey ? transposeKey(currentKey.id, semitones).name : '';
+  } else {
+    semitones = instrument.semitones;
+    target = instrument.name;
+  }
+
+  // Check the written part against the instrument's range before it is applied
+  const outOfRange = mode === 'instrument'
+    ? countNotesOutOfRange(transposeMidiData(midiData, semitones, { tracks }), instrument.range, { tracks })
+    : null;
+  // Notes moved below MIDI note 0 or above 127 cannot be kept in any mode
+  const droppedCount = semitones === 0 ? 0 : countNotesDroppedByTransposition(midiData, semitones, { tracks });
+  const rangeText = instrument
+    ? `${spellMidiNote(instrument.range[0], 'C').name}–${spellMidiNote(instrument.range[1], 'C').name}`
+    : '';
+
+  const applyTransposition = () => {
+    onCommand({ type: 'transpose', semitones, tracks, target });
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="mb-3">{header}</div>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-3 text-sm text-gray-700">
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+          {[['semitones', 'By semitones'], ['key', 'To key'], ['instrument', 'For instrument']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              aria-pressed={mode === value}
+              className={`px-3 py-1 ${mode === value ? 'bg-primary-600 text-white' : 'bg-white hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'semitones' && (
+          <label className="flex items-center">
+            <span className="mr-2">Semitones:</span>
+            <input
+              type="number"
+              min={-MAX_SEMITONES}
+              max={MAX_SEMITONES}
+              value={semitoneInput}
+              onChange={(event) => setSemitoneInput(event.target.value)}
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+            />
+          </label>
+        )}
+
+        {mode === 'key' && (
+          <label className="flex items-center">
+            <span className="mr-2">From {currentKey.name} to:</span>
+            <select
+              value={targetKey}
+              onChange={(event) => setTargetKey(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="">Choose a key</option>
+              {KEY_SIGNATURES.filter(key => key.mode === currentKey.mode).map(key => (
+                <option key={key.id} value={key.id}>
+                  {key.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {mode === 'instrument' && (
+          <label className="flex items-center">
+            <span className="mr-2">Instrument:</span>
+            <select
+              value={instrumentId}
+              onChange={(event) => setInstrumentId(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              {TRANSPOSING_INSTRUMENTS.map(preset => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {noteTracks.length > 1 && (
+          <label className="flex items-center">
+            <span className="mr-2">Tracks:</span>
+            <select
+              value={trackChoice}
+              onChange={(event) => setTrackChoice(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              <option value="all">All tracks</option>
+              {noteTracks.map(track => (
+                <option key={track.index} value={track.index}>
+                  {track.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <button
+          onClick={applyTransposition}
+          disabled={semitones === 0}
+          className="btn-primary py-1 disabled:opacity-50"
+        >
+          Transpose
+        </button>
+      </div>
+
+      {mode === 'instrument' && (
+        <p className="mt-2 text-xs text-gray-500">
+          Written {semitones} semitones above concert pitch, in {transposeKey(currentKey.id, semitones).name}.
+          Playable written range: {rangeText}.
+        </p>
+      )}
+
+      {outOfRange && (outOfRange.below > 0 || outOfRange.above > 0) && (
+        <div role="alert" className="mt-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-2">
+          ⚠️ {[
+            outOfRange.below > 0 && `${outOfRange.below} note${outOfRange.below === 1 ? '' : 's'} below`,
+            outOfRange.above > 0 && `${outOfRange.above} note${outOfRange.above === 1 ? '' : 's'} above`
+          ].filter(Boolean).join(' and ')} the {instrument.name}'s range ({rangeText})
+        </div>
+      )}
+
+      {droppedCount > 0 && (
+        <div role="alert" className="mt-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-2">
+          ⚠️ {droppedCount} note{droppedCount === 1 ? '' : 's'} would leave the MIDI range
+          ({spellMidiNote(0, 'C').name}–{spellMidiNote(127, 'C').name}) and be dropped
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransposePanel;
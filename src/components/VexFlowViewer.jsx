@@ -6,63 +6,251 @@
  * VexFlow is excellent for modern music notation and complex scores
  */
 
-import { useEffect, useRef } from 'react';
-import { Renderer, Stave, StaveNote, Voice, Formatter } from 'vexflow';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Renderer, Stave, StaveTie, StaveConnector, Formatter } from 'vexflow';
+import {
+  SYSTEMS_PER_PAGE,
+  createMeasureVoice,
+  layoutSystems,
+  paginateSystems
+} from '../services/vexFlowLayout';
 
-const VexFlowViewer = ({ vexFlowData }) => {
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Canvas width used until the container has been measured
+const DEFAULT_WIDTH = 800;
+
+// Vertical distance between the tops of stacked staves, and the extra gap between systems
+const STAFF_SPACING = 110;
+const SYSTEM_GAP = 30;
+
+// Room above the first system for the tempo marking
+const TOP_MARGIN = 40;
+
+// Room left of the first measure for part names, and for a grand staff brace
+const LABEL_WIDTH = 110;
+const BRACE_WIDTH = 30;
+
+const VexFlowViewer = ({ vexFlowData, cursorBeat = null, onSeek }) => {
   const containerRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(DEFAULT_WIDTH);
+  const [page, setPage] = useState(0);
+  // Drawn notes and system bounds of the current page, for the playback cursor
+  const cursorRef = useRef({ targets: [], systemBounds: [], line: null, notes: [], system: null, page: null });
+  const onSeekRef = useRef(onSeek);
+
+  useEffect(() => {
+    onSeekRef.current = onSeek;
+  }, [onSeek]);
+
+  // One row per staff of every part, all sharing the same measure columns
+  const staves = useMemo(() => (
+    (vexFlowData || []).flatMap(part => part.staves.map(staff => ({ ...staff, part })))
+  ), [vexFlowData]);
+  const showLabels = vexFlowData?.length > 1;
+  const hasGrandStaff = Boolean(vexFlowData?.some(part => part.staves.length > 1));
+  const left = showLabels ? LABEL_WIDTH : hasGrandStaff ? BRACE_WIDTH : 10;
+
+  const systems = useMemo(() => {
+    if (staves.length === 0) {
+      return [];
+    }
+    try {
+      return layoutSystems(staves, containerWidth - left - 10);
+    } catch (error) {
+      console.error('VexFlow layout error:', error);
+      return [];
+    }
+  }, [staves, containerWidth, left]);
+  const pages = useMemo(() => paginateSystems(systems), [systems]);
+  const pageCount = pages.length;
+  const currentPage = Math.min(page, Math.max(0, pageCount - 1));
+
+  // Follow the width of the container so systems wrap to it
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(([entry]) => {
+      setContainerWidth(Math.floor(entry.contentRect.width) || DEFAULT_WIDTH);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [vexFlowData]);
 
   useEffect(() => {
-    if (vexFlowData && vexFlowData.length > 0 && containerRef.current) {
+    setPage(0);
+  }, [vexFlowData]);
+
+  useEffect(() => {
+    if (systems.length > 0 && containerRef.current) {
       try {
         // Clear previous content
         containerRef.current.innerHTML = '';
+        const cursor = cursorRef.current;
+        cursor.targets = [];
+        cursor.systemBounds = [];
+        cursor.line = null;
+        cursor.notes = [];
+
+        const pageSystems = pages[currentPage];
+        const systemHeight = staves.length * STAFF_SPACING + SYSTEM_GAP;
 
         // Create VexFlow renderer
         const renderer = new Renderer(containerRef.current, Renderer.Backends.SVG);
-        renderer.resize(800, 300);
+        renderer.resize(containerWidth, TOP_MARGIN + pageSystems.length * systemHeight);
         const context = renderer.getContext();
 
-        // Create a stave
-        const stave = new Stave(10, 40, 750);
-        stave.addClef('treble').addTimeSignature('4/4');
-        stave.setContext(context).draw();
-
-        // Convert our MIDI data to VexFlow notes (simplified approach)
-        const notes = vexFlowData.slice(0, 8).map((noteData, index) => {
-          // Basic note conversion (this is a placeholder implementation)
-          let keys = ['c/4']; // Default to C4
-          let duration = 'q'; // Quarter note
-
-          try {
-            // Try to parse the MIDI note name
-            if (noteData.keys && noteData.keys[0]) {
-              keys = [noteData.keys[0].toLowerCase()];
+        const tiedNotes = staves.map(() => []);
+
+        pageSystems.forEach((system, systemIndex) => {
+          const top = TOP_MARGIN + systemIndex * systemHeight;
+          const isFirstSystem = system === systems[0];
+          const firstStaves = [];
+          let x = left;
+
+          // Draw measure by measure, formatting all staves of a column together
+          system.measures.forEach(({ index: measureIndex, width }, columnIndex) => {
+            const columnStaves = staves.map((staff, staffIndex) => {
+              const measure = staff.measures[measureIndex];
+              const stave = new Stave(x, top + staffIndex * STAFF_SPACING, width);
+              if (columnIndex === 0) {
+                stave.addClef(staff.clef).addKeySignature(measure.keySignature);
+                if (isFirstSystem) {
+                  stave.addTimeSignature(measure.timeSignature);
+                  if (measure.tempo && staffIndex === 0) {
+                    stave.setTempo({ duration: 'q', bpm: measure.tempo }, 0);
+                  }
+                }
+                firstStaves.push(stave);
+              }
+              return stave;
+            });
+            if (columnIndex === 0) {
+              Stave.formatBegModifiers(columnStaves);
             }
-            if (noteData.duration) {
-              duration = noteData.duration;
+            columnStaves.forEach(stave => stave.setContext(context).draw());
+
+            const column = staves.map((staff, staffIndex) => {
+              const measure = staff.measures[measureIndex];
+              const { staveNotes, voice, tuplets } = createMeasureVoice(measure, staff.clef);
+              measure.notes.forEach((noteData, index) => {
+                tiedNotes[staffIndex].push({
+                  staveNote: staveNotes[index],
+                  tie: noteData.tie,
+                  keyCount: noteData.keys.length,
+                  system: systemIndex
+                });
+                if (!noteData.rest) {
+                  cursor.targets.push({ beat: noteData.beat, staveNote: staveNotes[index], system: systemIndex });
+                }
+              });
+              return voice && { stave: columnStaves[staffIndex], voice, tuplets };
+            }).filter(Boolean);
+
+            // Barlines run through both staves of a grand staff
+            let partStaffIndex = 0;
+            vexFlowData.forEach(part => {
+              if (part.staves.length > 1) {
+                const topStave = columnStaves[partStaffIndex];
+                const bottomStave = columnStaves[partStaffIndex + part.staves.length - 1];
+                new StaveConnector(topStave, bottomStave).setType('singleRight').setContext(context).draw();
+              }
+              partStaffIndex += part.staves.length;
+            });
+
+            x += width;
+            if (column.length === 0) {
+              return;
             }
-          } catch (error) {
-            console.warn('Note parsing error:', error);
+
+            const formatter = new Formatter();
+            column.forEach(({ voice }) => formatter.joinVoices([voice]));
+            const [{ stave }] = column;
+            formatter.format(column.map(({ voice }) => voice), stave.getNoteEndX() - stave.getNoteStartX() - 10);
+
+            column.forEach(({ stave: columnStave, voice, tuplets }) => {
+              voice.draw(context, columnStave);
+              tuplets.forEach(tuplet => tuplet.setContext(context).draw());
+            });
+          });
+
+          cursor.systemBounds.push({
+            top: firstStaves[0].getYForLine(0),
+            bottom: firstStaves[firstStaves.length - 1].getBottomLineY()
+          });
+
+          // Join the staves of the system, brace grand staves and name each part on its left
+          if (staves.length > 1) {
+            new StaveConnector(firstStaves[0], firstStaves[firstStaves.length - 1])
+              .setType('singleLeft').setContext(context).draw();
+          }
+          let staffIndex = 0;
+          vexFlowData.forEach(part => {
+            const topStave = firstStaves[staffIndex];
+            const bottomStave = firstStaves[staffIndex + part.staves.length - 1];
+            if (part.staves.length > 1 || showLabels) {
+              const connector = new StaveConnector(topStave, bottomStave)
+                .setType(part.staves.length > 1 ? 'brace' : 'singleLeft');
+              if (showLabels) {
+                // Leave room for the brace between the name and the staff
+                connector.setText(part.name, { shiftX: part.staves.length > 1 ? -BRACE_WIDTH / 2 : 0 });
+              }
+              connector.setContext(context).draw();
+            }
+            staffIndex += part.staves.length;
+          });
+        });
+
+        // Ties may cross barlines, so draw them once every measure is laid out
+        const firstMeasure = pageSystems[0].measures[0].index;
+        tiedNotes.forEach((staffNotes, staffIndex) => {
+          // A tie coming from the previous page ends on the first note
+          const previousMeasure = staves[staffIndex].measures[firstMeasure - 1];
+          const previousNote = previousMeasure?.notes[previousMeasure.notes.length - 1];
+          if (previousNote?.tie && staffNotes.length > 0) {
+            const indexes = Array.from({ length: staffNotes[0].keyCount }, (_, keyIndex) => keyIndex);
+            new StaveTie({ lastNote: staffNotes[0].staveNote, lastIndexes: indexes }).setContext(context).draw();
           }
 
-          return new StaveNote({
-            clef: 'treble',
-            keys: keys,
-            duration: duration
+          staffNotes.forEach(({ staveNote, tie, keyCount, system }, index) => {
+            if (!tie) {
+              return;
+            }
+            // Tie every key of a chord to the same key of the next chord
+            const indexes = Array.from({ length: keyCount }, (_, keyIndex) => keyIndex);
+            const nextNote = staffNotes[index + 1];
+            if (nextNote && nextNote.system === system) {
+              new StaveTie({
+                firstNote: staveNote,
+                lastNote: nextNote.staveNote,
+                firstIndexes: indexes,
+                lastIndexes: indexes
+              }).setContext(context).draw();
+              return;
+            }
+            // Across a line break the tie is split into two halves
+            new StaveTie({ firstNote: staveNote, firstIndexes: indexes }).setContext(context).draw();
+            if (nextNote) {
+              new StaveTie({ lastNote: nextNote.staveNote, lastIndexes: indexes }).setContext(context).draw();
+            }
           });
         });
 
-        // Add notes if we have any
-        if (notes.length > 0) {
-          const voice = new Voice({ num_beats: 4, beat_value: 4 });
-          voice.addTickables(notes);
+        // Clicking a note seeks playback to it
+        cursor.targets.forEach(({ beat, staveNote }) => {
+          const element = staveNote.getSVGElement();
+          if (element) {
+            element.classList.add('playback-seekable');
+            element.addEventListener('click', () => onSeekRef.current?.(beat));
+          }
+        });
 
-          new Formatter().joinVoices([voice]).format([voice], 700);
-          voice.draw(context, stave);
-        } else {
+        if (tiedNotes.every(staffNotes => staffNotes.length === 0)) {
           // Draw empty measures if no notes
-          context.fillText('No notes to display', 400, 150);
+          context.fillText('No notes to display', containerWidth / 2, 150);
         }
 
       } catch (error) {
@@ -75,7 +263,74 @@ const VexFlowViewer = ({ vexFlowData }) => {
         `;
       }
     }
-  }, [vexFlowData]);
+  }, [vexFlowData, staves, systems, pages, currentPage, containerWidth, left, showLabels]);
+
+  // Move the cursor to the notes sounding at the playback position
+  useEffect(() => {
+    const cursor = cursorRef.current;
+    cursor.notes.forEach(element => element.classList.remove('playback-note'));
+    cursor.notes = [];
+
+    const svg = containerRef.current?.querySelector('svg');
+    const measures = staves[0]?.measures || [];
+    const measureIndex = cursorBeat === null
+      ? -1
+      : measures.findIndex(measure => cursorBeat < measure.beat + measure.beats);
+    const systemIndex = measureIndex === -1
+      ? -1
+      : systems.findIndex(system => system.measures.some(measure => measure.index === measureIndex));
+
+    if (!svg || systemIndex === -1) {
+      cursor.line?.setAttribute('visibility', 'hidden');
+      cursor.page = null;
+      return;
+    }
+
+    // Turn the page when the cursor moves onto another one, but let the
+    // reader page away while it stays put
+    const cursorPage = Math.floor(systemIndex / SYSTEMS_PER_PAGE);
+    if (cursorPage !== cursor.page) {
+      cursor.page = cursorPage;
+      if (cursorPage !== currentPage) {
+        setPage(cursorPage);
+        return;
+      }
+    }
+
+    const pageSystem = systemIndex - currentPage * SYSTEMS_PER_PAGE;
+    const bounds = cursor.systemBounds[pageSystem];
+    // Notes of the latest onset at or before the cursor
+    const onset = cursor.targets
+      .filter(target => target.system === pageSystem && target.beat <= cursorBeat + 1e-6)
+      .reduce((latest, target) => Math.max(latest, target.beat), -Infinity);
+    const targets = cursor.targets.filter(target => target.system === pageSystem && target.beat === onset);
+
+    if (!bounds || targets.length === 0) {
+      cursor.line?.setAttribute('visibility', 'hidden');
+      return;
+    }
+
+    cursor.notes = targets.map(({ staveNote }) => staveNote.getSVGElement()).filter(Boolean);
+    cursor.notes.forEach(element => element.classList.add('playback-note'));
+
+    if (!cursor.line) {
+      cursor.line = document.createElementNS(SVG_NAMESPACE, 'line');
+      cursor.line.setAttribute('class', 'playback-cursor');
+      svg.appendChild(cursor.line);
+    }
+    const x = targets[0].staveNote.getAbsoluteX() - 4;
+    cursor.line.setAttribute('x1', x);
+    cursor.line.setAttribute('x2', x);
+    cursor.line.setAttribute('y1', bounds.top - 10);
+    cursor.line.setAttribute('y2', bounds.bottom + 10);
+    cursor.line.setAttribute('visibility', 'visible');
+
+    // Keep the current system in view
+    if (systemIndex !== cursor.system) {
+      cursor.system = systemIndex;
+      cursor.line.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [cursorBeat, vexFlowData, staves, systems, currentPage, containerWidth, left, showLabels]);
 
   if (!vexFlowData || vexFlowData.length === 0) {
     return (
@@ -87,6 +342,8 @@ const VexFlowViewer = ({ vexFlowData }) => {
     );
   }
 
+  const measureCount = vexFlowData[0].staves[0].measures.length;
+
   return (
     <div className="vexflow-container">
       <div className="mb-4 flex items-center justify-between">
@@ -95,15 +352,36 @@ const VexFlowViewer = ({ vexFlowData }) => {
           <span>Modern sheet music rendering</span>
         </div>
         <div className="text-xs text-gray-500">
-          Showing first 8 notes • {vexFlowData.length} total notes detected
+          {measureCount} measures • {systems.length} systems
+          {vexFlowData.length > 1 && ` • ${vexFlowData.length} parts`}
         </div>
       </div>
       
       <div
         ref={containerRef}
-        className="min-h-80 border border-gray-200 rounded bg-white p-4 overflow-auto"
-        style={{ maxHeight: '400px' }}
+        className="min-h-80 border border-gray-200 rounded bg-white p-4 overflow-x-auto"
       />
+
+      {/* Page Navigation */}
+      {pageCount > 1 && (
+        <div className="mt-4 flex items-center justify-center gap-4 text-sm text-gray-700">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="btn-secondary disabled:opacity-50"
+          >
+            ← Previous
+          </button>
+          <span>Page {currentPage + 1} of {pageCount}</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage === pageCount - 1}
+            className="btn-secondary disabled:opacity-50"
+          >
+            Next →
+          </button>
+        </div>
+      )}
       
       <div className="mt-4 text-xs text-gray-500">
         <p>
@@ -112,8 +390,8 @@ const VexFlowViewer = ({ vexFlowData }) => {
           and custom formatting.
         </p>
         <p className="mt-1">
-          <strong>Note:</strong> This is a basic implementation. For production use, implement more 
-          sophisticated note grouping, measures, and chord handling.
+          <strong>Note:</strong> Measures wrap to the width of the page. For production use, implement 
+          more sophisticated note grouping and beaming.
         </p>
       </div>
     </div>
@@ -8,6 +8,22 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
+// How long a transcription may take, upload included, before it is given up (default: 10 minutes)
+const TRANSCRIBE_TIMEOUT_MS = (Number(import.meta.env.VITE_TRANSCRIBE_TIMEOUT_SECONDS) || 600) * 1000;
+
+// Errors reported when a transcription request is stopped
+export const TRANSCRIPTION_CANCELLED = 'Transcription cancelled';
+export const TRANSCRIPTION_TIMED_OUT = 'Transcription timed out';
+
+// Start of the error of a job the backend reports as failed; its reason follows
+export const TRANSCRIPTION_FAILED = 'Transcription failed';
+
+// Time between status requests while a transcription job runs
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// Job statuses after which nothing changes
+const FINISHED_JOB_STATUSES = ['done', 'failed'];
+
 /**
  * Check if the backend service is healthy and available
  * @returns {Promise<boolean>} True if backend is healthy, false otherwise
@@ -78,6 +94,27 @@ export const getSupportedFormats = async () => {
   }
 };
 
+/**
+ * Get the transcription options the backend accepts, such as an instrument hint
+ * or detection thresholds
+ * @returns {Promise<Object>} Options by form field name, each with its default and either
+ *   choices or a min/max/step range; empty when the backend takes no options
+ */
+export const getTranscriptionCapabilities = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/capabilities`);
+    if (!response.ok) {
+      return {};
+    }
+    const data = await response.json();
+    return data.options || {};
+  } catch (error) {
+    console.error('Failed to get transcription capabilities:', error);
+    // Backends without the endpoint transcribe with their own settings
+    return {};
+  }
+};
+
 /**
  * Validate audio file based on supported formats and size limits
  * @param {File} file - The audio file to validate
@@ -104,19 +141,269 @@ export const isValidAudioFile = (file, supportedFormats, maxSizeMB = 50) => {
 };
 
 /**
- * Upload audio file to backend and get MIDI file in return
+ * Create the error fetch rejects with when its request is aborted
+ * @returns {DOMException} Abort error
+ */
+const createAbortError = () => new DOMException('The request was aborted', 'AbortError');
+
+/**
+ * POST a form with XMLHttpRequest, which unlike fetch reports upload progress
+ * @param {string} url - Request URL
+ * @param {FormData} formData - Request body
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Request headers
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @param {Function} options.onProgress - Called with { phase, loaded, total }
+ * @returns {Promise<Response>} Response, as fetch would return it
+ */
+const postWithProgress = (url, formData, { headers = {}, signal, onProgress }) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  xhr.responseType = 'blob';
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+  xhr.upload.onprogress = (event) => {
+    onProgress({ phase: 'uploading', loaded: event.loaded, total: event.lengthComputable ? event.total : 0 });
+  };
+  // Once the file is sent, the backend works on it until the response arrives
+  xhr.upload.onload = (event) => {
+    onProgress({ phase: 'transcribing', loaded: event.loaded, total: event.loaded });
+  };
+
+  // The signal may outlive the request, so its listener goes once the request ends
+  const abort = () => xhr.abort();
+  const settle = (settleWith, value) => {
+    signal.removeEventListener('abort', abort);
+    settleWith(value);
+  };
+
+  xhr.onload = () => {
+    settle(resolve, new Response(xhr.response, { status: xhr.status, statusText: xhr.statusText }));
+  };
+  xhr.onerror = () => settle(reject, new Error('Network error occurred'));
+  xhr.ontimeout = () => settle(reject, new Error(TRANSCRIPTION_TIMED_OUT));
+  xhr.onabort = () => settle(reject, createAbortError());
+
+  signal.addEventListener('abort', abort, { once: true });
+  xhr.send(formData);
+});
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Stops waiting
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const abort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  signal.addEventListener('abort', abort, { once: true });
+});
+
+/**
+ * Read the error message of a failed request
+ * @param {Response} response - Failed response
+ * @returns {Promise<string>} Error message
+ */
+const readError = async (response) => {
+  try {
+    const errorData = await response.json();
+    return errorData.error || TRANSCRIPTION_FAILED;
+  } catch {
+    return TRANSCRIPTION_FAILED;
+  }
+};
+
+/**
+ * Ask for the status of a job until it has finished
+ * @param {string} jobUrl - URL of the job
+ * @param {Object} context - How to follow the job
+ * @param {AbortSignal} context.signal - Stops following the job
+ * @param {Function} context.onUpdate - Called with each status
+ * @param {number} context.pollIntervalMs - Time between requests
+ * @returns {Promise<Object>} Final status of the job
+ */
+const pollJob = async (jobUrl, { signal, onUpdate, pollIntervalMs }) => {
+  for (;;) {
+    const response = await fetch(jobUrl, { headers: { 'Accept': 'application/json' }, signal });
+    if (!response.ok) {
+      throw new Error(await readError(response));
+    }
+
+    const job = await response.json();
+    onUpdate(job);
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      return job;
+    }
+    await wait(pollIntervalMs, signal);
+  }
+};
+
+/**
+ * Follow the server-sent events of a job until it has finished. Events are
+ * read through fetch rather than EventSource so they stop with the signal.
+ * @param {string} jobUrl - URL of the job
+ * @param {Object} context - How to follow the job (see pollJob)
+ * @returns {Promise<Object|null>} Final status of the job, or null when the stream ended
+ *   early or broke, so the job can be polled instead
+ */
+const followJobEvents = async (jobUrl, { signal, onUpdate }) => {
+  let reader = null;
+  try {
+    const response = await fetch(`${jobUrl}/events`, { headers: { 'Accept': 'text/event-stream' }, signal });
+    if (!response.ok || !response.body) {
+      return null;
+    }
+
+    reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+      buffer += decoder.decode(result.value, { stream: true });
+
+      // Events end with a blank line; keep the unfinished one for the next chunk
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+
+        const job = JSON.parse(data);
+        onUpdate(job);
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+          reader.cancel();
+          return job;
+        }
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
+    // A dropped connection or a garbled event is not the job failing
+    console.warn('Job event stream failed, polling instead:', error);
+    reader?.cancel().catch(() => {});
+  }
+
+  return null;
+};
+
+/**
+ * Wait for a transcription job and download its result. The job is followed
+ * through its event stream when the backend offers one, and by polling
+ * otherwise or when the stream ends or breaks; stopping the wait cancels the job.
+ * @param {Object} job - Job accepted by the backend ({ job_id, events })
+ * @param {Object} context - How to follow the job (see pollJob)
+ * @returns {Promise<Response>} Response holding the MIDI file
+ */
+const waitForJob = async (job, context) => {
+  const jobUrl = `${API_BASE_URL}/jobs/${encodeURIComponent(job.job_id)}`;
+  const cancelJob = () => {
+    fetch(jobUrl, { method: 'DELETE' }).catch(error => console.error('Failed to cancel the job:', error));
+  };
+  context.signal.addEventListener('abort', cancelJob);
+
+  try {
+    const finished = (job.events && await followJobEvents(jobUrl, context)) || await pollJob(jobUrl, context);
+    if (finished.status === 'failed') {
+      const reason = finished.error || finished.message;
+      throw new Error(reason ? `${TRANSCRIPTION_FAILED}: ${reason}` : TRANSCRIPTION_FAILED);
+    }
+    return await fetch(`${jobUrl}/result`, { signal: context.signal });
+  } finally {
+    context.signal.removeEventListener('abort', cancelJob);
+  }
+};
+
+/**
+ * Upload audio file to backend and get MIDI file in return. Backends that run
+ * transcriptions as jobs answer with 202 Accepted and a job id; the job is then
+ * followed until its MIDI file is ready. Others answer with the MIDI file itself.
  * @param {File} audioFile - The audio file to transcribe
- * @returns {Promise<{success: boolean, midiFile?: Blob, filename?: string, error?: string}>}
+ * @param {Object} options - Request options
+ * @param {Function} options.onProgress - Called with { phase: 'uploading' | 'queued' | 'transcribing', loaded, total, percent }
+ * @param {AbortSignal} options.signal - Cancels the transcription
+ * @param {number} options.timeoutMs - Gives up after this long (defaults to VITE_TRANSCRIBE_TIMEOUT_SECONDS);
+ *   for jobs, after this long without a status update
+ * @param {number} options.pollIntervalMs - Time between job status requests
+ * @param {Object} options.settings - Transcription options by name (see getTranscriptionCapabilities), sent as form fields
+ * @returns {Promise<{success: boolean, midiFile?: Blob, filename?: string, error?: string, cancelled?: boolean}>}
  */
-export const transcribeAudio = async (audioFile) => {
+export const transcribeAudio = async (audioFile, options = {}) => {
+  const {
+    onProgress,
+    signal,
+    timeoutMs = TRANSCRIBE_TIMEOUT_MS,
+    pollIntervalMs = JOB_POLL_INTERVAL_MS,
+    settings = {}
+  } = options;
+
+  // One controller for both ways of stopping, remembering which one it was
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeout;
+  const startTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const cancel = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', cancel, { once: true });
+  startTimeout();
+
+  // Job updates show the backend is still working, so each one restarts the timeout
+  const onJobUpdate = (job) => {
+    startTimeout();
+    onProgress?.({
+      phase: job.status === 'queued' ? 'queued' : 'transcribing',
+      percent: Number.isFinite(job.progress) ? job.progress : undefined
+    });
+  };
+
   try {
     const formData = new FormData();
     formData.append('audio_file', audioFile);
+    Object.entries(settings).forEach(([name, value]) => formData.append(name, String(value)));
     
-    const response = await fetch(`${API_BASE_URL}/transcribe`, {
-      method: 'POST',
-      body: formData,
-    });
+    const url = `${API_BASE_URL}/transcribe`;
+    // Backends without jobs ignore the preference and answer with the MIDI file
+    const headers = { 'Prefer': 'respond-async' };
+    const submitted = onProgress
+      ? await postWithProgress(url, formData, { headers, signal: controller.signal, onProgress })
+      : await fetch(url, {
+        method: 'POST',
+        headers,
+        body: formData,
+        signal: controller.signal,
+      });
+
+    const response = submitted.status === 202
+      ? await waitForJob(await submitted.json(), { signal: controller.signal, onUpdate: onJobUpdate, pollIntervalMs })
+      : submitted;
     
     if (response.ok) {
       const midiBlob = await response.blob();
@@ -128,18 +415,25 @@ export const transcribeAudio = async (audioFile) => {
         filename
       };
     } else {
-      const errorData = await response.json();
       return {
         success: false,
-        error: errorData.error || 'Transcription failed'
+        error: await readError(response)
       };
     }
   } catch (error) {
+    if (error.name === 'AbortError' || controller.signal.aborted) {
+      return timedOut
+        ? { success: false, error: TRANSCRIPTION_TIMED_OUT }
+        : { success: false, error: TRANSCRIPTION_CANCELLED, cancelled: true };
+    }
     console.error('Transcription error:', error);
     return {
       success: false,
       error: error.message || 'Network error occurred'
     };
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', cancel);
   }
 };
 
@@ -154,10 +448,19 @@ export const getErrorMessage = (error) => {
     'File type not supported': 'Please use WAV, MP3, FLAC, or M4A files',
     'Internal server error': 'Transcription service unavailable. Please try again.',
     'No audio file provided': 'Please select an audio file first',
-    'Network error occurred': 'Unable to connect to the transcription service'
+    'Network error occurred': 'Unable to connect to the transcription service',
+    [TRANSCRIPTION_TIMED_OUT]: 'The transcription took too long and was stopped. Try a shorter recording or try again later.',
+    [TRANSCRIPTION_CANCELLED]: 'The transcription was cancelled'
   };
   
-  return errorMessages[error] || 'An unexpected error occurred. Please try again.';
+  if (errorMessages[error]) {
+    return errorMessages[error];
+  }
+  // A failed job carries the backend's reason, which is worth showing as is
+  if (error?.startsWith(`${TRANSCRIPTION_FAILED}: `)) {
+    return error;
+  }
+  return 'An unexpected error occurred. Please try again.';
 };
 
 /**
@@ -165,8 +468,15 @@ export const getErrorMessage = (error) => {
  * @param {Blob} midiBlob - The MIDI file blob
  * @param {string} filename - The filename for the downloaded file
  */
-export const downloadMidiFile = (midiBlob, filename) => {
-  const url = URL.createObjectURL(midiBlob);
+export const downloadMidiFile = (midiBlob, filename) => downloadFile(midiBlob, filename);
+
+/**
+ * Download any file to user's device, e.g. an exported score
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The filename for the downloaded file
+ */
+export const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
   link.download = filename;
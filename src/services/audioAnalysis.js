@@ -0,0 +1,203 @@
+/**
+ * Audio Analysis Utilities
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module turns decoded audio into a waveform and a semitone spectrogram,
+ * so the uploaded recording can be laid out against the transcribed notes
+ */
+
+// The spectrogram has one row per piano key, A0 to C8
+export const SPECTROGRAM_MIN_MIDI = 21;
+export const SPECTROGRAM_MAX_MIDI = 108;
+
+// Audio is reduced to about this rate first; C8 (4186 Hz) is still below its Nyquist frequency
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+// FFT window length in samples at the analysis rate (about 186 ms, 5.4 Hz per bin)
+const FFT_SIZE = 2048;
+
+// Shortest hop between frames, and the most frames computed for one recording
+const MIN_HOP_SIZE = 128;
+const MAX_FRAMES = 6000;
+
+// Loudness range shown by the spectrogram, in dB below its loudest cell
+const DYNAMIC_RANGE = 70;
+
+// The loudest cell is taken to be at least this loud (about 54 dB below a
+// full-scale sine), so near-silent recordings stay dark instead of being scaled up
+const MIN_REFERENCE_DB = 0;
+
+/**
+ * Mix every channel of a decoded recording down to one
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Float32Array} Mono samples
+ */
+export const getMonoSamples = (audioBuffer) => {
+  const samples = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let index = 0; index < samples.length; index++) {
+      samples[index] += data[index] / audioBuffer.numberOfChannels;
+    }
+  }
+  return samples;
+};
+
+/**
+ * Get the lowest and highest sample of every slice of a recording
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} peaksPerSecond - Number of slices per second
+ * @returns {{min: Float32Array, max: Float32Array, peakDuration: number}} Peaks and the length of a slice in seconds
+ */
+export const computeWaveformPeaks = (audioBuffer, peaksPerSecond) => {
+  const samples = getMonoSamples(audioBuffer);
+  const samplesPerPeak = audioBuffer.sampleRate / peaksPerSecond;
+  const peakCount = Math.ceil(samples.length / samplesPerPeak);
+  const min = new Float32Array(peakCount);
+  const max = new Float32Array(peakCount);
+
+  for (let peak = 0; peak < peakCount; peak++) {
+    const end = Math.min(samples.length, Math.round((peak + 1) * samplesPerPeak));
+    for (let index = Math.round(peak * samplesPerPeak); index < end; index++) {
+      min[peak] = Math.min(min[peak], samples[index]);
+      max[peak] = Math.max(max[peak], samples[index]);
+    }
+  }
+
+  return { min, max, peakDuration: 1 / peaksPerSecond };
+};
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} real - Real parts, length a power of two
+ * @param {Float32Array} imag - Imaginary parts
+ */
+const fft = (real, imag) => {
+  const size = real.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < size; start += length) {
+      let twiddleReal = 1;
+      let twiddleImag = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const even = start + k;
+        const odd = even + length / 2;
+        const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+        const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+        [twiddleReal, twiddleImag] = [
+          twiddleReal * stepReal - twiddleImag * stepImag,
+          twiddleReal * stepImag + twiddleImag * stepReal
+        ];
+      }
+    }
+  }
+};
+
+/**
+ * Compute a spectrogram with one row per semitone, so it lines up with the
+ * pitch axis of a piano roll. Each row takes the strongest FFT bin within a
+ * quarter tone of the pitch, or the interpolated magnitude at the pitch where
+ * the semitones are narrower than a bin.
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {{values: Float32Array, frameCount: number, frameDuration: number, minMidi: number, maxMidi: number}}
+ *   Loudness from 0 to 1 for every frame and pitch (frame-major, lowest pitch first).
+ *   Frame `i` is centered on `i * frameDuration` seconds.
+ */
+export const computeSpectrogram = (audioBuffer) => {
+  // Average groups of samples down to the analysis rate, which also low-passes them
+  const samples = getMonoSamples(audioBuffer);
+  const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / ANALYSIS_SAMPLE_RATE));
+  const sampleRate = audioBuffer.sampleRate / factor;
+  const reduced = new Float32Array(Math.floor(samples.length / factor));
+  for (let index = 0; index < reduced.length; index++) {
+    let sum = 0;
+    for (let offset = 0; offset < factor; offset++) {
+      sum += samples[index * factor + offset];
+    }
+    reduced[index] = sum / factor;
+  }
+
+  const hopSize = Math.max(MIN_HOP_SIZE, Math.ceil(reduced.length / MAX_FRAMES));
+  const frameCount = Math.ceil(reduced.length / hopSize);
+  const pitchCount = SPECTROGRAM_MAX_MIDI - SPECTROGRAM_MIN_MIDI + 1;
+  const binWidth = sampleRate / FFT_SIZE;
+
+  const window = Float32Array.from({ length: FFT_SIZE }, (_, index) => (
+    0.5 - 0.5 * Math.cos(2 * Math.PI * index / (FFT_SIZE - 1))
+  ));
+
+  // FFT bins each pitch row reads: [center, first, last], in fractional/whole bins
+  const pitchBins = Array.from({ length: pitchCount }, (_, row) => {
+    const midi = SPECTROGRAM_MIN_MIDI + row;
+    const frequency = (offset) => 440 * 2 ** ((midi + offset - 69) / 12);
+    return [
+      frequency(0) / binWidth,
+      Math.ceil(frequency(-0.5) / binWidth),
+      Math.min(FFT_SIZE / 2, Math.floor(frequency(0.5) / binWidth))
+    ];
+  });
+
+  const values = new Float32Array(frameCount * pitchCount);
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  const magnitudes = new Float32Array(FFT_SIZE / 2 + 1);
+  let loudest = MIN_REFERENCE_DB;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    // Center the window on the frame time, padding with silence at the edges
+    const start = frame * hopSize - FFT_SIZE / 2;
+    for (let index = 0; index < FFT_SIZE; index++) {
+      real[index] = (reduced[start + index] || 0) * window[index];
+      imag[index] = 0;
+    }
+    fft(real, imag);
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      magnitudes[bin] = Math.hypot(real[bin], imag[bin]);
+    }
+
+    pitchBins.forEach(([center, first, last], row) => {
+      const lower = Math.floor(center);
+      const fraction = center - lower;
+      // Pitches above the Nyquist frequency of low sample rates stay silent
+      let magnitude = (magnitudes[lower] || 0) * (1 - fraction) + (magnitudes[lower + 1] || 0) * fraction;
+      for (let bin = first; bin <= last; bin++) {
+        magnitude = Math.max(magnitude, magnitudes[bin]);
+      }
+      const decibels = 20 * Math.log10(magnitude + 1e-9);
+      values[frame * pitchCount + row] = decibels;
+      loudest = Math.max(loudest, decibels);
+    });
+  }
+
+  for (let index = 0; index < values.length; index++) {
+    values[index] = Math.min(1, Math.max(0, (values[index] - loudest + DYNAMIC_RANGE) / DYNAMIC_RANGE));
+  }
+
+  return {
+    values,
+    frameCount,
+    frameDuration: hopSize / sampleRate,
+    minMidi: SPECTROGRAM_MIN_MIDI,
+    maxMidi: SPECTROGRAM_MAX_MIDI
+  };
+};
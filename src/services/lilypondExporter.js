@@ -0,0 +1,203 @@
+/**
+ * LilyPond Exporter
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module writes the notated score (see buildScore) as a LilyPond (.ly)
+ * file, with the same spelling, measures and staves as the viewer, ready to
+ * be engraved or refined by hand
+ */
+
+import {
+  buildScore,
+  splitIntoNoteValues,
+  spellMidiNote,
+  getNoteMidi
+} from './midiProcessor';
+
+export const LILYPOND_MIME_TYPE = 'text/x-lilypond';
+
+// Oldest LilyPond release that reads the syntax written here
+const LILYPOND_VERSION = '2.24.0';
+
+// LilyPond duration of each VexFlow duration used by splitIntoNoteValues (without dots)
+const DURATIONS = { w: '1', h: '2', q: '4', 8: '8', 16: '16', 32: '32' };
+
+// Suffixes of LilyPond's default (Dutch) note names for each alteration
+const ACCIDENTALS = { '-2': 'eses', '-1': 'es', 0: '', 1: 'is', 2: 'isis' };
+
+// LilyPond's absolute octave marks count from the octave below middle C
+const UNMARKED_OCTAVE = 3;
+
+/**
+ * Escape text for use in a LilyPond string
+ * @param {*} value - Text
+ * @returns {string} Quoted string
+ */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Write a pitch name with its accidental, as used for notes and keys
+ * @param {string} letter - Note letter
+ * @param {number} alter - Alteration in semitones
+ * @returns {string} e.g. 'fis' or 'bes'
+ */
+const toPitchName = (letter, alter) => {
+  const name = letter.toLowerCase() + ACCIDENTALS[alter];
+  // 'ees' and 'aes' are shortened to 'es' and 'as' in Dutch
+  return name.replace(/^([ea])e(s+)/, '$1$2');
+};
+
+/**
+ * Write a MIDI note in absolute LilyPond pitch notation
+ * @param {number} midi - MIDI note number
+ * @param {string} keyId - Key used for spelling
+ * @returns {string} e.g. "c'" for middle C
+ */
+const toLilyPondPitch = (midi, keyId) => {
+  const { letter, alter, octave } = spellMidiNote(midi, keyId);
+  const marks = octave - UNMARKED_OCTAVE;
+  return toPitchName(letter, alter) + (marks > 0 ? "'".repeat(marks) : ','.repeat(-marks));
+};
+
+/**
+ * Write the notes and rests of one staff of a measure
+ * @param {Object} measure - Measure from buildMeasures
+ * @param {Object} context - Where the measure sits
+ * @param {string} context.keyId - Key used for spelling
+ * @param {Array<number>} context.timeSignature - Time signature, for full-measure rests
+ * @returns {string} LilyPond music
+ */
+const writeMeasure = (measure, context) => {
+  const { keyId, timeSignature } = context;
+  const tokens = [];
+  let openTuplet = null; // { length, filled } of the triplet being written
+
+  // A triplet group cut short by a plain value or the barline still has to be closed
+  const closeTuplet = () => {
+    if (openTuplet) {
+      openTuplet = null;
+      tokens.push('}');
+    }
+  };
+
+  measure.events.forEach(event => {
+    if (event.fullMeasure) {
+      const [beats, beatType] = timeSignature;
+      tokens.push(beats === beatType ? 'R1' : `R1*${beats}/${beatType}`);
+      return;
+    }
+
+    const pitches = event.rest ? [] : event.notes.map(note => toLilyPondPitch(getNoteMidi(note), keyId));
+    const values = splitIntoNoteValues(event.length);
+    values.forEach((value, index) => {
+      if (!value.tuplet) {
+        closeTuplet();
+      } else if (!openTuplet) {
+        // Three triplet values take the time of two normal ones
+        openTuplet = { length: value.divisions * 3, filled: 0 };
+        tokens.push('\\tuplet 3/2 {');
+      }
+
+      const duration = DURATIONS[value.vexflow.replace('d', '')] + (value.vexflow.endsWith('d') ? '.' : '');
+      const isTied = !event.rest && (index < values.length - 1 || event.tie);
+      let token = 'r';
+      if (pitches.length === 1) {
+        token = pitches[0];
+      } else if (pitches.length > 1) {
+        token = `<${pitches.join(' ')}>`;
+      }
+      tokens.push(`${token}${duration}${isTied ? '~' : ''}`);
+
+      if (value.tuplet) {
+        openTuplet.filled += value.divisions;
+        if (openTuplet.filled >= openTuplet.length) {
+          closeTuplet();
+        }
+      }
+    });
+  });
+  closeTuplet();
+
+  return tokens.join(' ');
+};
+
+/**
+ * Write one staff as a Staff context, one measure per line
+ * @param {Object} score - Score from buildScore
+ * @param {Object} staff - Staff of a part
+ * @param {Object} options - How the staff is introduced
+ * @param {string} options.name - Instrument name, when the staff carries it
+ * @param {boolean} options.withTempo - Whether the staff shows the tempo mark
+ * @returns {Array<string>} Lines of LilyPond input
+ */
+const writeStaff = (score, staff, options) => {
+  const { key, timeSignature, tempo } = score;
+  const keyName = toPitchName(key.tonic[0], { '#': 1, b: -1 }[key.tonic[1]] || 0);
+  const context = options.name ? ` \\with { instrumentName = ${quote(options.name)} }` : '';
+
+  return [
+    `\\new Staff${context} {`,
+    `  \\clef ${staff.clef}`,
+    `  \\key ${keyName} \\${key.mode}`,
+    `  \\time ${timeSignature.join('/')}`,
+    options.withTempo && `  \\tempo 4 = ${tempo}`,
+    ...staff.measures.map(measure => `  ${writeMeasure(measure, { keyId: key.id, timeSignature })} |`),
+    '  \\bar "|."',
+    '}'
+  ].filter(Boolean);
+};
+
+/**
+ * Convert parsed MIDI data to a LilyPond document
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options, as used by the viewer (see buildScore)
+ * @returns {string} LilyPond document
+ */
+export const convertMidiToLilyPond = (midiData, options = {}) => {
+  const score = buildScore(midiData, options);
+  const indent = (lines) => lines.map(line => `  ${line}`);
+
+  const parts = score.parts.flatMap((part, partIndex) => {
+    const staves = part.staves.map((staff, staffIndex) => writeStaff(score, staff, {
+      // A grand staff is named once, on its brace
+      name: part.staves.length > 1 ? '' : part.name,
+      withTempo: partIndex === 0 && staffIndex === 0
+    }));
+
+    if (staves.length === 1) {
+      return staves[0];
+    }
+    return [
+      `\\new PianoStaff \\with { instrumentName = ${quote(part.name)} } <<`,
+      ...indent(staves.flat()),
+      '>>'
+    ];
+  });
+
+  return [
+    `\\version ${quote(LILYPOND_VERSION)}`,
+    '',
+    '\\header {',
+    `  title = ${quote(score.title)}`,
+    `  tagline = ${quote('Audio to MIDI Converter by Sergie Code')}`,
+    '}',
+    '',
+    '\\score {',
+    '  <<',
+    ...indent(indent(parts)),
+    '  >>',
+    '  \\layout { }',
+    '}',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Write parsed MIDI data as a LilyPond file
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options (see buildScore)
+ * @returns {Blob} .ly file
+ */
+export const exportLilyPondBlob = (midiData, options = {}) => (
+  new Blob([convertMidiToLilyPond(midiData, options)], { type: LILYPOND_MIME_TYPE })
+);
@@ -0,0 +1,157 @@
+/**
+ * MIDI Editing Utilities
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module edits parsed MIDI data without mutating it, and writes the
+ * result back to a Standard MIDI File for download
+ */
+
+import { Midi } from '@tonejs/midi';
+import { secondsToBeats, getNoteMidi, DEFAULT_PPQ, PITCH_NAMES } from './midiProcessor';
+
+// Velocity of notes added by hand, from 0 to 1
+export const DEFAULT_VELOCITY = 0.8;
+
+// MIDI channel reserved for percussion
+const PERCUSSION_CHANNEL = 9;
+
+/**
+ * Build a note in the shape produced by parseMidiBlob, deriving its name and
+ * tick positions from the pitch and times
+ * @param {Object} midiData - Parsed MIDI data the note belongs to (for its tempo map and PPQ)
+ * @param {Object} fields - Note fields
+ * @param {number} fields.midi - MIDI note number
+ * @param {number} fields.time - Start in seconds
+ * @param {number} fields.duration - Length in seconds
+ * @param {number} fields.velocity - Velocity from 0 to 1
+ * @returns {Object} Note
+ */
+export const createNote = (midiData, { midi, time, duration, velocity = DEFAULT_VELOCITY }) => {
+  const ppq = midiData.ppq || DEFAULT_PPQ;
+  const toTicks = (seconds) => Math.round(secondsToBeats(seconds, midiData.tempos) * ppq);
+  const pitch = PITCH_NAMES[midi % 12];
+  const octave = Math.floor(midi / 12) - 1;
+
+  return {
+    name: `${pitch}${octave}`,
+    midi,
+    time,
+    duration,
+    ticks: toTicks(time),
+    durationTicks: toTicks(time + duration) - toTicks(time),
+    velocity,
+    octave,
+    pitch
+  };
+};
+
+/**
+ * Replace the notes of one track, keeping them in time order and the overall
+ * duration up to date
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} trackIndex - Index of the track to change
+ * @param {Function} update - Receives the track's notes and returns the new ones
+ * @returns {Object} New MIDI data
+ */
+const updateTrackNotes = (midiData, trackIndex, update) => {
+  const tracks = midiData.tracks.map((track, index) => (
+    index === trackIndex
+      ? { ...track, notes: update(track.notes).sort((a, b) => a.time - b.time || a.midi - b.midi) }
+      : track
+  ));
+  const duration = tracks.reduce((end, track) => (
+    track.notes.reduce((trackEnd, note) => Math.max(trackEnd, note.time + note.duration), end)
+  ), 0);
+
+  return { ...midiData, tracks, duration };
+};
+
+/**
+ * Add a note to a track
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} trackIndex - Index of the track
+ * @param {Object} note - Note from createNote
+ * @returns {Object} New MIDI data
+ */
+export const addNote = (midiData, trackIndex, note) => (
+  updateTrackNotes(midiData, trackIndex, notes => [...notes, note])
+);
+
+/**
+ * Remove a note from a track
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} trackIndex - Index of the track
+ * @param {Object} note - The note to remove (matched by identity)
+ * @returns {Object} New MIDI data
+ */
+export const removeNote = (midiData, trackIndex, note) => (
+  updateTrackNotes(midiData, trackIndex, notes => notes.filter(other => other !== note))
+);
+
+/**
+ * Replace a note of a track, e.g. after moving, resizing or changing its velocity
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} trackIndex - Index of the track
+ * @param {Object} note - The note to replace (matched by identity)
+ * @param {Object} replacement - Note from createNote
+ * @returns {Object} New MIDI data
+ */
+export const replaceNote = (midiData, trackIndex, note, replacement) => (
+  updateTrackNotes(midiData, trackIndex, notes => notes.map(other => (other === note ? replacement : other)))
+);
+
+/**
+ * Write parsed (and possibly edited) MIDI data to a Standard MIDI File. Notes
+ * are placed from their times in seconds, so the file plays exactly as shown,
+ * with the tempo map and time signature (including estimated ones) in its header.
+ * @param {Object} midiData - Parsed MIDI data
+ * @returns {Blob} MIDI file
+ */
+export const exportMidiBlob = (midiData) => {
+  const midi = new Midi();
+  const sourcePpq = midiData.ppq || DEFAULT_PPQ;
+  const toTicks = (seconds) => Math.round(secondsToBeats(seconds, midiData.tempos) * midi.header.ppq);
+  const rescaleTicks = (ticks = 0) => Math.round(ticks * midi.header.ppq / sourcePpq);
+
+  midi.header.name = midiData.name || '';
+  midi.header.tempos = (midiData.tempos || []).map(tempo => ({ bpm: tempo.bpm, ticks: rescaleTicks(tempo.ticks) }));
+  midi.header.timeSignatures = (midiData.timeSignatures || []).map(timeSignature => ({
+    ticks: rescaleTicks(timeSignature.ticks),
+    timeSignature: timeSignature.timeSignature
+  }));
+  midi.header.update();
+
+  let nextChannel = 0;
+  midiData.tracks.forEach(sourceTrack => {
+    const track = midi.addTrack();
+    track.name = sourceTrack.name || '';
+    if (sourceTrack.instrument?.percussion) {
+      track.channel = PERCUSSION_CHANNEL;
+    } else {
+      track.channel = nextChannel;
+      nextChannel = (nextChannel + 1) % 16;
+      if (nextChannel === PERCUSSION_CHANNEL) {
+        nextChannel++;
+      }
+      if (Number.isFinite(sourceTrack.instrument?.number)) {
+        track.instrument.number = sourceTrack.instrument.number;
+      }
+    }
+
+    sourceTrack.notes.forEach(note => {
+      const pitch = getNoteMidi(note);
+      if (!Number.isFinite(pitch)) {
+        return;
+      }
+      const ticks = toTicks(note.time);
+      track.addNote({
+        midi: pitch,
+        ticks,
+        durationTicks: Math.max(1, toTicks(note.time + note.duration) - ticks),
+        velocity: note.velocity ?? DEFAULT_VELOCITY
+      });
+    });
+  });
+
+  return new Blob([midi.toArray()], { type: 'audio/midi' });
+};
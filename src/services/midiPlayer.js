@@ -0,0 +1,482 @@
+/**
+ * MIDI Playback Engine
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module plays parsed MIDI data through the Web Audio API with a small
+ * oscillator synthesizer, so transcriptions can be auditioned in the browser
+ */
+
+// Playback speeds offered to the user, as multiples of the original tempo
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+// How often the scheduler runs, and how far ahead (in seconds) it schedules notes
+const SCHEDULER_INTERVAL = 25;
+const LOOKAHEAD = 0.1;
+
+// Synth envelope, in seconds
+const ATTACK = 0.01;
+const RELEASE = 0.15;
+
+// Loudness of a note played at full velocity
+const PEAK_GAIN = 0.25;
+
+// Mix between the original recording (0) and the synthesized MIDI (1)
+const DEFAULT_MIX = 1;
+
+/**
+ * Get the frequency of a MIDI note number
+ * @param {number} midi - MIDI note number (69 = A4)
+ * @returns {number} Frequency in Hz
+ */
+export const midiToFrequency = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/**
+ * Get the gains of an equal-power crossfade, so the overall loudness stays
+ * level while moving between the two sides
+ * @param {number} mix - 0 for the original recording only, 1 for the MIDI only
+ * @returns {{original: number, midi: number}} Gain of each side
+ */
+export const getCrossfadeGains = (mix) => ({
+  original: Math.cos(mix * Math.PI / 2),
+  midi: Math.sin(mix * Math.PI / 2)
+});
+
+/**
+ * Create a playback engine for parsed MIDI data. Notes are scheduled a little
+ * ahead of time on the audio clock, and every track is routed through its own
+ * gain so it can be muted or soloed while playing. The original recording can
+ * be loaded alongside and is started on the same clock, so both stay in
+ * lockstep and can be crossfaded for A/B comparison.
+ * @param {Object} options - Player options
+ * @param {AudioContext} options.audioContext - Audio context to play through (created on first play by default)
+ * @returns {Object} Player with load, update, loadOriginal, play, pause, stop, seek, setPlaybackRate,
+ *   setMix, setTrackMuted, setTrackSolo, getState, getOriginalBuffer, subscribe and dispose methods
+ */
+export const createMidiPlayer = (options = {}) => {
+  let audioContext = options.audioContext || null;
+  let masterGain = null;
+  let midiGain = null;
+  let originalGain = null;
+  let trackGains = [];
+  let events = [];
+  let midiDuration = 0;
+  let duration = 0;
+  let originalBuffer = null;
+  let originalSource = null;
+  let originalRequest = 0; // Only the latest loadOriginal call may set the buffer
+  let mix = DEFAULT_MIX;
+  let trackCount = 0;
+
+  let isPlaying = false;
+  let position = 0; // Song time (seconds) when paused, or when playback last started
+  let startAudioTime = 0; // Audio clock time matching `position` while playing
+  let playbackRate = 1;
+  let nextEventIndex = 0;
+  let schedulerId = null;
+
+  const mutedTracks = new Set();
+  const soloTracks = new Set();
+  const voices = new Set();
+  const listeners = new Set();
+
+  const getContext = () => {
+    if (!audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      audioContext = new AudioContextClass();
+    }
+    if (!masterGain) {
+      masterGain = audioContext.createGain();
+      masterGain.connect(audioContext.destination);
+      midiGain = audioContext.createGain();
+      midiGain.connect(masterGain);
+      originalGain = audioContext.createGain();
+      originalGain.connect(masterGain);
+      updateMixGains();
+    }
+    return audioContext;
+  };
+
+  const updateMixGains = () => {
+    if (!midiGain) {
+      return;
+    }
+    const gains = getCrossfadeGains(mix);
+    midiGain.gain.value = gains.midi;
+    originalGain.gain.value = gains.original;
+  };
+
+  const updateDuration = () => {
+    duration = Math.max(midiDuration, originalBuffer?.duration || 0);
+  };
+
+  const isTrackAudible = (track) => (soloTracks.size > 0 ? soloTracks.has(track) : !mutedTracks.has(track));
+
+  const updateTrackGains = () => {
+    trackGains.forEach((gainNode, track) => {
+      gainNode.gain.value = isTrackAudible(track) ? 1 : 0;
+    });
+  };
+
+  const getTrackGain = (track) => {
+    if (!trackGains[track]) {
+      const gainNode = audioContext.createGain();
+      gainNode.connect(midiGain);
+      trackGains[track] = gainNode;
+      updateTrackGains();
+    }
+    return trackGains[track];
+  };
+
+  const getCurrentTime = () => {
+    if (!isPlaying) {
+      return position;
+    }
+    return Math.min(duration, position + (audioContext.currentTime - startAudioTime) * playbackRate);
+  };
+
+  const getState = () => ({
+    isPlaying,
+    currentTime: getCurrentTime(),
+    duration,
+    playbackRate,
+    mix,
+    hasOriginal: originalBuffer !== null,
+    trackCount,
+    mutedTracks: [...mutedTracks],
+    soloTracks: [...soloTracks]
+  });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const startVoice = (event, when, length) => {
+    const oscillator = audioContext.createOscillator();
+    const envelope = audioContext.createGain();
+    const peak = PEAK_GAIN * (event.velocity ?? 0.8);
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = midiToFrequency(event.midi);
+    envelope.gain.setValueAtTime(0, when);
+    envelope.gain.linearRampToValueAtTime(peak, when + ATTACK);
+    envelope.gain.setTargetAtTime(0, when + Math.max(ATTACK, length), RELEASE / 3);
+
+    oscillator.connect(envelope);
+    envelope.connect(getTrackGain(event.track));
+    oscillator.start(when);
+    oscillator.stop(when + Math.max(ATTACK, length) + RELEASE);
+
+    const voice = { oscillator, envelope };
+    voices.add(voice);
+    oscillator.onended = () => {
+      voices.delete(voice);
+      envelope.disconnect();
+    };
+  };
+
+  // The recording plays as one source; changing speed changes its pitch too
+  const startOriginal = (from) => {
+    if (!originalBuffer || from >= originalBuffer.duration) {
+      return;
+    }
+    originalSource = audioContext.createBufferSource();
+    originalSource.buffer = originalBuffer;
+    originalSource.playbackRate.value = playbackRate;
+    originalSource.connect(originalGain);
+    originalSource.start(audioContext.currentTime, from);
+  };
+
+  // Fade out everything that is sounding or scheduled
+  const silenceVoices = () => {
+    const now = audioContext ? audioContext.currentTime : 0;
+    voices.forEach(({ oscillator, envelope }) => {
+      envelope.gain.cancelScheduledValues(now);
+      envelope.gain.setTargetAtTime(0, now, 0.01);
+      oscillator.stop(now + 0.05);
+    });
+    voices.clear();
+    if (originalSource) {
+      originalSource.stop();
+      originalSource.disconnect();
+      originalSource = null;
+    }
+  };
+
+  const findEventIndex = (time) => {
+    const index = events.findIndex(event => event.time >= time);
+    return index === -1 ? events.length : index;
+  };
+
+  const stopScheduler = () => {
+    if (schedulerId !== null) {
+      clearInterval(schedulerId);
+      schedulerId = null;
+    }
+  };
+
+  const schedule = () => {
+    const currentTime = getCurrentTime();
+    if (currentTime >= duration) {
+      // Reached the end: rewind so the next play starts from the top
+      stopScheduler();
+      isPlaying = false;
+      position = 0;
+      nextEventIndex = 0;
+      notify();
+      return;
+    }
+
+    const horizon = currentTime + LOOKAHEAD * playbackRate;
+    while (nextEventIndex < events.length && events[nextEventIndex].time < horizon) {
+      const event = events[nextEventIndex];
+      const when = startAudioTime + (event.time - position) / playbackRate;
+      startVoice(event, Math.max(when, audioContext.currentTime), event.duration / playbackRate);
+      nextEventIndex++;
+    }
+
+    notify();
+  };
+
+  // Anchor song time `from` to the audio clock and start scheduling
+  const startFrom = (from) => {
+    position = from;
+    startAudioTime = audioContext.currentTime;
+    nextEventIndex = findEventIndex(from);
+    stopScheduler();
+    startOriginal(from);
+    schedule();
+    if (isPlaying) {
+      schedulerId = setInterval(schedule, SCHEDULER_INTERVAL);
+    }
+  };
+
+  // Read the notes of every track into one time-ordered list of events
+  const setEvents = (midiData) => {
+    trackCount = midiData?.tracks?.length || 0;
+    events = (midiData?.tracks || [])
+      .flatMap((track, index) => track.notes.map(note => ({
+        track: index,
+        midi: note.midi,
+        time: note.time || 0,
+        duration: note.duration || 0,
+        velocity: note.velocity
+      })))
+      .sort((a, b) => a.time - b.time);
+    midiDuration = events.reduce((end, event) => Math.max(end, event.time + event.duration), midiData?.duration || 0);
+    updateDuration();
+  };
+
+  return {
+    /**
+     * Load parsed MIDI data, stopping any current playback
+     * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+     */
+    load(midiData) {
+      this.stop();
+      setEvents(midiData);
+      mutedTracks.clear();
+      soloTracks.clear();
+      updateTrackGains();
+      notify();
+    },
+
+    /**
+     * Replace the notes of the loaded score after it was edited, keeping the
+     * position, whether it is playing and the muted and soloed tracks
+     * @param {Object} midiData - Edited MIDI data
+     */
+    update(midiData) {
+      const currentTime = getCurrentTime();
+      setEvents(midiData);
+      updateTrackGains();
+      if (isPlaying) {
+        // Notes already scheduled were taken from the old score
+        silenceVoices();
+        startFrom(Math.min(currentTime, duration));
+      } else {
+        position = Math.min(position, duration);
+        notify();
+      }
+    },
+
+    /**
+     * Load the original recording to compare against the MIDI, stopping any
+     * current playback. Both start at the same song time.
+     * @param {File|Blob|null} file - Uploaded audio file, or null to remove it
+     * @returns {Promise<void>} Resolves once the audio has been decoded
+     */
+    async loadOriginal(file) {
+      this.stop();
+      const request = ++originalRequest;
+      originalBuffer = null;
+      updateDuration();
+      notify();
+      if (!file) {
+        return;
+      }
+      const data = await file.arrayBuffer();
+      const buffer = await getContext().decodeAudioData(data);
+      if (request !== originalRequest) {
+        return;
+      }
+      originalBuffer = buffer;
+      updateDuration();
+      notify();
+    },
+
+    /**
+     * Start or resume playback from the current position
+     * @returns {Promise<void>} Resolves once the audio context is running
+     */
+    async play() {
+      if (isPlaying || duration === 0) {
+        return;
+      }
+      const context = getContext();
+      if (context.state === 'suspended') {
+        await context.resume();
+      }
+      isPlaying = true;
+      startFrom(position >= duration ? 0 : position);
+    },
+
+    /**
+     * Pause playback, keeping the current position
+     */
+    pause() {
+      if (!isPlaying) {
+        return;
+      }
+      position = getCurrentTime();
+      isPlaying = false;
+      stopScheduler();
+      silenceVoices();
+      notify();
+    },
+
+    /**
+     * Stop playback and rewind to the start
+     */
+    stop() {
+      isPlaying = false;
+      position = 0;
+      stopScheduler();
+      silenceVoices();
+      notify();
+    },
+
+    /**
+     * Jump to a position in the song
+     * @param {number} time - Song time in seconds
+     */
+    seek(time) {
+      const target = Math.min(Math.max(0, time), duration);
+      if (isPlaying) {
+        silenceVoices();
+        startFrom(target);
+      } else {
+        position = target;
+        notify();
+      }
+    },
+
+    /**
+     * Change the playback speed. MIDI notes keep their pitch; the original
+     * recording is resampled, so its pitch moves with the speed.
+     * @param {number} rate - Speed as a multiple of the original tempo (see PLAYBACK_RATES)
+     */
+    setPlaybackRate(rate) {
+      if (isPlaying) {
+        const currentTime = getCurrentTime();
+        playbackRate = rate;
+        // Notes already scheduled were timed for the old speed
+        silenceVoices();
+        startFrom(currentTime);
+      } else {
+        playbackRate = rate;
+        notify();
+      }
+    },
+
+    /**
+     * Crossfade between the original recording and the synthesized MIDI
+     * @param {number} value - 0 for the original only, 1 for the MIDI only, in between mixes both
+     */
+    setMix(value) {
+      mix = Math.min(Math.max(0, value), 1);
+      updateMixGains();
+      notify();
+    },
+
+    /**
+     * Mute or unmute a track
+     * @param {number} track - Track index
+     * @param {boolean} muted - Whether the track is muted
+     */
+    setTrackMuted(track, muted) {
+      if (muted) {
+        mutedTracks.add(track);
+      } else {
+        mutedTracks.delete(track);
+      }
+      updateTrackGains();
+      notify();
+    },
+
+    /**
+     * Solo a track: while any track is soloed, only soloed tracks are heard
+     * @param {number} track - Track index
+     * @param {boolean} solo - Whether the track is soloed
+     */
+    setTrackSolo(track, solo) {
+      if (solo) {
+        soloTracks.add(track);
+      } else {
+        soloTracks.delete(track);
+      }
+      updateTrackGains();
+      notify();
+    },
+
+    isTrackAudible,
+    getCurrentTime,
+    getState,
+
+    /**
+     * Get the decoded original recording
+     * @returns {AudioBuffer|null} The recording, or null when none is loaded
+     */
+    getOriginalBuffer() {
+      return originalBuffer;
+    },
+
+    /**
+     * Listen for state changes (play state, position, speed, mute/solo)
+     * @param {Function} listener - Called with the player state
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Stop playback and release the audio context
+     */
+    dispose() {
+      this.stop();
+      originalRequest++;
+      if (audioContext && !options.audioContext) {
+        audioContext.close();
+        audioContext = null;
+      }
+      masterGain?.disconnect();
+      masterGain = null;
+      midiGain = null;
+      originalGain = null;
+      originalBuffer = null;
+      trackGains = [];
+    }
+  };
+};
@@ -8,6 +8,152 @@
 
 import { Midi } from '@tonejs/midi';
 
+// Tempo assumed when the MIDI file carries no tempo events (the MIDI default)
+export const DEFAULT_BPM = 120;
+
+// Pulses per quarter note assumed when the header does not provide one
+export const DEFAULT_PPQ = 480;
+
+// Internal rhythmic resolution: divisions per quarter note. 48 is divisible by
+// both 16 (sixteenths, thirty-seconds) and 3 (triplets), so every grid below
+// maps onto whole numbers.
+export const DIVISIONS_PER_QUARTER = 48;
+
+// Available quantization grids, expressed in divisions
+export const QUANTIZE_GRIDS = {
+  '1/4': 48,
+  '1/8': 24,
+  '1/16': 12,
+  '1/32': 6,
+  '1/8T': 16,
+  '1/16T': 8
+};
+
+export const DEFAULT_QUANTIZE_GRID = '1/16';
+
+// Time signature assumed for measure building, as [numerator, denominator]
+export const DEFAULT_TIME_SIGNATURE = [4, 4];
+
+// Notes whose onsets lie within this many seconds are played as one chord
+export const DEFAULT_CHORD_TOLERANCE = 0.05;
+
+/**
+ * Default transcription cleanup: drop notes shorter than 50 ms or softer than
+ * velocity 10, join same-pitch fragments less than 30 ms apart and remove
+ * octave-error duplicates. A value of 0 (or false) turns a filter off.
+ */
+export const DEFAULT_CLEANUP_OPTIONS = {
+  minDuration: 0.05,
+  minVelocity: 10 / 127,
+  mergeGap: 0.03,
+  removeOctaveDuplicates: true
+};
+
+// An octave duplicate is at most this loud relative to the note it doubles
+const OCTAVE_DUPLICATE_VELOCITY_RATIO = 0.8;
+
+// Krumhansl-Kessler key profiles, indexed by semitones above the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Names of the twelve pitch classes as MIDI files spell them, with sharps
+export const PITCH_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Order in which sharps are added to a key signature (flats use the reverse)
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+const ACCIDENTAL_SYMBOLS = { '-2': 'bb', '-1': 'b', 0: '', 1: '#', 2: '##' };
+const ABC_ACCIDENTALS = { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' };
+
+/**
+ * Supported key signatures, ordered by number of fifths. `id` is the key name
+ * understood by both ABC (K: field) and VexFlow (e.g. 'Bb', 'Gm').
+ */
+export const KEY_SIGNATURES = [
+  ['Db', 'major', -5], ['Ab', 'major', -4], ['Eb', 'major', -3], ['Bb', 'major', -2],
+  ['F', 'major', -1], ['C', 'major', 0], ['G', 'major', 1], ['D', 'major', 2],
+  ['A', 'major', 3], ['E', 'major', 4], ['B', 'major', 5], ['F#', 'major', 6],
+  ['Eb', 'minor', -6], ['Bb', 'minor', -5], ['F', 'minor', -4], ['C', 'minor', -3],
+  ['G', 'minor', -2], ['D', 'minor', -1], ['A', 'minor', 0], ['E', 'minor', 1],
+  ['B', 'minor', 2], ['F#', 'minor', 3], ['C#', 'minor', 4], ['G#', 'minor', 5]
+].map(([tonic, mode, fifths]) => ({
+  id: mode === 'minor' ? `${tonic}m` : tonic,
+  tonic,
+  mode,
+  fifths,
+  name: `${tonic} ${mode}`
+}));
+
+/**
+ * Transposing instruments. `semitones` is how far their written part sits above
+ * concert pitch, and `range` is their playable written range as MIDI numbers.
+ */
+export const TRANSPOSING_INSTRUMENTS = [
+  { id: 'bb-trumpet', name: 'Bb Trumpet', semitones: 2, range: [54, 86] }, // F#3-D6
+  { id: 'eb-alto-sax', name: 'Eb Alto Sax', semitones: 9, range: [58, 89] }, // Bb3-F6
+  { id: 'f-horn', name: 'F Horn', semitones: 7, range: [42, 84] } // F#2-C6
+];
+
+// Tempo range (BPM) that onset intervals are folded into when estimating tempo
+const TEMPO_RANGE = [70, 140];
+
+// Accent templates per eighth note used to estimate the meter. Values are
+// relative weights of each position within one measure.
+const METER_TEMPLATES = [
+  { timeSignature: [4, 4], accents: [4, 0, 1, 0, 2, 0, 1, 0] },
+  { timeSignature: [3, 4], accents: [4, 0, 1, 0, 1, 0] },
+  { timeSignature: [6, 8], accents: [4, 0, 0, 2, 0, 0] }
+];
+
+// Number of measures per line in ABC output
+const MEASURES_PER_LINE = 4;
+
+// Lowest note (MIDI number) of the right hand when splitting piano parts;
+// middle C goes to the treble staff
+export const DEFAULT_SPLIT_POINT = 60;
+
+// How far (in semitones) a hand may cross the split point, and the widest
+// chord a single hand is expected to play
+const HAND_CROSSING = 5;
+const HAND_SPAN = 14;
+
+// Notes a clef can show with at most three ledger lines (MIDI numbers)
+const CLEF_RANGES = {
+  treble: [57, 84],
+  bass: [36, 64]
+};
+
+// Staff layouts offered for each part
+export const STAFF_LAYOUTS = {
+  auto: 'Auto',
+  grand: 'Grand staff',
+  single: 'Single staff'
+};
+
+// Middle-line pitch used to place rests on each clef
+const REST_KEYS = { treble: 'B/4', bass: 'D/3' };
+
+// Written note values in divisions, longest first. Triplet values are only
+// used when a duration cannot be expressed with plain or dotted values.
+const NOTE_VALUES = [
+  { divisions: 192, vexflow: 'w' },
+  { divisions: 144, vexflow: 'hd' },
+  { divisions: 96, vexflow: 'h' },
+  { divisions: 72, vexflow: 'qd' },
+  { divisions: 48, vexflow: 'q' },
+  { divisions: 36, vexflow: '8d' },
+  { divisions: 32, vexflow: 'q', tuplet: true },
+  { divisions: 24, vexflow: '8' },
+  { divisions: 18, vexflow: '16d' },
+  { divisions: 16, vexflow: '8', tuplet: true },
+  { divisions: 12, vexflow: '16' },
+  { divisions: 8, vexflow: '16', tuplet: true },
+  { divisions: 6, vexflow: '32' }
+];
+
 /**
  * Parse MIDI blob and extract note data
  * @param {Blob} midiBlob - The MIDI file blob from the backend
@@ -17,10 +163,45 @@ export const parseMidiBlob = async (midiBlob) => {
   try {
     const arrayBuffer = await midiBlob.arrayBuffer();
     const midi = new Midi(arrayBuffer);
+    const ppq = midi.header?.ppq || DEFAULT_PPQ;
+    const allNotes = midi.tracks.flatMap(track => track.notes);
+    
+    // Tempo and meter come from the file's meta events when present,
+    // otherwise they are estimated from the note onsets
+    let tempos = (midi.header?.tempos || []).map(tempo => ({
+      bpm: tempo.bpm,
+      ticks: tempo.ticks,
+      time: tempo.time
+    }));
+    const tempoEstimated = tempos.length === 0;
+    if (tempoEstimated) {
+      tempos = [{ bpm: estimateTempo(allNotes), ticks: 0, time: 0, estimated: true }];
+    }
+    
+    let timeSignatures = (midi.header?.timeSignatures || []).map(timeSignature => ({
+      ticks: timeSignature.ticks,
+      timeSignature: timeSignature.timeSignature,
+      measures: timeSignature.measures
+    }));
+    if (timeSignatures.length === 0) {
+      timeSignatures = [{
+        ticks: 0,
+        timeSignature: estimateTimeSignature(allNotes, tempos[0].bpm),
+        measures: 0,
+        estimated: true
+      }];
+    }
+    
+    // Ticks in the file assume its own (default) tempo, so re-derive them
+    // from seconds when the tempo was estimated
+    const toTicks = (seconds) => Math.round(secondsToBeats(seconds, tempos) * ppq);
     
     return {
       name: midi.name,
       duration: midi.duration,
+      ppq,
+      tempos,
+      timeSignatures,
       tracks: midi.tracks.map(track => ({
         name: track.name,
         instrument: track.instrument,
@@ -29,6 +210,10 @@ export const parseMidiBlob = async (midiBlob) => {
           midi: note.midi,
           time: note.time,
           duration: note.duration,
+          ticks: tempoEstimated ? toTicks(note.time) : note.ticks,
+          durationTicks: tempoEstimated
+            ? toTicks(note.time + note.duration) - toTicks(note.time)
+            : note.durationTicks,
           velocity: note.velocity,
           octave: note.octave,
           pitch: note.pitch
@@ -42,31 +227,697 @@ export const parseMidiBlob = async (midiBlob) => {
 };
 
 /**
- * Convert MIDI note to ABC notation format
- * @param {Object} note - MIDI note object
- * @returns {string} ABC notation for the note
+ * Estimate the tempo from note onsets. Intervals between nearby onsets are
+ * folded into TEMPO_RANGE and the most common beat length wins.
+ * @param {Array} notes - Notes with `time` in seconds
+ * @returns {number} Estimated tempo in quarter-note BPM
  */
-export const convertNoteToABC = (note) => {
-  // Basic note mapping (simplified)
-  const noteMap = {
-    'C': 'C',
-    'C#': '^C',
-    'D': 'D',
-    'D#': '^D',
-    'E': 'E',
-    'F': 'F',
-    'F#': '^F',
-    'G': 'G',
-    'G#': '^G',
-    'A': 'A',
-    'A#': '^A',
-    'B': 'B'
+export const estimateTempo = (notes) => {
+  const onsets = [...new Set(notes.map(note => Math.round(note.time * 100) / 100))].sort((a, b) => a - b);
+  if (onsets.length < 3) return DEFAULT_BPM;
+
+  const [minBpm, maxBpm] = TEMPO_RANGE;
+  const votes = new Map();
+
+  onsets.forEach((onset, index) => {
+    // Look a few onsets ahead so that syncopations do not dominate
+    for (let next = index + 1; next < Math.min(onsets.length, index + 5); next++) {
+      let interval = onsets[next] - onset;
+      while (interval < 60 / maxBpm) interval *= 2;
+      while (interval > 60 / minBpm) interval /= 2;
+
+      const bpm = Math.round(60 / interval);
+      votes.set(bpm, (votes.get(bpm) || 0) + 1 / (next - index));
+    }
+  });
+
+  // Let neighbouring tempi support each other to absorb timing jitter
+  let best = { bpm: DEFAULT_BPM, score: 0 };
+  votes.forEach((_, bpm) => {
+    const score = [-2, -1, 0, 1, 2].reduce((sum, offset) => sum + (votes.get(bpm + offset) || 0), 0);
+    if (score > best.score) {
+      best = { bpm, score };
+    }
+  });
+
+  return best.bpm;
+};
+
+/**
+ * Estimate the meter by comparing the accent pattern of the notes (louder,
+ * longer and stacked notes count more) with METER_TEMPLATES
+ * @param {Array} notes - Notes with `time`, `duration` and `velocity`
+ * @param {number} bpm - Tempo in quarter-note BPM
+ * @returns {Array} Time signature as [numerator, denominator]
+ */
+export const estimateTimeSignature = (notes, bpm = DEFAULT_BPM) => {
+  const eighth = 30 / bpm;
+  const accents = [];
+
+  notes.forEach(note => {
+    const position = note.time / eighth;
+    const index = Math.round(position);
+    if (Math.abs(position - index) > 0.25) return; // Off the eighth-note grid
+
+    const weight = (note.velocity ?? 1) * (1 + Math.min((note.duration || 0) / eighth, 4));
+    accents[index] = (accents[index] || 0) + weight;
+  });
+
+  // Two measures of the longest template are needed for a meaningful guess
+  if (accents.length < 16) return DEFAULT_TIME_SIGNATURE;
+
+  const normalize = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const centered = values.map(value => value - mean);
+    const norm = Math.sqrt(centered.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return centered.map(value => value / norm);
   };
+
+  let best = null;
+  METER_TEMPLATES.forEach(({ timeSignature, accents: template }) => {
+    // Average accent at each position of the measure
+    const profile = template.map((_, position) => {
+      let sum = 0;
+      let count = 0;
+      for (let index = position; index < accents.length; index += template.length) {
+        sum += accents[index] || 0;
+        count++;
+      }
+      return sum / count;
+    });
+
+    const normalizedTemplate = normalize(template);
+    const score = normalize(profile).reduce((sum, value, position) => sum + value * normalizedTemplate[position], 0);
+    if (!best || score > best.score) {
+      best = { timeSignature, score };
+    }
+  });
+
+  return best.timeSignature;
+};
+
+/**
+ * Get the time signature of the piece (the first one in the file)
+ * @param {Object} midiData - Parsed MIDI data
+ * @returns {Array} Time signature as [numerator, denominator]
+ */
+export const getTimeSignature = (midiData) => (
+  midiData?.timeSignatures?.[0]?.timeSignature || DEFAULT_TIME_SIGNATURE
+);
+
+/**
+ * Get the opening tempo of the piece
+ * @param {Object} midiData - Parsed MIDI data
+ * @returns {number} Tempo in quarter-note BPM, rounded
+ */
+export const getTempo = (midiData) => Math.round(
+  [...(midiData?.tempos || [])].sort((a, b) => a.time - b.time)[0]?.bpm || DEFAULT_BPM
+);
+
+/**
+ * Sort tempo events into a tempo map that starts at time 0
+ * @param {Array} tempos - Tempo events ({ bpm, time }) from parseMidiBlob
+ * @returns {Array} Tempo map, ordered by time
+ */
+const getTempoMap = (tempos = []) => {
+  const tempoMap = [...tempos]
+    .filter(tempo => tempo.bpm > 0 && Number.isFinite(tempo.time))
+    .sort((a, b) => a.time - b.time);
+
+  // The MIDI default tempo applies until the first tempo event
+  if (tempoMap.length === 0 || tempoMap[0].time > 0) {
+    tempoMap.unshift({ bpm: DEFAULT_BPM, time: 0 });
+  }
+
+  return tempoMap;
+};
+
+/**
+ * Convert a time in seconds to quarter-note beats using a tempo map
+ * @param {number} seconds - Time in seconds
+ * @param {Array} tempos - Tempo events ({ bpm, time }) from parseMidiBlob
+ * @returns {number} Position in quarter-note beats
+ */
+export const secondsToBeats = (seconds, tempos = []) => {
+  const tempoMap = getTempoMap(tempos);
+
+  let beats = 0;
+  tempoMap.forEach((tempo, index) => {
+    const segmentEnd = Math.min(seconds, tempoMap[index + 1]?.time ?? Infinity);
+    if (segmentEnd > tempo.time) {
+      beats += (segmentEnd - tempo.time) * tempo.bpm / 60;
+    }
+  });
+
+  return beats;
+};
+
+/**
+ * Convert a position in quarter-note beats to seconds using a tempo map
+ * (the inverse of secondsToBeats)
+ * @param {number} beats - Position in quarter-note beats
+ * @param {Array} tempos - Tempo events ({ bpm, time }) from parseMidiBlob
+ * @returns {number} Time in seconds
+ */
+export const beatsToSeconds = (beats, tempos = []) => {
+  const tempoMap = getTempoMap(tempos);
+
+  let remaining = beats;
+  for (let index = 0; index < tempoMap.length; index++) {
+    const tempo = tempoMap[index];
+    const next = tempoMap[index + 1];
+    const segmentBeats = next ? (next.time - tempo.time) * tempo.bpm / 60 : Infinity;
+    if (remaining <= segmentBeats) {
+      return tempo.time + remaining * 60 / tempo.bpm;
+    }
+    remaining -= segmentBeats;
+  }
+
+  return 0;
+};
+
+/**
+ * Get the start and end of a note in quarter-note beats. Tick positions are
+ * used when available since they are exact; otherwise seconds are converted
+ * through the tempo map.
+ * @param {Object} note - Note from parseMidiBlob
+ * @param {Object} midiData - Parsed MIDI data (ppq and tempos)
+ * @returns {{start: number, end: number}} Note boundaries in beats
+ */
+const getNoteBeats = (note, midiData = {}) => {
+  if (Number.isFinite(note.ticks) && Number.isFinite(note.durationTicks) && midiData.ppq) {
+    return {
+      start: note.ticks / midiData.ppq,
+      end: (note.ticks + note.durationTicks) / midiData.ppq
+    };
+  }
+
+  const tempos = midiData.tempos || [];
+  const time = note.time || 0;
+  return {
+    start: secondsToBeats(time, tempos),
+    end: secondsToBeats(time + (note.duration || 0), tempos)
+  };
+};
+
+/**
+ * Snap notes to a rhythmic grid. Adds `onset` and `length` (in divisions,
+ * see DIVISIONS_PER_QUARTER) to each note; the original timing is kept.
+ * @param {Array} notes - Notes from parseMidiBlob
+ * @param {Object} midiData - Parsed MIDI data providing the tempo map
+ * @param {Object} options - Quantization options
+ * @param {string} options.grid - One of the QUANTIZE_GRIDS keys
+ * @returns {Array} Quantized notes sorted by onset
+ */
+export const quantizeNotes = (notes, midiData = {}, options = {}) => {
+  const step = QUANTIZE_GRIDS[options.grid] || QUANTIZE_GRIDS[DEFAULT_QUANTIZE_GRID];
+  const snap = (beats) => Math.round(beats * DIVISIONS_PER_QUARTER / step) * step;
+
+  return notes
+    .map(note => {
+      const { start, end } = getNoteBeats(note, midiData);
+      const onset = snap(start);
+      return {
+        ...note,
+        onset,
+        // Never let a note collapse to nothing: keep at least one grid step
+        length: Math.max(step, snap(end) - onset)
+      };
+    })
+    .sort((a, b) => a.onset - b.onset || (a.midi || 0) - (b.midi || 0));
+};
+
+/**
+ * Get the MIDI number of a note, reading it from the note name if needed
+ * @param {Object} note - Note with `midi` or a name like 'C#4'
+ * @returns {number} MIDI note number (NaN when unknown)
+ */
+export const getNoteMidi = (note) => {
+  if (Number.isFinite(note.midi)) return note.midi;
+
+  const match = note.name?.match(/^([A-G])(#{1,2}|b{1,2})?(-?\d+)$/);
+  if (!match) return NaN;
+
+  const [, letter, accidental = '', octave] = match;
+  const alter = accidental.startsWith('#') ? accidental.length : -accidental.length;
+  return (parseInt(octave) + 1) * 12 + NATURAL_PITCH_CLASSES[letter] + alter;
+};
+
+/**
+ * Look up a key signature by id, falling back to C major
+ * @param {string} keyId - Key id from KEY_SIGNATURES, e.g. 'Bb' or 'Gm'
+ * @returns {Object} Key signature
+ */
+export const getKeySignature = (keyId) => (
+  KEY_SIGNATURES.find(key => key.id === keyId) || KEY_SIGNATURES.find(key => key.id === 'C')
+);
+
+/**
+ * Get the alteration the key signature applies to each letter
+ * @param {Object} key - Key signature
+ * @returns {Object} Map of letter to alteration (-1, 0 or 1)
+ */
+const getKeyAlterations = (key) => {
+  const altered = key.fifths >= 0
+    ? SHARP_ORDER.slice(0, key.fifths)
+    : [...SHARP_ORDER].reverse().slice(0, -key.fifths);
+
+  return Object.fromEntries(LETTERS.map(letter => [
+    letter,
+    altered.includes(letter) ? Math.sign(key.fifths) : 0
+  ]));
+};
+
+/**
+ * Spell a MIDI note relative to a key: scale notes use the key's spelling,
+ * raised sixth and seventh degrees of minor keys are written as raised,
+ * and other chromatic notes prefer naturals, then sharps in sharp keys and
+ * flats in flat keys (Bb rather than A# in F major).
+ * @param {number} midi - MIDI note number
+ * @param {string} keyId - Key id from KEY_SIGNATURES
+ * @returns {{letter: string, alter: number, octave: number, name: string}} Spelled pitch
+ */
+export const spellMidiNote = (midi, keyId) => {
+  const key = getKeySignature(keyId);
+  const alterations = getKeyAlterations(key);
+  const pitchClass = ((midi % 12) + 12) % 12;
+  const matches = ({ letter, alter }) => (NATURAL_PITCH_CLASSES[letter] + alter + 12) % 12 === pitchClass;
+
+  const diatonic = LETTERS.map(letter => ({ letter, alter: alterations[letter] }));
+  const tonicIndex = LETTERS.indexOf(key.tonic[0]);
+  const raisedDegrees = key.mode === 'minor'
+    ? [5, 6].map(degree => {
+      const letter = LETTERS[(tonicIndex + degree) % 7];
+      return { letter, alter: alterations[letter] + 1 };
+    })
+    : [];
+  const preferred = key.fifths >= 0 ? 1 : -1;
+  const chromatic = [0, preferred, -preferred].flatMap(alter => LETTERS.map(letter => ({ letter, alter })));
+
+  const { letter, alter } = [...diatonic, ...raisedDegrees, ...chromatic].find(matches);
+  const octave = Math.floor((midi - alter) / 12) - 1;
+
+  return { letter, alter, octave, name: `${letter}${ACCIDENTAL_SYMBOLS[alter]}${octave}` };
+};
+
+/**
+ * Get the pitch class of a key's tonic
+ * @param {Object} key - Key signature
+ * @returns {number} Pitch class from 0 (C) to 11 (B)
+ */
+const getTonicPitchClass = (key) => getNoteMidi({ name: `${key.tonic}-1` }); // Octave -1 starts at MIDI 0
+
+/**
+ * Detect the key of the piece by correlating its duration-weighted
+ * pitch-class profile with the Krumhansl-Kessler major and minor profiles
+ * @param {Object} midiData - Parsed MIDI data
+ * @returns {Object} Best matching key signature (C major when there are no notes)
+ */
+export const detectKey = (midiData) => {
+  const histogram = new Array(12).fill(0);
+
+  (midiData?.tracks || []).forEach(track => {
+    track.notes.forEach(note => {
+      const midi = getNoteMidi(note);
+      if (Number.isFinite(midi)) {
+        histogram[midi % 12] += note.duration || 1;
+      }
+    });
+  });
+
+  if (histogram.every(weight => weight === 0)) {
+    return getKeySignature('C');
+  }
+
+  const correlate = (a, b) => {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    a.forEach((value, index) => {
+      covariance += (value - meanA) * (b[index] - meanB);
+      varianceA += (value - meanA) ** 2;
+      varianceB += (b[index] - meanB) ** 2;
+    });
+    return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+  };
+
+  let best = null;
+  KEY_SIGNATURES.forEach(key => {
+    const profile = key.mode === 'minor' ? MINOR_PROFILE : MAJOR_PROFILE;
+    const tonic = getTonicPitchClass(key);
+    const score = correlate(histogram, histogram.map((_, pitchClass) => profile[(pitchClass - tonic + 12) % 12]));
+
+    if (!best || score > best.score) {
+      best = { key, score };
+    }
+  });
+
+  return best.key;
+};
+
+/**
+ * Get the shortest transposition from one key to another, e.g. C to Bb is
+ * 2 semitones down rather than 10 up
+ * @param {string} fromKeyId - Key id from KEY_SIGNATURES
+ * @param {string} toKeyId - Key id from KEY_SIGNATURES
+ * @returns {number} Semitones, from -5 to 6
+ */
+export const getKeyTransposition = (fromKeyId, toKeyId) => {
+  const interval = (getTonicPitchClass(getKeySignature(toKeyId)) - getTonicPitchClass(getKeySignature(fromKeyId)) + 12) % 12;
+  return interval > 6 ? interval - 12 : interval;
+};
+
+/**
+ * Get the key a piece ends up in after transposing it, written with the
+ * fewest accidentals (Bb rather than A#)
+ * @param {string} keyId - Key id from KEY_SIGNATURES
+ * @param {number} semitones - Transposition in semitones
+ * @returns {Object} Key signature in the same mode
+ */
+export const transposeKey = (keyId, semitones) => {
+  const key = getKeySignature(keyId);
+  const pitchClass = (((getTonicPitchClass(key) + semitones) % 12) + 12) % 12;
+  return KEY_SIGNATURES
+    .filter(other => other.mode === key.mode && getTonicPitchClass(other) === pitchClass)
+    .reduce((best, other) => (!best || Math.abs(other.fifths) < Math.abs(best.fifths) ? other : best), null);
+};
+
+/**
+ * Transpose the notes of parsed MIDI data without mutating it. Percussion
+ * tracks are left alone, and notes pushed outside the MIDI range (0-127)
+ * are dropped.
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} semitones - Semitones up (positive) or down (negative)
+ * @param {Object} options - Transposition options
+ * @param {Array} options.tracks - Indexes of the tracks to transpose (defaults to all)
+ * @returns {Object} Transposed MIDI data
+ */
+export const transposeMidiData = (midiData, semitones, options = {}) => {
+  const { tracks } = options;
+
+  return {
+    ...midiData,
+    tracks: midiData.tracks.map((track, index) => {
+      if (semitones === 0 || track.instrument?.percussion || (tracks && !tracks.includes(index))) {
+        return track;
+      }
+
+      const notes = track.notes.flatMap(note => {
+        const source = getNoteMidi(note);
+        if (!Number.isFinite(source)) {
+          return [note];
+        }
+        const midi = source + semitones;
+        if (midi < 0 || midi > 127) {
+          return [];
+        }
+        // Spelled the way parseMidiBlob names notes, with sharps
+        const { letter, alter, octave, name } = spellMidiNote(midi, 'C');
+        return [{
+          ...note,
+          midi,
+          name,
+          ...('octave' in note && { octave }),
+          ...('pitch' in note && { pitch: `${letter}${ACCIDENTAL_SYMBOLS[alter]}` })
+        }];
+      });
+      return { ...track, notes };
+    })
+  };
+};
+
+/**
+ * Count the notes that fall outside an instrument's range
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {Array} range - Lowest and highest playable MIDI numbers
+ * @param {Object} options - Options
+ * @param {Array} options.tracks - Indexes of the tracks to check (defaults to all)
+ * @returns {{below: number, above: number}} Number of notes too low and too high
+ */
+export const countNotesOutOfRange = (midiData, [lowest, highest], options = {}) => {
+  const { tracks } = options;
+  const counts = { below: 0, above: 0 };
+
+  midiData.tracks.forEach((track, index) => {
+    if (track.instrument?.percussion || (tracks && !tracks.includes(index))) {
+      return;
+    }
+    track.notes.forEach(note => {
+      const midi = getNoteMidi(note);
+      if (midi < lowest) {
+        counts.below++;
+      } else if (midi > highest) {
+        counts.above++;
+      }
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Count the notes a transposition would push outside the MIDI range (0-127),
+ * which transposeMidiData drops
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {number} semitones - Semitones up (positive) or down (negative)
+ * @param {Object} options - Options
+ * @param {Array} options.tracks - Indexes of the tracks to transpose (defaults to all)
+ * @returns {number} Number of notes that would be dropped
+ */
+export const countNotesDroppedByTransposition = (midiData, semitones, options = {}) => {
+  const { below, above } = countNotesOutOfRange(midiData, [-semitones, 127 - semitones], options);
+  return below + above;
+};
+
+/**
+ * Join notes of the same pitch that overlap or are separated by a gap of at
+ * most `gap` seconds, as when a sustained note is transcribed in fragments
+ * @param {Array} notes - Notes of one track
+ * @param {number} gap - Largest gap to close, in seconds
+ * @param {Object} midiData - Parsed MIDI data the notes belong to (for its tempo map and PPQ)
+ * @returns {Array} Notes in time order
+ */
+const mergeRepeatedNotes = (notes, gap, midiData) => {
+  const ppq = midiData.ppq || DEFAULT_PPQ;
+  const lastByPitch = new Map();
+  const merged = [];
+
+  [...notes].sort((a, b) => a.time - b.time).forEach(note => {
+    const midi = getNoteMidi(note);
+    const last = Number.isFinite(midi) && lastByPitch.get(midi);
+    if (last && note.time - (last.note.time + last.note.duration) <= gap) {
+      const end = Math.max(last.note.time + last.note.duration, note.time + note.duration);
+      last.note = {
+        ...last.note,
+        duration: end - last.note.time,
+        // Notation reads the tick length before the seconds, so it has to grow too
+        ...(Number.isFinite(last.note.ticks) && {
+          durationTicks: Math.round(secondsToBeats(end, midiData.tempos) * ppq) - last.note.ticks
+        }),
+        velocity: Math.max(last.note.velocity ?? 0, note.velocity ?? 0) || last.note.velocity
+      };
+      merged[last.index] = last.note;
+      return;
+    }
+    lastByPitch.set(midi, { note, index: merged.length });
+    merged.push(note);
+  });
+
+  return merged;
+};
+
+/**
+ * Remove octave errors: a note starting together with a note one or two
+ * octaves away that was played clearly louder
+ * @param {Array} notes - Notes of one track
+ * @param {number} tolerance - Largest onset difference, in seconds
+ * @returns {Array} Remaining notes
+ */
+const removeOctaveDuplicates = (notes, tolerance) => {
+  const sorted = [...notes].sort((a, b) => a.time - b.time);
+
+  return sorted.filter((note, index) => {
+    const midi = getNoteMidi(note);
+    const isDuplicateOf = (other) => {
+      const interval = Math.abs(getNoteMidi(other) - midi);
+      return (interval === 12 || interval === 24)
+        && (note.velocity ?? 1) <= (other.velocity ?? 1) * OCTAVE_DUPLICATE_VELOCITY_RATIO;
+    };
+
+    // Only notes starting within the tolerance, on either side, can be doubled
+    for (let other = index - 1; other >= 0 && note.time - sorted[other].time <= tolerance; other--) {
+      if (isDuplicateOf(sorted[other])) return false;
+    }
+    for (let other = index + 1; other < sorted.length && sorted[other].time - note.time <= tolerance; other++) {
+      if (isDuplicateOf(sorted[other])) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Clean up a raw transcription. The filters run in order: merging repeated
+ * notes (so fragments of a long note are not dropped as too short), minimum
+ * duration, minimum velocity and octave duplicates. Percussion tracks are
+ * left alone.
+ * @param {Object} midiData - Parsed MIDI data
+ * @param {Object} options - Cleanup options (see DEFAULT_CLEANUP_OPTIONS)
+ * @param {number} options.minDuration - Shortest note kept, in seconds
+ * @param {number} options.minVelocity - Softest note kept, from 0 to 1
+ * @param {number} options.mergeGap - Largest gap closed between same-pitch notes, in seconds
+ * @param {boolean} options.removeOctaveDuplicates - Whether to remove octave errors
+ * @returns {{midiData: Object, removed: Object}} Cleaned MIDI data, and how many
+ * notes each filter removed (mergeGap, minDuration, minVelocity, removeOctaveDuplicates)
+ */
+export const cleanupMidiData = (midiData, options = {}) => {
+  const { minDuration, minVelocity, mergeGap, removeOctaveDuplicates: dropOctaves } = {
+    ...DEFAULT_CLEANUP_OPTIONS,
+    ...options
+  };
+  const removed = { mergeGap: 0, minDuration: 0, minVelocity: 0, removeOctaveDuplicates: 0 };
+
+  // Run one filter and count the notes it took away
+  const applyFilter = (name, notes, filter) => {
+    const kept = filter(notes);
+    removed[name] += notes.length - kept.length;
+    return kept;
+  };
+
+  const tracks = midiData.tracks.map(track => {
+    if (track.instrument?.percussion) {
+      return track;
+    }
+
+    let notes = track.notes;
+    if (mergeGap > 0) {
+      notes = applyFilter('mergeGap', notes, current => mergeRepeatedNotes(current, mergeGap, midiData));
+    }
+    if (minDuration > 0) {
+      notes = applyFilter('minDuration', notes, current => current.filter(note => note.duration >= minDuration));
+    }
+    if (minVelocity > 0) {
+      notes = applyFilter('minVelocity', notes, current => current.filter(note => (note.velocity ?? 1) >= minVelocity));
+    }
+    if (dropOctaves) {
+      notes = applyFilter('removeOctaveDuplicates', notes, current => removeOctaveDuplicates(current, DEFAULT_CHORD_TOLERANCE));
+    }
+
+    return notes.length === track.notes.length && notes.every((note, index) => note === track.notes[index])
+      ? track
+      : { ...track, notes };
+  });
+
+  return { midiData: { ...midiData, tracks }, removed };
+};
+
+/**
+ * Split a length into written note values that can be tied together
+ * @param {number} length - Length in divisions
+ * @returns {Array} Note values from NOTE_VALUES, longest first
+ */
+export const splitIntoNoteValues = (length) => {
+  const memo = new Map();
+
+  const split = (remaining) => {
+    if (remaining === 0) return [];
+    if (memo.has(remaining)) return memo.get(remaining);
+
+    let result = null;
+    for (const value of NOTE_VALUES) {
+      if (value.divisions > remaining) continue;
+      const rest = split(remaining - value.divisions);
+      if (rest) {
+        result = [value, ...rest];
+        break;
+      }
+    }
+
+    memo.set(remaining, result);
+    return result;
+  };
+
+  const values = split(Math.round(length));
+  if (values) return values;
+
+  // Off-grid leftovers: fall back to the closest single value
+  const closest = NOTE_VALUES.reduce((best, value) => (
+    Math.abs(value.divisions - length) < Math.abs(best.divisions - length) ? value : best
+  ));
+  return [closest];
+};
+
+/**
+ * Format a length as an ABC note length suffix (relative to L:1/4)
+ * @param {number} divisions - Length in divisions
+ * @returns {string} ABC length suffix, e.g. '', '2', '/2', '3/2'
+ */
+const formatABCLength = (divisions) => {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(divisions, DIVISIONS_PER_QUARTER);
+  const numerator = divisions / divisor;
+  const denominator = DIVISIONS_PER_QUARTER / divisor;
+
+  if (denominator === 1) return numerator === 1 ? '' : `${numerator}`;
+  return `${numerator === 1 ? '' : numerator}/${denominator}`;
+};
+
+/**
+ * Write a pitch as ABC pieces, one per note value, tied together. Triplet
+ * values are written at their nominal length and flagged so that
+ * joinABCPieces can open a tuplet around them.
+ * @param {string} pitch - ABC pitch, e.g. '^c'
+ * @param {Array} values - Note values from splitIntoNoteValues
+ * @param {boolean} tie - Whether the last piece is tied to the next event
+ * @returns {Array} Pieces ({ text, tuplet })
+ */
+const formatABCPieces = (pitch, values, tie = false) => values.map((value, index) => {
+  const length = value.tuplet ? value.divisions * 3 / 2 : value.divisions;
+  const tied = index < values.length - 1 || tie;
+  return {
+    text: `${pitch}${formatABCLength(length)}${tied ? '-' : ''}`,
+    tuplet: Boolean(value.tuplet)
+  };
+});
+
+/**
+ * Join ABC pieces, opening a (3:2:n tuplet before each run of triplet values
+ * @param {Array} pieces - Pieces from formatABCPieces
+ * @param {string} separator - Text placed between pieces
+ * @returns {string} ABC notation
+ */
+const joinABCPieces = (pieces, separator) => pieces
+  .map((piece, index) => {
+    if (!piece.tuplet || pieces[index - 1]?.tuplet) return piece.text;
+
+    let runLength = 0;
+    while (pieces[index + runLength]?.tuplet) runLength++;
+    return `(3:2:${runLength}${piece.text}`;
+  })
+  .join(separator);
+
+/**
+ * Get the ABC pitch (accidental, letter and octave marks) of a note. ABC
+ * accidentals hold until the end of the measure, so an accidental is only
+ * written when the note differs from the key signature or from an earlier
+ * accidental on the same line or space.
+ * @param {Object} note - MIDI note object
+ * @param {string} keyId - Key id from KEY_SIGNATURES
+ * @param {Object} accidentals - Accidentals written so far in the measure (updated)
+ * @returns {string} ABC pitch, e.g. '^c' for C#5 in C major
+ */
+const getABCPitch = (note, keyId, accidentals = {}) => {
+  const { letter, alter, octave } = spellMidiNote(getNoteMidi(note), keyId);
+  const position = `${letter}${octave}`;
+  const expected = accidentals[position] ?? getKeyAlterations(getKeySignature(keyId))[letter];
   
-  const noteName = note.name.replace(/\d+/, ''); // Remove octave number
-  const octave = parseInt(note.name.match(/\d+/)?.[0]) || 4;
-  
-  let abcNote = noteMap[noteName] || 'C';
+  let abcNote = letter;
+  if (alter !== expected) {
+    abcNote = ABC_ACCIDENTALS[alter] + abcNote;
+    accidentals[position] = alter;
+  }
   
   // Handle octaves (ABC notation)
   if (octave >= 5) {
@@ -80,59 +931,464 @@ export const convertNoteToABC = (note) => {
     }
   }
   
-  // Basic duration mapping (simplified)
-  if (note.duration < 0.25) {
-    abcNote += '/4'; // Sixteenth note
-  } else if (note.duration < 0.5) {
-    abcNote += '/2'; // Eighth note
-  } else if (note.duration < 1) {
-    abcNote += ''; // Quarter note (default)
-  } else if (note.duration < 2) {
-    abcNote += '2'; // Half note
-  } else {
-    abcNote += '4'; // Whole note
-  }
-  
   return abcNote;
 };
 
 /**
- * Convert parsed MIDI data to ABC notation string
+ * Convert MIDI note to ABC notation format
+ * @param {Object} note - MIDI note object, quantized or raw
+ * @param {Object} midiData - Parsed MIDI data used to quantize raw notes
+ * @param {Object} options - Quantization options (see quantizeNotes)
+ * @param {string} options.key - Key id used for spelling (C major by default)
+ * @returns {string} ABC notation for the note
+ */
+export const convertNoteToABC = (note, midiData = {}, options = {}) => {
+  const length = note.length ?? quantizeNotes([note], midiData, options)[0].length;
+  const pitch = getABCPitch(note, options.key || 'C');
+  return joinABCPieces(formatABCPieces(pitch, splitIntoNoteValues(length)), '');
+};
+
+/**
+ * Get the length of one measure in divisions
+ * @param {Array} timeSignature - [numerator, denominator]
+ * @returns {number} Measure length in divisions
+ */
+export const getMeasureLength = ([numerator, denominator] = DEFAULT_TIME_SIGNATURE) => (
+  numerator * DIVISIONS_PER_QUARTER * 4 / denominator
+);
+
+/**
+ * Group notes struck together into chords. A note joins the current chord
+ * when it snapped to the same onset or when its original start time lies
+ * within the tolerance window of the chord's first note.
+ * @param {Array} notes - Quantized notes sorted by onset
+ * @param {Object} options - Chord options
+ * @param {number} options.chordTolerance - Window in seconds (DEFAULT_CHORD_TOLERANCE)
+ * @returns {Array} Chords ({ onset, length, notes }) with notes sorted low to high
+ */
+export const groupChords = (notes, options = {}) => {
+  const tolerance = options.chordTolerance ?? DEFAULT_CHORD_TOLERANCE;
+  const chords = [];
+
+  notes.forEach(note => {
+    const chord = chords[chords.length - 1];
+    const firstNote = chord?.notes[0];
+    const withinWindow = firstNote && Number.isFinite(note.time) && Number.isFinite(firstNote.time) &&
+      Math.abs(note.time - firstNote.time) <= tolerance;
+
+    if (chord && (note.onset === chord.onset || withinWindow)) {
+      // The same pitch struck twice in one chord is written once
+      if (!chord.notes.some(member => member.name === note.name)) {
+        chord.notes.push(note);
+      }
+      // Chord members share the longest duration
+      chord.length = Math.max(chord.length, note.onset + note.length - chord.onset);
+    } else {
+      chords.push({ onset: note.onset, length: note.length, notes: [note] });
+    }
+  });
+
+  chords.forEach(chord => {
+    chord.notes.sort((a, b) => (a.midi || 0) - (b.midi || 0));
+  });
+
+  return chords;
+};
+
+/**
+ * Turn quantized notes into the events of a single voice. Simultaneous notes
+ * become chords, and since a voice can only hold one event at a time, each
+ * event is cut off at the next onset.
+ * @param {Array} notes - Quantized notes sorted by onset
+ * @param {Object} options - Chord options (see groupChords)
+ * @returns {Array} Events ({ onset, length, notes })
+ */
+const buildVoiceEvents = (notes, options = {}) => {
+  const chords = groupChords(notes, options);
+
+  return chords.map((chord, index) => ({
+    ...chord,
+    length: Math.min(chord.length, (chords[index + 1]?.onset ?? Infinity) - chord.onset)
+  }));
+};
+
+/**
+ * Create a rest event
+ * @param {number} onset - Start in divisions
+ * @param {number} length - Length in divisions
+ * @param {boolean} fullMeasure - Whether the rest fills an entire measure
+ * @returns {Object} Rest event
+ */
+const createRest = (onset, length, fullMeasure = false) => ({
+  onset,
+  length,
+  notes: [],
+  rest: true,
+  fullMeasure,
+  tie: false
+});
+
+/**
+ * Fill the silences of a measure with rests. A measure without any notes gets
+ * a single full-measure rest.
+ * @param {Object} measure - Measure whose events are sorted by onset
+ * @returns {Array} Events of the measure, rests included
+ */
+const addRests = (measure) => {
+  const measureEnd = measure.start + measure.length;
+
+  if (measure.events.length === 0) {
+    return [createRest(measure.start, measure.length, true)];
+  }
+
+  const events = [];
+  let position = measure.start;
+
+  measure.events.forEach(event => {
+    if (event.onset > position) {
+      events.push(createRest(position, event.onset - position));
+    }
+    events.push(event);
+    position = Math.max(position, event.onset + event.length);
+  });
+
+  if (position < measureEnd) {
+    events.push(createRest(position, measureEnd - position));
+  }
+
+  return events;
+};
+
+/**
+ * Fill measures according to the time signature. Events crossing a barline
+ * are split into pieces, every piece but the last flagged with `tie`, and
+ * gaps between notes become rests (flagged with `rest`).
+ * @param {Array} notes - Quantized notes from quantizeNotes
+ * @param {Object} options - Measure options
+ * @param {Array} options.timeSignature - [numerator, denominator]
+ * @param {number} options.chordTolerance - Chord window in seconds (see groupChords)
+ * @param {number} options.measureCount - Minimum number of measures, so that parts line up
+ * @returns {Array} Measures ({ number, start, length, timeSignature, events })
+ */
+export const buildMeasures = (notes, options = {}) => {
+  const timeSignature = options.timeSignature || DEFAULT_TIME_SIGNATURE;
+  const measureLength = getMeasureLength(timeSignature);
+  const events = buildVoiceEvents(notes, options);
+
+  const end = events.reduce((max, event) => Math.max(max, event.onset + event.length), 0);
+  const measureCount = Math.max(1, Math.ceil(end / measureLength), options.measureCount || 0);
+  const measures = Array.from({ length: measureCount }, (_, index) => ({
+    number: index + 1,
+    start: index * measureLength,
+    length: measureLength,
+    timeSignature,
+    events: []
+  }));
+
+  events.forEach(event => {
+    const eventEnd = event.onset + event.length;
+    let onset = event.onset;
+
+    while (onset < eventEnd) {
+      const measure = measures[Math.floor(onset / measureLength)];
+      const pieceEnd = Math.min(eventEnd, measure.start + measureLength);
+
+      measure.events.push({
+        ...event,
+        onset,
+        length: pieceEnd - onset,
+        tie: pieceEnd < eventEnd
+      });
+      onset = pieceEnd;
+    }
+  });
+
+  measures.forEach(measure => {
+    measure.events = addRests(measure);
+  });
+
+  return measures;
+};
+
+/**
+ * Get the display name of a track: its name, its instrument, or its number
+ * @param {Object} track - Track from parseMidiBlob
+ * @param {number} index - Index of the track
+ * @returns {string} Track label, e.g. 'Lead (Violin)'
+ */
+export const getTrackLabel = (track, index) => {
+  const instrument = track.instrument?.name;
+  const name = track.name?.trim();
+
+  if (name && instrument && name.toLowerCase() !== instrument.toLowerCase()) {
+    return `${name} (${instrument})`;
+  }
+  return name || instrument || `Track ${index + 1}`;
+};
+
+/**
+ * Choose the clef that shows a set of notes with the fewest ledger lines
+ * @param {Array} notes - Notes to place on the staff
+ * @returns {string} 'treble' or 'bass'
+ */
+export const chooseClef = (notes) => {
+  const countOutside = ([low, high]) => notes.filter(note => {
+    const midi = getNoteMidi(note);
+    return midi < low || midi > high;
+  }).length;
+
+  return countOutside(CLEF_RANGES.bass) < countOutside(CLEF_RANGES.treble) ? 'bass' : 'treble';
+};
+
+/**
+ * Split notes between the right hand (treble staff) and left hand (bass
+ * staff). With a split point every note at or above it goes to the right
+ * hand. Without one, each chord is cut where it best continues the lines of
+ * both hands: notes near middle C follow the hand that played closest to
+ * them, while no hand crosses far over the split or stretches past a tenth.
+ * @param {Array} notes - Quantized notes (see quantizeNotes)
+ * @param {Object} options - Split options
+ * @param {number} options.splitPoint - Fixed split point as a MIDI number
+ * @returns {Object} Notes per hand ({ treble, bass })
+ */
+export const splitHands = (notes, options = {}) => {
+  const hands = { treble: [], bass: [] };
+
+  if (options.splitPoint !== undefined) {
+    notes.forEach(note => {
+      hands[getNoteMidi(note) >= options.splitPoint ? 'treble' : 'bass'].push(note);
+    });
+    return hands;
+  }
+
+  // Notes starting together are split as one chord
+  const chords = [];
+  [...notes].sort((a, b) => a.onset - b.onset || getNoteMidi(a) - getNoteMidi(b)).forEach(note => {
+    const chord = chords[chords.length - 1];
+    if (chord && chord[0].onset === note.onset) {
+      chord.push(note);
+    } else {
+      chords.push([note]);
+    }
+  });
+
+  const recent = { treble: DEFAULT_SPLIT_POINT + 7, bass: DEFAULT_SPLIT_POINT - 7 };
+  const average = (group) => group.reduce((sum, note) => sum + getNoteMidi(note), 0) / group.length;
+
+  chords.forEach(chord => {
+    const pitches = chord.map(getNoteMidi);
+
+    // Cost of cutting the chord below index `cut`: lower notes go to the left hand
+    const getCost = (cut) => {
+      const bass = pitches.slice(0, cut);
+      const treble = pitches.slice(cut);
+      if (bass.some(midi => midi >= DEFAULT_SPLIT_POINT + HAND_CROSSING) ||
+          treble.some(midi => midi < DEFAULT_SPLIT_POINT - HAND_CROSSING)) {
+        return Infinity;
+      }
+
+      const stretch = (group) => Math.max(0, group[group.length - 1] - group[0] - HAND_SPAN) * 10;
+      const distance = (group, hand) => group.reduce((sum, midi) => sum + Math.abs(midi - recent[hand]), 0);
+      return distance(bass, 'bass') + distance(treble, 'treble') +
+        (bass.length ? stretch(bass) : 0) + (treble.length ? stretch(treble) : 0);
+    };
+
+    let bestCut = 0;
+    for (let cut = 1; cut <= chord.length; cut++) {
+      if (getCost(cut) < getCost(bestCut)) {
+        bestCut = cut;
+      }
+    }
+
+    const bass = chord.slice(0, bestCut);
+    const treble = chord.slice(bestCut);
+    if (bass.length) {
+      hands.bass.push(...bass);
+      recent.bass = average(bass);
+    }
+    if (treble.length) {
+      hands.treble.push(...treble);
+      recent.treble = average(treble);
+    }
+  });
+
+  return hands;
+};
+
+/**
+ * Check whether a track is played on a keyboard and so belongs on a grand staff
+ * @param {Object} track - Track from parseMidiBlob
+ * @returns {boolean} True for piano tracks (and tracks without an instrument)
+ */
+const isKeyboardTrack = (track) => !track.instrument || track.instrument.family === 'piano';
+
+/**
+ * Lay out a part's notes on staves. Piano parts whose notes do not fit on a
+ * single clef get a grand staff; other parts get one staff in the clef that
+ * suits their range.
+ * @param {Object} track - Track from parseMidiBlob
+ * @param {Array} notes - Quantized notes of the track
+ * @param {Object} options - Layout options
+ * @param {string} options.staffLayout - 'auto', 'grand' or 'single' (see STAFF_LAYOUTS)
+ * @param {number} options.splitPoint - Fixed split point for grand staves (see splitHands)
+ * @returns {Array} Staves ({ clef, notes })
+ */
+const layoutStaves = (track, notes, options = {}) => {
+  const layout = options.staffLayout || 'auto';
+  const fits = ([low, high]) => notes.every(note => getNoteMidi(note) >= low && getNoteMidi(note) <= high);
+  const useGrandStaff = layout === 'grand' || (layout === 'auto' && isKeyboardTrack(track) &&
+    !fits(CLEF_RANGES.treble) && !fits(CLEF_RANGES.bass));
+
+  if (!useGrandStaff) {
+    return [{ clef: chooseClef(notes), notes }];
+  }
+
+  const hands = splitHands(notes, options);
+  return [
+    { clef: 'treble', notes: hands.treble },
+    { clef: 'bass', notes: hands.bass }
+  ];
+};
+
+/**
+ * Build the notated score shared by all renderers and exporters: global key,
+ * meter and tempo plus one part per track, each holding staves of measures.
+ * Tracks without notes are left out and every staff gets the same number of
+ * measures.
  * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Quantization and measure options (see quantizeNotes, buildMeasures)
+ * @param {string} options.key - Key id overriding the detected key
+ * @param {Array} options.timeSignature - Time signature overriding the file's meter
+ * @param {Array} options.tracks - Indexes of the tracks to include (all by default)
+ * @param {string} options.staffLayout - Staff layout of each part (see layoutStaves)
+ * @returns {Object} Score ({ title, key, timeSignature, tempo, parts })
+ */
+export const buildScore = (midiData, options = {}) => {
+  const key = options.key ? getKeySignature(options.key) : detectKey(midiData);
+  const timeSignature = options.timeSignature || getTimeSignature(midiData);
+  const measureLength = getMeasureLength(timeSignature);
+
+  const tracks = (midiData.tracks || [])
+    .map((track, index) => ({ track, index }))
+    .filter(({ track, index }) => track.notes.length > 0 && (!options.tracks || options.tracks.includes(index)))
+    .map(({ track, index }) => ({
+      track,
+      index,
+      // Snap notes to the grid using the file's tempo map
+      notes: quantizeNotes(track.notes, midiData, options)
+    }));
+
+  const end = tracks.reduce((max, { notes }) => (
+    notes.reduce((trackMax, note) => Math.max(trackMax, note.onset + note.length), max)
+  ), 0);
+  const measureCount = Math.max(1, Math.ceil(end / measureLength));
+
+  return {
+    title: midiData.name || 'Transcribed Audio',
+    key,
+    timeSignature,
+    tempo: getTempo(midiData),
+    parts: tracks.map(({ track, index, notes }) => ({
+      trackIndex: index,
+      name: getTrackLabel(track, index),
+      instrument: track.instrument?.name || 'Piano',
+      staves: layoutStaves(track, notes, options).map(staff => ({
+        clef: staff.clef,
+        measures: buildMeasures(staff.notes, { ...options, timeSignature, measureCount })
+      }))
+    }))
+  };
+};
+
+/**
+ * Get the ABC pitch of an event: a single pitch or a [CEG] chord
+ * @param {Object} event - Note event from buildMeasures
+ * @param {string} keyId - Key id from KEY_SIGNATURES
+ * @param {Object} accidentals - Accidentals written so far in the measure (updated)
+ * @returns {string} ABC pitch or chord
+ */
+const getABCEventPitch = (event, keyId, accidentals) => {
+  const pitches = event.notes.map(note => getABCPitch(note, keyId, accidentals));
+  return pitches.length === 1 ? pitches[0] : `[${pitches.join('')}]`;
+};
+
+/**
+ * Write one measure as ABC (without the barline)
+ * @param {Object} measure - Measure from buildMeasures
+ * @param {string} keyId - Key id from KEY_SIGNATURES
+ * @returns {string} ABC notation for the measure contents
+ */
+const formatABCMeasure = (measure, keyId) => {
+  const accidentals = {};
+  const pieces = measure.events.flatMap(event => {
+    if (event.fullMeasure) {
+      return [{ text: `z${formatABCLength(event.length)}`, tuplet: false }];
+    }
+    if (event.rest) {
+      // Rests are never tied, so each value is written on its own
+      return splitIntoNoteValues(event.length).flatMap(value => formatABCPieces('z', [value]));
+    }
+    return formatABCPieces(getABCEventPitch(event, keyId, accidentals), splitIntoNoteValues(event.length), event.tie);
+  });
+  return joinABCPieces(pieces, ' ');
+};
+
+/**
+ * Convert parsed MIDI data to ABC notation string. Each staff of the score
+ * becomes an ABC voice (V:) when there is more than one.
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options (see buildScore)
  * @returns {string} Complete ABC notation string
  */
-export const convertMidiToABC = (midiData) => {
+export const convertMidiToABC = (midiData, options = {}) => {
   try {
+    const score = buildScore(midiData, options);
+    // Only the first staff of a part carries its name
+    const staves = score.parts.flatMap(part => part.staves.map((staff, index) => ({
+      ...staff,
+      name: index === 0 ? part.name : ''
+    })));
+    const useVoices = staves.length > 1;
+    
     // ABC notation header
     let abcNotation = 'X:1\n';
-    abcNotation += `T:${midiData.name || 'Transcribed Audio'}\n`;
-    abcNotation += 'M:4/4\n'; // Time signature (simplified)
+    abcNotation += `T:${score.title}\n`;
+    abcNotation += `M:${score.timeSignature.join('/')}\n`;
     abcNotation += 'L:1/4\n'; // Default note length
-    abcNotation += 'K:C\n';   // Key signature (simplified)
+    abcNotation += `Q:1/4=${score.tempo}\n`;
+    if (score.parts.some(part => part.staves.length > 1)) {
+      // Brace the staves of each grand staff and join its barlines
+      let voice = 0;
+      const groups = score.parts.map(part => {
+        const numbers = part.staves.map(() => ++voice);
+        return numbers.length > 1 ? `{${numbers.join(' | ')}}` : `${numbers[0]}`;
+      });
+      abcNotation += `%%score ${groups.join(' ')}\n`;
+    }
+    if (useVoices) {
+      staves.forEach((staff, index) => {
+        const name = staff.name ? ` name="${staff.name.replace(/"/g, "'")}"` : '';
+        abcNotation += `V:${index + 1}${name} clef=${staff.clef}\n`;
+      });
+    }
+    const clef = !useVoices && staves[0]?.clef === 'bass' ? ' clef=bass' : '';
+    abcNotation += `K:${score.key.id}${clef}\n`;
     
-    // Process first track (simplified approach)
-    if (midiData.tracks && midiData.tracks.length > 0) {
-      const firstTrack = midiData.tracks[0];
-      
-      // Sort notes by time
-      const sortedNotes = [...firstTrack.notes].sort((a, b) => a.time - b.time);
-      
-      // Convert notes to ABC notation
-      sortedNotes.forEach((note, index) => {
-        const abcNote = convertNoteToABC(note);
-        abcNotation += abcNote;
-        
-        // Add space between notes
-        if (index < sortedNotes.length - 1) {
-          abcNotation += ' ';
-        }
+    // Write the staves line by line (a few measures each) so voices stay aligned
+    const measureCount = staves[0]?.measures.length || 0;
+    const lines = [];
+    for (let start = 0; start < measureCount; start += MEASURES_PER_LINE) {
+      staves.forEach((staff, index) => {
+        const measures = staff.measures.slice(start, start + MEASURES_PER_LINE);
+        const line = measures.map(measure => {
+          const isLast = measure.number === measureCount;
+          return `${formatABCMeasure(measure, score.key.id)} ${isLast ? '|]' : '|'}`;
+        }).join(' ');
         
-        // Add line breaks for readability (every 8 notes)
-        if ((index + 1) % 8 === 0) {
-          abcNotation += '\n';
-        }
+        lines.push(useVoices ? `V:${index + 1}\n${line}` : line);
       });
     }
+    abcNotation += lines.join('\n');
     
     return abcNotation;
   } catch (error) {
@@ -142,48 +1398,99 @@ export const convertMidiToABC = (midiData) => {
 };
 
 /**
- * Convert parsed MIDI data to VexFlow format
- * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
- * @returns {Array} Array of VexFlow-compatible note objects
+ * Convert one measure to VexFlow note objects
+ * @param {Object} measure - Measure from buildMeasures
+ * @param {string} keyId - Key id used for spelling
+ * @param {string} clef - Clef of the staff, which decides where rests sit
+ * @returns {Array} VexFlow-compatible note objects
  */
-export const convertMidiToVexFlow = (midiData) => {
-  try {
-    const vexFlowNotes = [];
+const convertMeasureToVexFlow = (measure, keyId, clef) => {
+  const vexFlowNotes = [];
+  
+  measure.events.forEach(event => {
+    const beat = event.onset / DIVISIONS_PER_QUARTER;
     
-    if (midiData.tracks && midiData.tracks.length > 0) {
-      const firstTrack = midiData.tracks[0];
-      
-      // Sort notes by time
-      const sortedNotes = [...firstTrack.notes].sort((a, b) => a.time - b.time);
-      
-      sortedNotes.forEach(note => {
-        // Basic duration mapping for VexFlow
-        let duration = 'q'; // Quarter note default
-        if (note.duration < 0.25) {
-          duration = '16';
-        } else if (note.duration < 0.5) {
-          duration = '8';
-        } else if (note.duration < 1) {
-          duration = 'q';
-        } else if (note.duration <= 2) {
-          duration = 'h';
-        } else {
-          duration = 'w';
+    if (event.fullMeasure) {
+      vexFlowNotes.push({ keys: [REST_KEYS[clef]], duration: 'wr', rest: true, fullMeasure: true, beat });
+      return;
+    }
+    
+    const values = splitIntoNoteValues(event.length);
+    // Start of each piece, in quarter-note beats
+    const beats = values.map((_, index) => (
+      event.onset + values.slice(0, index).reduce((sum, value) => sum + value.divisions, 0)
+    ) / DIVISIONS_PER_QUARTER);
+    
+    if (event.rest) {
+      values.forEach((value, index) => {
+        const vexFlowRest = { keys: [REST_KEYS[clef]], duration: `${value.vexflow}r`, rest: true, beat: beats[index] };
+        if (value.tuplet) {
+          vexFlowRest.tuplet = 3;
         }
-        
-        // Convert MIDI note to VexFlow format
-        const vexFlowNote = {
-          keys: [`${note.name.replace(/(\d+)/, '/$1')}`], // Convert C4 to C/4
-          duration: duration,
-          midi: note.midi,
-          time: note.time
-        };
-        
-        vexFlowNotes.push(vexFlowNote);
+        vexFlowNotes.push(vexFlowRest);
       });
+      return;
     }
     
-    return vexFlowNotes;
+    const [lowestNote] = event.notes;
+    
+    // Lengths without a single written value become tied notes
+    values.forEach((value, index) => {
+      const vexFlowNote = {
+        keys: event.notes.map(note => {
+          const { letter, alter, octave } = spellMidiNote(getNoteMidi(note), keyId);
+          return `${letter}${ACCIDENTAL_SYMBOLS[alter]}/${octave}`; // e.g. Bb/4
+        }),
+        duration: value.vexflow,
+        midi: lowestNote.midi,
+        time: lowestNote.time,
+        beat: beats[index]
+      };
+      
+      if (value.tuplet) {
+        vexFlowNote.tuplet = 3;
+      }
+      if (index < values.length - 1 || event.tie) {
+        vexFlowNote.tie = true;
+      }
+      
+      vexFlowNotes.push(vexFlowNote);
+    });
+  });
+  
+  return vexFlowNotes;
+};
+
+/**
+ * Convert parsed MIDI data to VexFlow format
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options (see buildScore)
+ * @returns {Array} Parts ({ name, instrument, trackIndex, staves: [{ clef, measures }] }); each
+ *   measure ({ number, beat, beats, timeSignature, keySignature, tempo, notes }) holds
+ *   VexFlow-compatible note objects, where chords carry several keys and the midi number of
+ *   their lowest note. `beat` positions are in quarter-note beats from the start of the piece.
+ */
+export const convertMidiToVexFlow = (midiData, options = {}) => {
+  try {
+    const score = buildScore(midiData, options);
+    
+    return score.parts.map(part => ({
+      name: part.name,
+      instrument: part.instrument,
+      trackIndex: part.trackIndex,
+      staves: part.staves.map(staff => ({
+        clef: staff.clef,
+        measures: staff.measures.map(measure => ({
+          number: measure.number,
+          beat: measure.start / DIVISIONS_PER_QUARTER,
+          beats: measure.length / DIVISIONS_PER_QUARTER,
+          timeSignature: measure.timeSignature.join('/'),
+          keySignature: score.key.id,
+          tempo: score.tempo,
+          notes: convertMeasureToVexFlow(measure, score.key.id, staff.clef)
+        }))
+      }))
+    }));
   } catch (error) {
     console.error('Error converting MIDI to VexFlow:', error);
     return []; // Return empty array on error
@@ -206,7 +1513,10 @@ export const getMidiSummary = (midiData) => {
       duration: `${duration} seconds`,
       tracks: trackCount,
       totalNotes: totalNotes,
-      instruments: midiData.tracks.map(track => track.instrument?.name || 'Piano').join(', ')
+      instruments: midiData.tracks.map(track => track.instrument?.name || 'Piano').join(', '),
+      key: detectKey(midiData).name,
+      tempo: `${getTempo(midiData)} BPM${midiData.tempos?.[0]?.estimated ? ' (estimated)' : ''}`,
+      timeSignature: `${getTimeSignature(midiData).join('/')}${midiData.timeSignatures?.[0]?.estimated ? ' (estimated)' : ''}`
     };
   } catch (error) {
     console.error('Error getting MIDI summary:', error);
@@ -215,7 +1525,10 @@ export const getMidiSummary = (midiData) => {
       duration: '0 seconds',
       tracks: 0,
       totalNotes: 0,
-      instruments: 'Unknown'
+      instruments: 'Unknown',
+      key: 'Unknown',
+      tempo: 'Unknown',
+      timeSignature: 'Unknown'
     };
   }
 };
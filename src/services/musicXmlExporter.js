@@ -0,0 +1,369 @@
+/**
+ * MusicXML Exporter
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module writes the notated score (see buildScore) as MusicXML 4.0, plain
+ * or compressed (.mxl), so notation programs such as MuseScore, Sibelius,
+ * Finale and Dorico open it with the same spelling, measures and staves as
+ * the viewer instead of re-quantizing the MIDI file
+ */
+
+import {
+  buildScore,
+  splitIntoNoteValues,
+  spellMidiNote,
+  getNoteMidi,
+  DIVISIONS_PER_QUARTER
+} from './midiProcessor';
+import { createZipArchive } from './zipArchive';
+
+export const MUSICXML_MIME_TYPE = 'application/vnd.recordare.musicxml+xml';
+export const MXL_MIME_TYPE = 'application/vnd.recordare.musicxml';
+
+// Name of the score inside .mxl archives
+const MXL_SCORE_PATH = 'score.musicxml';
+
+// MusicXML note type of each VexFlow duration used by splitIntoNoteValues (without dots)
+const NOTE_TYPES = { w: 'whole', h: 'half', q: 'quarter', 8: 'eighth', 16: '16th', 32: '32nd' };
+
+const CLEFS = {
+  treble: { sign: 'G', line: 2 },
+  bass: { sign: 'F', line: 4 }
+};
+
+// Voice of each staff of a part, following the usual convention of four voices per staff
+const VOICES_PER_STAFF = 4;
+
+// MIDI channels, counted from 1 as MusicXML does: percussion parts use 10, others the rest in turn
+const PERCUSSION_CHANNEL = 10;
+const MELODIC_CHANNELS = Array.from({ length: 16 }, (_, index) => index + 1).filter(channel => channel !== PERCUSSION_CHANNEL);
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Create an XML element
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute values by name (undefined ones are left out)
+ * @param {Array|string|number} children - Child elements (falsy ones are left out) or text content
+ * @returns {Object} Element
+ */
+const element = (name, attributes = {}, children = []) => ({ name, attributes, children });
+
+/**
+ * Write an element and its children as indented XML
+ * @param {Object} node - Element from element()
+ * @param {number} depth - Indentation level
+ * @returns {string} XML
+ */
+const serialize = (node, depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  if (!Array.isArray(node.children)) {
+    return `${indent}<${node.name}${attributes}>${escapeXml(node.children)}</${node.name}>`;
+  }
+  const children = node.children.filter(Boolean);
+  if (children.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+  return [
+    `${indent}<${node.name}${attributes}>`,
+    ...children.map(child => serialize(child, depth + 1)),
+    `${indent}</${node.name}>`
+  ].join('\n');
+};
+
+/**
+ * Write the elements of one written value of an event: a rest, a single note
+ * or every note of a chord
+ * @param {Object} event - Event from buildMeasures
+ * @param {Object} value - Written value from splitIntoNoteValues
+ * @param {Object} context - Where the value sits
+ * @param {number} context.voice - Voice number
+ * @param {number} context.staff - Staff number, for parts with several staves
+ * @param {string} context.keyId - Key used for spelling
+ * @param {boolean} context.tieStart - Whether the value is tied to the next one
+ * @param {boolean} context.tieStop - Whether the value is tied from the previous one
+ * @param {Array<string>} context.tuplets - 'start' and/or 'stop' when the value opens or closes a triplet
+ * @returns {Array} Note elements
+ */
+const buildValueNotes = (event, value, context) => {
+  const { voice, staff, keyId, tieStart, tieStop, tuplets = [] } = context;
+  const type = NOTE_TYPES[value.vexflow.replace('d', '')];
+  const isDotted = value.vexflow.endsWith('d');
+  const timeModification = value.tuplet && element('time-modification', {}, [
+    element('actual-notes', {}, 3),
+    element('normal-notes', {}, 2)
+  ]);
+
+  const buildNote = (pitch, isChordMember) => {
+    const ties = [tieStop && 'stop', tieStart && 'start'].filter(Boolean);
+    const notations = [
+      ...ties.map(tieType => element('tied', { type: tieType })),
+      ...(isChordMember ? [] : tuplets.map(tupletType => element('tuplet', { type: tupletType, bracket: 'yes' })))
+    ].filter(Boolean);
+
+    return element('note', {}, [
+      isChordMember && element('chord'),
+      pitch || element('rest'),
+      element('duration', {}, value.divisions),
+      ...ties.map(tieType => element('tie', { type: tieType })),
+      element('voice', {}, voice),
+      element('type', {}, type),
+      isDotted && element('dot'),
+      timeModification,
+      staff && element('staff', {}, staff),
+      notations.length > 0 && element('notations', {}, notations)
+    ]);
+  };
+
+  if (event.rest) {
+    return [buildNote(null, false)];
+  }
+  return event.notes.map((note, index) => {
+    const { letter, alter, octave } = spellMidiNote(getNoteMidi(note), keyId);
+    const pitch = element('pitch', {}, [
+      element('step', {}, letter),
+      alter !== 0 && element('alter', {}, alter),
+      element('octave', {}, octave)
+    ]);
+    return buildNote(pitch, index > 0);
+  });
+};
+
+/**
+ * Write the notes and rests of one staff of a measure
+ * @param {Object} measure - Measure from buildMeasures
+ * @param {Object} context - Where the measure sits
+ * @param {number} context.voice - Voice number
+ * @param {number} context.staff - Staff number, for parts with several staves
+ * @param {string} context.keyId - Key used for spelling
+ * @param {Object} context.state - Carried between the measures of a staff: { tiedIn }
+ * @returns {Array} Note elements
+ */
+const buildMeasureNotes = (measure, context) => {
+  const { voice, staff, keyId, state } = context;
+  const notes = [];
+  let openTuplet = null; // { length, filled } of the triplet being written
+
+  // First written value of the event after the given one, if any
+  const nextEventValue = (eventIndex) => {
+    const next = measure.events[eventIndex + 1];
+    return next && !next.fullMeasure ? splitIntoNoteValues(next.length)[0] : null;
+  };
+
+  measure.events.forEach((event, eventIndex) => {
+    if (event.fullMeasure) {
+      notes.push(element('note', {}, [
+        element('rest', { measure: 'yes' }),
+        element('duration', {}, event.length),
+        element('voice', {}, voice),
+        staff && element('staff', {}, staff)
+      ]));
+      state.tiedIn = false;
+      return;
+    }
+
+    const values = splitIntoNoteValues(event.length);
+    values.forEach((value, index) => {
+      const tuplets = [];
+      if (value.tuplet) {
+        if (!openTuplet) {
+          // Three triplet values take the time of two normal ones
+          openTuplet = { length: value.divisions * 3, filled: 0 };
+          tuplets.push('start');
+        }
+        openTuplet.filled += value.divisions;
+        // A plain value or the barline ends the triplet early
+        const nextValue = index < values.length - 1 ? values[index + 1] : nextEventValue(eventIndex);
+        if (openTuplet.filled >= openTuplet.length || !nextValue?.tuplet) {
+          openTuplet = null;
+          tuplets.push('stop');
+        }
+      }
+
+      notes.push(...buildValueNotes(event, value, {
+        voice,
+        staff,
+        keyId,
+        tieStart: !event.rest && (index < values.length - 1 || event.tie),
+        tieStop: !event.rest && (index > 0 || state.tiedIn),
+        tuplets
+      }));
+    });
+    state.tiedIn = !event.rest && event.tie;
+  });
+
+  return notes;
+};
+
+/**
+ * Write the attributes that open a part: divisions, key, meter and clefs
+ * @param {Object} score - Score from buildScore
+ * @param {Object} part - Part of the score
+ * @returns {Object} Attributes element
+ */
+const buildAttributes = (score, part) => {
+  const hasStaves = part.staves.length > 1;
+  const [beats, beatType] = score.timeSignature;
+
+  return element('attributes', {}, [
+    element('divisions', {}, DIVISIONS_PER_QUARTER),
+    element('key', {}, [
+      element('fifths', {}, score.key.fifths),
+      element('mode', {}, score.key.mode)
+    ]),
+    element('time', {}, [
+      element('beats', {}, beats),
+      element('beat-type', {}, beatType)
+    ]),
+    hasStaves && element('staves', {}, part.staves.length),
+    ...part.staves.map((staff, index) => element('clef', { number: hasStaves ? index + 1 : undefined }, [
+      element('sign', {}, CLEFS[staff.clef].sign),
+      element('line', {}, CLEFS[staff.clef].line)
+    ]))
+  ]);
+};
+
+/**
+ * Write the part list entry of a part, with the MIDI program of its track
+ * @param {Object} part - Part of the score
+ * @param {string} id - Part id
+ * @param {number} index - Index of the part
+ * @param {Object} track - Track the part was made from
+ * @returns {Object} Score-part element
+ */
+const buildScorePart = (part, id, index, track) => {
+  const instrumentId = `${id}-I1`;
+  const isPercussion = Boolean(track?.instrument?.percussion);
+  const channel = isPercussion ? PERCUSSION_CHANNEL : MELODIC_CHANNELS[index % MELODIC_CHANNELS.length];
+
+  return element('score-part', { id }, [
+    element('part-name', {}, part.name),
+    element('score-instrument', { id: instrumentId }, [
+      element('instrument-name', {}, part.instrument)
+    ]),
+    element('midi-instrument', { id: instrumentId }, [
+      element('midi-channel', {}, channel),
+      !isPercussion && element('midi-program', {}, (track?.instrument?.number || 0) + 1)
+    ])
+  ]);
+};
+
+/**
+ * Convert parsed MIDI data to a MusicXML 4.0 (partwise) document
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options, as used by the viewer (see buildScore)
+ * @returns {string} MusicXML document
+ */
+export const convertMidiToMusicXML = (midiData, options = {}) => {
+  const score = buildScore(midiData, options);
+  const partIds = score.parts.map((_, index) => `P${index + 1}`);
+
+  const parts = score.parts.map((part, partIndex) => {
+    const hasStaves = part.staves.length > 1;
+    const states = part.staves.map(() => ({ tiedIn: false }));
+    const measureCount = part.staves[0].measures.length;
+
+    const measures = part.staves[0].measures.map((firstMeasure, measureIndex) => {
+      const isFirst = measureIndex === 0;
+      const isLast = measureIndex === measureCount - 1;
+
+      const content = part.staves.flatMap((staff, staffIndex) => [
+        // Go back to the start of the measure for each further staff
+        staffIndex > 0 && element('backup', {}, [element('duration', {}, firstMeasure.length)]),
+        ...buildMeasureNotes(staff.measures[measureIndex], {
+          voice: staffIndex * VOICES_PER_STAFF + 1,
+          staff: hasStaves ? staffIndex + 1 : undefined,
+          keyId: score.key.id,
+          state: states[staffIndex]
+        })
+      ]);
+
+      return element('measure', { number: firstMeasure.number }, [
+        isFirst && buildAttributes(score, part),
+        isFirst && partIndex === 0 && element('direction', { placement: 'above' }, [
+          element('direction-type', {}, [
+            element('metronome', {}, [
+              element('beat-unit', {}, 'quarter'),
+              element('per-minute', {}, score.tempo)
+            ])
+          ]),
+          element('sound', { tempo: score.tempo })
+        ]),
+        ...content,
+        isLast && element('barline', { location: 'right' }, [element('bar-style', {}, 'light-heavy')])
+      ]);
+    });
+
+    return element('part', { id: partIds[partIndex] }, measures);
+  });
+
+  const scorePartwise = element('score-partwise', { version: '4.0' }, [
+    element('work', {}, [element('work-title', {}, score.title)]),
+    element('identification', {}, [
+      element('encoding', {}, [
+        element('software', {}, 'Audio to MIDI Converter by Sergie Code'),
+        element('encoding-date', {}, new Date().toISOString().slice(0, 10))
+      ])
+    ]),
+    element('part-list', {}, score.parts.map((part, index) => (
+      buildScorePart(part, partIds[index], index, midiData.tracks[part.trackIndex])
+    ))),
+    ...parts
+  ]);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    serialize(scorePartwise)
+  ].join('\n') + '\n';
+};
+
+/**
+ * Write parsed MIDI data as an uncompressed MusicXML file
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options (see buildScore)
+ * @returns {Blob} .musicxml file
+ */
+export const exportMusicXmlBlob = (midiData, options = {}) => (
+  new Blob([convertMidiToMusicXML(midiData, options)], { type: MUSICXML_MIME_TYPE })
+);
+
+/**
+ * Write parsed MIDI data as a compressed MusicXML archive: a ZIP holding an
+ * uncompressed mimetype entry first, the container that points to the score,
+ * and the score itself
+ * @param {Object} midiData - Parsed MIDI data from parseMidiBlob
+ * @param {Object} options - Score options (see buildScore)
+ * @returns {Promise<Blob>} .mxl file
+ */
+export const exportMxlBlob = (midiData, options = {}) => {
+  const container = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<container>',
+    '  <rootfiles>',
+    `    <rootfile full-path="${MXL_SCORE_PATH}" media-type="${MUSICXML_MIME_TYPE}"/>`,
+    '  </rootfiles>',
+    '</container>',
+    ''
+  ].join('\n');
+
+  return createZipArchive([
+    { name: 'mimetype', data: MXL_MIME_TYPE, compress: false },
+    { name: 'META-INF/container.xml', data: container },
+    { name: MXL_SCORE_PATH, data: convertMidiToMusicXML(midiData, options) }
+  ], { type: MXL_MIME_TYPE });
+};
@@ -0,0 +1,205 @@
+/**
+ * Score Document Model
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module keeps a transcription together with every change made to it.
+ * Changes are recorded as commands, so they can be listed, undone, redone or
+ * all reverted back to the transcription as it was opened.
+ */
+
+import { addNote, removeNote, replaceNote } from './midiEditor';
+import { getNoteMidi, transposeMidiData, cleanupMidiData, DEFAULT_CLEANUP_OPTIONS } from './midiProcessor';
+
+/**
+ * Check whether a note change only touches its velocity
+ * @param {Object} command - replaceNote command
+ * @returns {boolean} Whether only the velocity changed
+ */
+const isVelocityChange = ({ note, replacement }) => (
+  getNoteMidi(note) === replacement.midi
+  && note.time === replacement.time
+  && note.duration === replacement.duration
+);
+
+/**
+ * Commands that can be run on a document, by type. Each one turns the current
+ * MIDI data into the new one without mutating it, and describes itself for the
+ * history list. A command may also merge into the one before it, so dragging a
+ * slider makes a single history entry.
+ */
+const COMMANDS = {
+  addNote: {
+    apply: (midiData, { trackIndex, note }) => addNote(midiData, trackIndex, note),
+    describe: ({ note }) => `Add ${note.name}`
+  },
+  removeNote: {
+    apply: (midiData, { trackIndex, note }) => removeNote(midiData, trackIndex, note),
+    describe: ({ note }) => `Delete ${note.name}`
+  },
+  replaceNote: {
+    apply: (midiData, { trackIndex, note, replacement }) => replaceNote(midiData, trackIndex, note, replacement),
+    describe: ({ note, replacement }) => {
+      if (getNoteMidi(note) !== replacement.midi || note.time !== replacement.time) {
+        return `Move ${note.name}${replacement.name !== note.name ? ` to ${replacement.name}` : ''}`;
+      }
+      if (note.duration !== replacement.duration) {
+        return `Resize ${note.name}`;
+      }
+      return `Change velocity of ${note.name}`;
+    },
+    merge: (previous, command) => (
+      previous.type === 'replaceNote'
+      && previous.replacement === command.note
+      && isVelocityChange(previous)
+      && isVelocityChange(command)
+        ? { ...command, note: previous.note }
+        : null
+    )
+  },
+  transpose: {
+    apply: (midiData, { semitones, tracks }) => transposeMidiData(midiData, semitones, { tracks }),
+    describe: ({ semitones, target }) => (
+      `Transpose ${semitones < 0 ? 'down' : 'up'} ${Math.abs(semitones)} semitone${Math.abs(semitones) === 1 ? '' : 's'}`
+      + (target ? ` (${target})` : '')
+    )
+  },
+  cleanup: {
+    apply: (midiData, { options }) => cleanupMidiData(midiData, options).midiData,
+    describe: ({ removedCount, automatic }) => (
+      `${automatic ? 'Automatic cleanup' : 'Clean up'}${removedCount !== undefined ? ` (${removedCount} note${removedCount === 1 ? '' : 's'} removed)` : ''}`
+    )
+  },
+  revert: {
+    apply: (midiData, command, baseline) => baseline,
+    describe: () => 'Revert to original'
+  }
+};
+
+/**
+ * Start a document from a transcription, with an empty history
+ * @param {Object} midiData - Parsed MIDI data as returned by the backend
+ * @returns {Object} Document
+ */
+export const createScoreDocument = (midiData) => ({
+  original: midiData,
+  baseline: midiData, // What counts as unmodified, and what revert returns to
+  entries: [], // { command, label, midiData } for every change, oldest first
+  position: 0 // Number of entries in effect; the rest can be redone
+});
+
+/**
+ * Start a document from a raw transcription with the cleanup filters applied
+ * as its first change, so the cleaned notes are shown and exported while the
+ * raw ones stay one undo away
+ * @param {Object} midiData - Parsed MIDI data as returned by the backend
+ * @param {Object} options - Cleanup options (defaults to DEFAULT_CLEANUP_OPTIONS)
+ * @returns {Object} Document, with no history when there was nothing to clean up
+ */
+export const createCleanedScoreDocument = (midiData, options = DEFAULT_CLEANUP_OPTIONS) => {
+  const scoreDocument = createScoreDocument(midiData);
+  const { removed } = cleanupMidiData(midiData, options);
+  const removedCount = Object.values(removed).reduce((sum, count) => sum + count, 0);
+
+  if (removedCount === 0) {
+    return scoreDocument;
+  }
+  // The cleaned notes are the starting point the user's own edits are measured against
+  const cleaned = executeCommand(scoreDocument, { type: 'cleanup', options, removedCount, automatic: true });
+  return { ...cleaned, baseline: getCurrentMidiData(cleaned) };
+};
+
+/**
+ * Get the MIDI data a document currently stands at
+ * @param {Object} scoreDocument - Document
+ * @returns {Object} Parsed MIDI data
+ */
+export const getCurrentMidiData = (scoreDocument) => (
+  scoreDocument.position > 0
+    ? scoreDocument.entries[scoreDocument.position - 1].midiData
+    : scoreDocument.original
+);
+
+/**
+ * Describe a command for the history list
+ * @param {Object} command - Command with a type and its parameters
+ * @returns {string} Label
+ */
+export const describeCommand = (command) => {
+  const definition = COMMANDS[command.type];
+  if (!definition) {
+    throw new Error(`Unknown edit command: ${command.type}`);
+  }
+  return definition.describe(command);
+};
+
+/**
+ * Run a command on a document and record it. Anything that had been undone
+ * can no longer be redone afterwards.
+ * @param {Object} scoreDocument - Document
+ * @param {Object} command - Command with a type and its parameters
+ * @returns {Object} New document
+ */
+export const executeCommand = (scoreDocument, command) => {
+  describeCommand(command); // Rejects unknown commands before anything changes
+  let entries = scoreDocument.entries.slice(0, scoreDocument.position);
+
+  // Fold the command into the latest entry where it continues that change
+  const previous = entries[entries.length - 1]?.command;
+  const merged = previous && COMMANDS[command.type].merge?.(previous, command);
+  if (merged) {
+    entries = entries.slice(0, -1);
+  }
+  const recorded = merged || command;
+
+  const before = entries.length > 0 ? entries[entries.length - 1].midiData : scoreDocument.original;
+  const midiData = COMMANDS[recorded.type].apply(before, recorded, scoreDocument.baseline);
+  entries = [...entries, { command: recorded, label: describeCommand(recorded), midiData }];
+  return { ...scoreDocument, entries, position: entries.length };
+};
+
+/**
+ * Move a document to a point in its history
+ * @param {Object} scoreDocument - Document
+ * @param {number} position - Number of entries to keep in effect (0 for the original)
+ * @returns {Object} New document
+ */
+export const goToPosition = (scoreDocument, position) => {
+  const clamped = Math.min(scoreDocument.entries.length, Math.max(0, position));
+  return clamped === scoreDocument.position ? scoreDocument : { ...scoreDocument, position: clamped };
+};
+
+/**
+ * Check whether a document has a change to undo
+ * @param {Object} scoreDocument - Document
+ * @returns {boolean} Whether undo is possible
+ */
+export const canUndo = (scoreDocument) => scoreDocument.position > 0;
+
+/**
+ * Check whether a document has an undone change to redo
+ * @param {Object} scoreDocument - Document
+ * @returns {boolean} Whether redo is possible
+ */
+export const canRedo = (scoreDocument) => scoreDocument.position < scoreDocument.entries.length;
+
+/**
+ * Take back the latest change in effect
+ * @param {Object} scoreDocument - Document
+ * @returns {Object} New document
+ */
+export const undo = (scoreDocument) => goToPosition(scoreDocument, scoreDocument.position - 1);
+
+/**
+ * Apply again the latest change that was undone
+ * @param {Object} scoreDocument - Document
+ * @returns {Object} New document
+ */
+export const redo = (scoreDocument) => goToPosition(scoreDocument, scoreDocument.position + 1);
+
+/**
+ * Check whether a document differs from the transcription as it was opened,
+ * i.e. after any automatic cleanup
+ * @param {Object} scoreDocument - Document
+ * @returns {boolean} Whether it has been modified
+ */
+export const isModified = (scoreDocument) => getCurrentMidiData(scoreDocument) !== scoreDocument.baseline;
@@ -0,0 +1,262 @@
+/**
+ * Transcription History
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module keeps finished transcriptions in the browser's IndexedDB, with
+ * their MIDI file, summary and options (and the original audio when asked),
+ * so they survive a reload and can be opened, renamed or downloaded again
+ */
+
+const DATABASE_NAME = 'audio-to-midi';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'transcriptions';
+
+// localStorage key of the "keep the original audio" choice
+const KEEP_AUDIO_KEY = 'audio-to-midi:keep-audio';
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise} Result of the request
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Describe a storage failure to the user
+ * @param {Error} error - Error from IndexedDB
+ * @param {string} message - What could not be done
+ * @returns {string} Error message
+ */
+const describeError = (error, message) => (
+  error?.name === 'QuotaExceededError'
+    ? `${message}: the browser is out of storage space. Delete older transcriptions to make room.`
+    : message
+);
+
+/**
+ * Get the name a history entry is downloaded as. Renamed entries take their
+ * new name; others keep the name the backend gave the MIDI file.
+ * @param {Object} entry - History entry
+ * @returns {string} MIDI filename
+ */
+export const getHistoryFilename = (entry) => {
+  if (entry.name === entry.sourceName) {
+    return entry.filename;
+  }
+  return /\.midi?$/i.test(entry.name) ? entry.name : `${entry.name}.mid`;
+};
+
+/**
+ * Create the store of past transcriptions. Entries are kept in memory once
+ * loaded, newest first, and every change replaces the entry list.
+ * @param {Object} options - History options
+ * @param {IDBFactory} options.indexedDB - IndexedDB to use (defaults to the browser's)
+ * @param {Storage} options.storage - Where the keep-audio choice is remembered (defaults to localStorage)
+ * @returns {Object} History with load, add, rename, remove, setKeepAudio, getState,
+ *   subscribe and dispose methods
+ */
+export const createTranscriptionHistory = (options = {}) => {
+  const factory = options.indexedDB ?? globalThis.indexedDB;
+  const storage = options.storage ?? globalThis.localStorage;
+
+  let entries = [];
+  let error = '';
+  let keepAudio = false;
+  let databasePromise = null;
+  const listeners = new Set();
+
+  try {
+    keepAudio = storage?.getItem(KEEP_AUDIO_KEY) === 'true';
+  } catch {
+    // Storage can be blocked, in which case the audio is not kept
+  }
+
+  const getState = () => ({ entries, error, keepAudio, isAvailable: Boolean(factory) });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const setEntries = (nextEntries, nextError = '') => {
+    entries = nextEntries;
+    error = nextError;
+    notify();
+  };
+
+  const fail = (err, message) => {
+    console.error('Transcription history error:', err);
+    error = describeError(err, message);
+    notify();
+  };
+
+  // The database is opened on first use, and again after a failure
+  const getDatabase = () => {
+    if (!databasePromise) {
+      const request = factory.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      databasePromise = requestToPromise(request).then(database => {
+        // Let a newer version of the app upgrade the database from another tab
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+        return database;
+      });
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  };
+
+  /**
+   * Run one request in a transaction and wait until it is committed
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Makes the request on the object store
+   * @returns {Promise} Result of the request
+   */
+  const runTransaction = async (mode, action) => {
+    const database = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  };
+
+  return {
+    /**
+     * Read the saved transcriptions
+     * @returns {Promise<void>}
+     */
+    async load() {
+      if (!factory) {
+        return;
+      }
+      try {
+        const saved = await runTransaction('readonly', store => store.getAll());
+        setEntries(saved.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id));
+      } catch (err) {
+        fail(err, 'The transcription history could not be opened');
+      }
+    },
+
+    /**
+     * Save a finished transcription
+     * @param {Object} transcription - What to save
+     * @param {string} transcription.sourceName - Name of the audio file
+     * @param {Blob} transcription.midiFile - MIDI file from the backend
+     * @param {string} transcription.filename - Name of the MIDI file
+     * @param {Object} transcription.summary - Summary from getMidiSummary
+     * @param {Object} transcription.settings - Transcription options used
+     * @param {File} transcription.audioFile - Original audio, kept only when keepAudio is on
+     * @returns {Promise<Object|null>} Saved entry, or null when it could not be saved
+     */
+    async add(transcription) {
+      if (!factory) {
+        return null;
+      }
+      const record = {
+        name: transcription.sourceName,
+        sourceName: transcription.sourceName,
+        filename: transcription.filename,
+        midiFile: transcription.midiFile,
+        summary: transcription.summary || null,
+        settings: transcription.settings || {},
+        audioFile: keepAudio ? transcription.audioFile || null : null,
+        createdAt: Date.now()
+      };
+
+      try {
+        const id = await runTransaction('readwrite', store => store.add(record));
+        const entry = { ...record, id };
+        setEntries([entry, ...entries]);
+        return entry;
+      } catch (err) {
+        fail(err, `"${transcription.sourceName}" could not be saved to the history`);
+        return null;
+      }
+    },
+
+    /**
+     * Rename a saved transcription; a blank name restores the audio file's name
+     * @param {number} id - Entry id
+     * @param {string} name - New name
+     * @returns {Promise<void>}
+     */
+    async rename(id, name) {
+      const entry = entries.find(current => current.id === id);
+      if (!entry) {
+        return;
+      }
+      const renamed = { ...entry, name: name.trim() || entry.sourceName };
+      try {
+        await runTransaction('readwrite', store => store.put(renamed));
+        setEntries(entries.map(current => (current.id === id ? renamed : current)));
+      } catch (err) {
+        fail(err, `"${entry.name}" could not be renamed`);
+      }
+    },
+
+    /**
+     * Delete a saved transcription
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      const entry = entries.find(current => current.id === id);
+      if (!entry) {
+        return;
+      }
+      try {
+        await runTransaction('readwrite', store => store.delete(id));
+        setEntries(entries.filter(current => current.id !== id));
+      } catch (err) {
+        fail(err, `"${entry.name}" could not be deleted`);
+      }
+    },
+
+    /**
+     * Choose whether the original audio is saved with later transcriptions
+     * @param {boolean} value - Keep the audio
+     */
+    setKeepAudio(value) {
+      keepAudio = Boolean(value);
+      try {
+        storage?.setItem(KEEP_AUDIO_KEY, String(keepAudio));
+      } catch {
+        // The choice then only lasts until the page is closed
+      }
+      notify();
+    },
+
+    getState,
+
+    /**
+     * Listen for changes to the history
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Close the database and stop notifying listeners
+     */
+    dispose() {
+      listeners.clear();
+      databasePromise?.then(database => database.close(), () => {});
+      databasePromise = null;
+    }
+  };
+};
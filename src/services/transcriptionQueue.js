@@ -0,0 +1,215 @@
+/**
+ * Transcription Queue
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module transcribes many audio files in turn, a few at a time, keeping
+ * the status of each so failed ones can be retried and the resulting MIDI
+ * files downloaded together
+ */
+
+import { transcribeAudio } from './apiService';
+import { createZipArchive } from './zipArchive';
+
+// Files transcribed at the same time by default, and at most
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 4;
+
+// Statuses an item goes through; failed items can be queued again
+export const QUEUE_STATUSES = ['queued', 'uploading', 'transcribing', 'done', 'failed'];
+
+// Items that are being worked on
+const ACTIVE_STATUSES = ['uploading', 'transcribing'];
+
+/**
+ * Create a queue that transcribes audio files. Every change replaces the
+ * changed item and the item list, so snapshots from getState can be compared
+ * by reference.
+ * @param {Object} options - Queue options
+ * @param {Function} options.transcribe - Transcribes one file (defaults to transcribeAudio)
+ * @param {number} options.concurrency - Files transcribed at the same time
+ * @returns {Object} Queue with add, retry, retryFailed, remove, clearFinished, setConcurrency,
+ *   getState, subscribe and dispose methods
+ */
+export const createTranscriptionQueue = (options = {}) => {
+  const transcribe = options.transcribe || transcribeAudio;
+  let concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  let items = [];
+  let nextId = 1;
+
+  const controllers = new Map(); // AbortController of each running item, by id
+  const listeners = new Set();
+
+  const getState = () => ({ items, concurrency });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const updateItem = (id, changes) => {
+    items = items.map(item => (item.id === id ? { ...item, ...changes } : item));
+    notify();
+  };
+
+  const run = async (item) => {
+    const controller = new AbortController();
+    controllers.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', progress: null, error: null });
+
+    let result;
+    try {
+      result = await transcribe(item.file, {
+        signal: controller.signal,
+        settings: item.settings,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) {
+            updateItem(item.id, { status: progress.phase === 'uploading' ? 'uploading' : 'transcribing', progress });
+          }
+        }
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    controllers.delete(item.id);
+    // Removed items are gone for good
+    if (items.some(current => current.id === item.id)) {
+      updateItem(item.id, result.success
+        ? { status: 'done', progress: null, midiFile: result.midiFile, filename: result.filename }
+        : { status: 'failed', progress: null, error: result.error });
+    }
+    pump();
+  };
+
+  // Start queued items, oldest first, until the concurrency is reached
+  const pump = () => {
+    let running = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    items.filter(item => item.status === 'queued').forEach(item => {
+      if (running < concurrency) {
+        running++;
+        run(item);
+      }
+    });
+  };
+
+  return {
+    /**
+     * Queue audio files for transcription
+     * @param {Array<File>} files - Audio files
+     * @param {Object} settings - Transcription settings for these files (see transcribeAudio)
+     * @returns {Array<number>} Ids of the new items
+     */
+    add(files, settings = {}) {
+      const added = files.map(file => ({
+        id: nextId++,
+        file,
+        settings,
+        status: 'queued',
+        progress: null,
+        error: null,
+        midiFile: null,
+        filename: null
+      }));
+      items = [...items, ...added];
+      notify();
+      pump();
+      return added.map(item => item.id);
+    },
+
+    /**
+     * Queue a failed item again
+     * @param {number} id - Item id
+     */
+    retry(id) {
+      if (items.some(item => item.id === id && item.status === 'failed')) {
+        updateItem(id, { status: 'queued', error: null });
+        pump();
+      }
+    },
+
+    /**
+     * Queue every failed item again
+     */
+    retryFailed() {
+      if (items.some(item => item.status === 'failed')) {
+        items = items.map(item => (item.status === 'failed' ? { ...item, status: 'queued', error: null } : item));
+        notify();
+        pump();
+      }
+    },
+
+    /**
+     * Remove an item, cancelling its transcription when it is running
+     * @param {number} id - Item id
+     */
+    remove(id) {
+      items = items.filter(item => item.id !== id);
+      controllers.get(id)?.abort();
+      notify();
+      pump();
+    },
+
+    /**
+     * Remove the items that are done
+     */
+    clearFinished() {
+      items = items.filter(item => item.status !== 'done');
+      notify();
+    },
+
+    /**
+     * Change how many files are transcribed at the same time
+     * @param {number} value - Between 1 and MAX_CONCURRENCY
+     */
+    setConcurrency(value) {
+      concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, Math.round(value) || 1));
+      notify();
+      pump();
+    },
+
+    getState,
+
+    /**
+     * Listen for changes to the queue
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Cancel every running transcription and forget all items
+     */
+    dispose() {
+      items = [];
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+      listeners.clear();
+    }
+  };
+};
+
+/**
+ * Pack the MIDI files of the finished items into a ZIP archive. Files that
+ * would share a name are numbered, as in 'take (2).mid'.
+ * @param {Array} items - Queue items
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export const createResultsArchive = async (items) => {
+  const usedNames = new Set();
+  const files = [];
+
+  for (const item of items.filter(current => current.status === 'done')) {
+    const [, base, extension] = item.filename.match(/^(.*?)(\.[^.]*)?$/);
+    let name = item.filename;
+    for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+      name = `${base} (${copy})${extension || ''}`;
+    }
+    usedNames.add(name.toLowerCase());
+    files.push({ name, data: new Uint8Array(await item.midiFile.arrayBuffer()) });
+  }
+
+  return createZipArchive(files);
+};
@@ -0,0 +1,190 @@
+/**
+ * VexFlow Score Layout
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module builds the VexFlow voices of each measure and breaks a score
+ * from convertMidiToVexFlow into systems that fit the page width, and the
+ * systems into pages
+ */
+
+import { Stave, StaveNote, Voice, Formatter, Dot, Tuplet, Accidental } from 'vexflow';
+
+// Narrowest measure, and the room a measure needs beyond its notes
+const MIN_MEASURE_WIDTH = 100;
+const MEASURE_PADDING = 30;
+
+// Systems (rows of measures) drawn per page
+export const SYSTEMS_PER_PAGE = 6;
+
+/**
+ * Create a VexFlow StaveNote from a converted note object
+ * @param {Object} noteData - Note from convertMidiToVexFlow
+ * @param {string} clef - Clef of the staff the note sits on
+ * @returns {StaveNote} The stave note, with dots attached
+ */
+const createStaveNote = (noteData, clef = 'treble') => {
+  const staveNote = new StaveNote({
+    clef,
+    keys: noteData.keys.map(key => key.toLowerCase()),
+    duration: noteData.duration,
+    // Full-measure rests sit in the middle of the measure
+    alignCenter: Boolean(noteData.fullMeasure)
+  });
+
+  if (noteData.duration.includes('d')) {
+    Dot.buildAndAttach([staveNote], { all: true });
+  }
+
+  return staveNote;
+};
+
+// Three triplet values take the time of two normal ones
+const TRIPLET = { numNotes: 3, notesOccupied: 2 };
+
+/**
+ * Group consecutive triplet notes of a measure into VexFlow tuplets. A group
+ * is full once it spans three of its first value; a plain value or the end
+ * of the measure closes it early.
+ * @param {Array} measureNotes - Note objects of one measure
+ * @param {Array} staveNotes - Matching StaveNotes
+ * @returns {Array} Tuplets to draw after the voice
+ */
+const createTuplets = (measureNotes, staveNotes) => {
+  const tuplets = [];
+  let group = null; // { notes, length, filled } of the triplet being grouped, in ticks
+
+  const closeGroup = () => {
+    if (group) {
+      tuplets.push(new Tuplet(group.notes, TRIPLET));
+      group = null;
+    }
+  };
+
+  measureNotes.forEach((noteData, index) => {
+    if (!noteData.tuplet) {
+      closeGroup();
+      return;
+    }
+
+    const staveNote = staveNotes[index];
+    const ticks = staveNote.getTicks().value();
+    if (!group) {
+      group = { notes: [], length: ticks * 3, filled: 0 };
+    }
+    group.notes.push(staveNote);
+    group.filled += ticks;
+    if (group.filled >= group.length) {
+      closeGroup();
+    }
+  });
+  closeGroup();
+
+  return tuplets;
+};
+
+/**
+ * Create the notes and voice of one measure of a staff
+ * @param {Object} measure - Measure from convertMidiToVexFlow
+ * @param {string} clef - Clef of the staff
+ * @returns {Object} StaveNotes, voice (null for an empty measure) and tuplets
+ */
+export const createMeasureVoice = (measure, clef) => {
+  const staveNotes = measure.notes.map(noteData => createStaveNote(noteData, clef));
+  if (staveNotes.length === 0) {
+    return { staveNotes, voice: null, tuplets: [] };
+  }
+
+  const tuplets = createTuplets(measure.notes, staveNotes);
+  const [numBeats, beatValue] = measure.timeSignature.split('/').map(Number);
+  const voice = new Voice({ numBeats, beatValue });
+  voice.setMode(Voice.Mode.SOFT);
+  voice.addTickables(staveNotes);
+
+  // Show accidentals only where the key signature does not cover them
+  Accidental.applyAccidentals([voice], measure.keySignature);
+
+  return { staveNotes, voice, tuplets };
+};
+
+/**
+ * Get the width the clef, key and time signature take at the start of a system
+ * @param {Array} staves - Staves of the score
+ * @param {boolean} withTimeSignature - Whether the time signature is shown
+ * @returns {number} Width in pixels
+ */
+const getSystemHeaderWidth = (staves, withTimeSignature) => Math.max(...staves.map(staff => {
+  const [measure] = staff.measures;
+  const stave = new Stave(0, 0, 500).addClef(staff.clef).addKeySignature(measure.keySignature);
+  if (withTimeSignature) {
+    stave.addTimeSignature(measure.timeSignature);
+  }
+  return stave.getNoteStartX() - stave.getX();
+}));
+
+/**
+ * Break the measures of a score into systems that fit the available width.
+ * Each measure is as wide as its densest staff needs; full systems are then
+ * stretched to the right edge.
+ * @param {Array} staves - Staves of the score
+ * @param {number} width - Width available for measures, after the left margin
+ * @returns {Array} Systems ({ measures: [{ index, width }], headerWidth })
+ */
+export const layoutSystems = (staves, width) => {
+  const minWidths = staves[0].measures.map((_, measureIndex) => {
+    const voices = staves
+      .map(staff => createMeasureVoice(staff.measures[measureIndex], staff.clef).voice)
+      .filter(Boolean);
+    if (voices.length === 0) {
+      return MIN_MEASURE_WIDTH;
+    }
+
+    const formatter = new Formatter();
+    voices.forEach(voice => formatter.joinVoices([voice]));
+    return Math.max(MIN_MEASURE_WIDTH, formatter.preCalculateMinTotalWidth(voices) + MEASURE_PADDING);
+  });
+
+  const firstHeaderWidth = getSystemHeaderWidth(staves, true);
+  const headerWidth = getSystemHeaderWidth(staves, false);
+  const systems = [];
+  let current = null;
+
+  minWidths.forEach((measureWidth, index) => {
+    const usedWidth = current
+      ? current.headerWidth + current.measures.reduce((sum, measure) => sum + measure.width, 0)
+      : 0;
+    if (!current || (current.measures.length > 0 && usedWidth + measureWidth > width)) {
+      current = { headerWidth: systems.length === 0 ? firstHeaderWidth : headerWidth, measures: [] };
+      systems.push(current);
+    }
+    current.measures.push({ index, width: measureWidth });
+  });
+
+  systems.forEach((system, systemIndex) => {
+    const measuresWidth = system.measures.reduce((sum, measure) => sum + measure.width, 0);
+    const scale = (width - system.headerWidth) / measuresWidth;
+    // A short last system keeps its natural spacing
+    if (systemIndex < systems.length - 1 || scale < 1.5) {
+      system.measures.forEach((measure, index) => {
+        measure.width *= scale;
+        // The header belongs to the first measure of the system
+        if (index === 0) {
+          measure.width += system.headerWidth;
+        }
+      });
+    } else {
+      system.measures[0].width += system.headerWidth;
+    }
+  });
+
+  return systems;
+};
+
+/**
+ * Split laid out systems into the pages they are drawn on
+ * @param {Array} systems - Systems from layoutSystems
+ * @returns {Array} Pages, each holding up to SYSTEMS_PER_PAGE systems
+ */
+export const paginateSystems = (systems) => Array.from(
+  { length: Math.ceil(systems.length / SYSTEMS_PER_PAGE) },
+  (_, page) => systems.slice(page * SYSTEMS_PER_PAGE, (page + 1) * SYSTEMS_PER_PAGE)
+);
@@ -0,0 +1,176 @@
+/**
+ * ZIP Archive Writer
+ * Created by Sergie Code - AI Tools for Musicians
+ *
+ * This module packs files into a ZIP archive in the browser, compressing them
+ * with the built-in CompressionStream where available
+ */
+
+// Record signatures of the ZIP format
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Version 2.0 of the format, and the flag marking UTF-8 file names
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index++) {
+    crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Compress bytes with raw DEFLATE, as stored in ZIP entries
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<Uint8Array|null>} Compressed data, or null when the browser cannot compress
+ */
+const deflate = async (bytes) => {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  }).pipeThrough(new CompressionStream('deflate-raw'));
+
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+  }
+
+  const compressed = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    compressed.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return compressed;
+};
+
+/**
+ * Get the MS-DOS time and date fields of a moment
+ * @param {Date} date - Moment
+ * @returns {{time: number, date: number}} Packed time and date
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Pack files into a ZIP archive. Files are stored in the given order, which
+ * matters for formats such as .mxl whose first entry must be left uncompressed.
+ * @param {Array} files - Files ({ name, data, compress = true }), with data as a string or bytes
+ * @param {Object} options - Archive options
+ * @param {string} options.type - MIME type of the resulting Blob
+ * @param {Date} options.date - Modification time recorded for every file (defaults to now)
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export const createZipArchive = async (files, options = {}) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(options.date || new Date());
+
+  const entries = [];
+  for (const file of files) {
+    const bytes = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const compressed = file.compress === false ? null : await deflate(bytes);
+    // Keep whichever is smaller; tiny files can grow when deflated
+    const useDeflate = compressed && compressed.length < bytes.length;
+    entries.push({
+      name: encoder.encode(file.name),
+      crc: crc32(bytes),
+      size: bytes.length,
+      method: useDeflate ? DEFLATED : STORED,
+      data: useDeflate ? compressed : bytes
+    });
+  }
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const archive = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(archive.buffer);
+
+  let offset = 0;
+  const writeUint16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeBytes = (bytes) => {
+    archive.set(bytes, offset);
+    offset += bytes.length;
+  };
+  // Fields shared by the local and central headers, from the flags to the name length
+  const writeCommonFields = (entry) => {
+    writeUint16(UTF8_FLAG);
+    writeUint16(entry.method);
+    writeUint16(time);
+    writeUint16(date);
+    writeUint32(entry.crc);
+    writeUint32(entry.data.length);
+    writeUint32(entry.size);
+    writeUint16(entry.name.length);
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    writeUint32(LOCAL_FILE_HEADER);
+    writeUint16(ZIP_VERSION);
+    writeCommonFields(entry);
+    writeUint16(0); // Extra field length
+    writeBytes(entry.name);
+    writeBytes(entry.data);
+  });
+
+  entries.forEach(entry => {
+    writeUint32(CENTRAL_DIRECTORY_HEADER);
+    writeUint16(ZIP_VERSION); // Made by
+    writeUint16(ZIP_VERSION); // Needed to extract
+    writeCommonFields(entry);
+    writeUint16(0); // Extra field length
+    writeUint16(0); // Comment length
+    writeUint16(0); // Disk number
+    writeUint16(0); // Internal attributes
+    writeUint32(0); // External attributes
+    writeUint32(entry.offset);
+    writeBytes(entry.name);
+  });
+
+  writeUint32(END_OF_CENTRAL_DIRECTORY);
+  writeUint16(0); // Number of this disk
+  writeUint16(0); // Disk where the central directory starts
+  writeUint16(entries.length);
+  writeUint16(entries.length);
+  writeUint32(centralSize);
+  writeUint32(localSize);
+  writeUint16(0); // Comment length
+
+  return new Blob([archive], { type: options.type || 'application/zip' });
+};
@@ -3,14 +3,20 @@
  * Tests for backend communication and file handling
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import http from 'node:http'
+import { fetch as networkFetch } from 'undici'
 import {
   checkBackendHealth,
   getSupportedFormats,
+  getTranscriptionCapabilities,
   isValidAudioFile,
   transcribeAudio,
   getErrorMessage,
-  downloadMidiFile
+  downloadMidiFile,
+  TRANSCRIPTION_CANCELLED,
+  TRANSCRIPTION_TIMED_OUT,
+  TRANSCRIPTION_FAILED
 } from '../services/apiService'
 
 // Mock fetch globally
@@ -76,6 +82,32 @@ describe('API Service', () => {
     })
   })
 
+  describe('getTranscriptionCapabilities', () => {
+    it('should return the options the backend accepts', async () => {
+      const options = {
+        instrument: { choices: ['piano', 'guitar'], default: 'piano' },
+        onset_threshold: { min: 0.1, max: 0.9, step: 0.05, default: 0.5 }
+      }
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ options })
+      })
+
+      const result = await getTranscriptionCapabilities()
+
+      expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/capabilities$/))
+      expect(result).toEqual(options)
+    })
+
+    it('should return no options when the backend has no capabilities endpoint', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 })
+      expect(await getTranscriptionCapabilities()).toEqual({})
+
+      fetch.mockRejectedValueOnce(new Error('Network error'))
+      expect(await getTranscriptionCapabilities()).toEqual({})
+    })
+  })
+
   describe('isValidAudioFile', () => {
     it('should validate audio file correctly', () => {
       const validFile = new File(['content'], 'test.wav', { type: 'audio/wav' })
@@ -123,6 +155,21 @@ describe('API Service', () => {
       expect(result.filename).toBe('test.mid')
     })
 
+    it('should send transcription settings as form fields', async () => {
+      const mockFile = new File(['audio'], 'test.wav', { type: 'audio/wav' })
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        blob: () => Promise.resolve(new Blob(['midi data']))
+      })
+
+      await transcribeAudio(mockFile, { settings: { instrument: 'guitar', onset_threshold: 0.6 } })
+
+      const { body } = fetch.mock.calls[0][1]
+      expect(body.get('audio_file')).toBe(mockFile)
+      expect(body.get('instrument')).toBe('guitar')
+      expect(body.get('onset_threshold')).toBe('0.6')
+    })
+
     it('should handle transcription error', async () => {
       const mockFile = new File(['audio'], 'test.wav', { type: 'audio/wav' })
 
@@ -147,6 +194,347 @@ describe('API Service', () => {
       expect(result.success).toBe(false)
       expect(result.error).toBe('Network error')
     })
+
+    describe('stopping', () => {
+      const mockFile = new File(['audio'], 'test.wav', { type: 'audio/wav' })
+
+      // A request that only ends when it is aborted
+      const hangUntilAborted = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+      })
+
+      it('should give up after the timeout with a distinct error', async () => {
+        fetch.mockImplementationOnce(hangUntilAborted)
+
+        const result = await transcribeAudio(mockFile, { timeoutMs: 10 })
+
+        expect(result).toEqual({ success: false, error: TRANSCRIPTION_TIMED_OUT })
+        expect(getErrorMessage(result.error)).toMatch(/took too long/i)
+      })
+
+      it('should be cancelled through an abort signal', async () => {
+        fetch.mockImplementationOnce(hangUntilAborted)
+        const controller = new AbortController()
+
+        const pending = transcribeAudio(mockFile, { signal: controller.signal })
+        controller.abort()
+
+        expect(await pending).toEqual({ success: false, error: TRANSCRIPTION_CANCELLED, cancelled: true })
+      })
+    })
+
+    describe('with progress', () => {
+      const mockFile = new File(['audio'], 'test.wav', { type: 'audio/wav' })
+      let requests
+
+      // Upload half the file, then the rest, then answer with the given response
+      const mockXhr = (status, response) => class MockXMLHttpRequest {
+        constructor() {
+          this.upload = {}
+          requests.push(this)
+        }
+
+        open(method, url) {
+          Object.assign(this, { method, url, headers: {} })
+        }
+
+        setRequestHeader(name, value) {
+          this.headers[name] = value
+        }
+
+        send() {
+          this.upload.onprogress({ loaded: 50, total: 100, lengthComputable: true })
+          this.upload.onload({ loaded: 100 })
+          Object.assign(this, { status, statusText: '', response })
+          this.onload()
+        }
+
+        abort() {
+          this.onabort()
+        }
+      }
+
+      beforeEach(() => {
+        requests = []
+      })
+
+      afterEach(() => {
+        vi.unstubAllGlobals()
+      })
+
+      it('should report the upload and transcription phases', async () => {
+        vi.stubGlobal('XMLHttpRequest', mockXhr(200, 'midi data'))
+        const onProgress = vi.fn()
+
+        const result = await transcribeAudio(mockFile, { onProgress })
+
+        expect(requests[0].method).toBe('POST')
+        expect(fetch).not.toHaveBeenCalled()
+        expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+          { phase: 'uploading', loaded: 50, total: 100 },
+          { phase: 'transcribing', loaded: 100, total: 100 }
+        ])
+        expect(result.success).toBe(true)
+        expect(result.filename).toBe('test.mid')
+      })
+
+      it('should stop listening for aborts once the request ends', async () => {
+        vi.stubGlobal('XMLHttpRequest', mockXhr(200, 'midi data'))
+        const addListener = vi.spyOn(AbortSignal.prototype, 'addEventListener')
+        const removeListener = vi.spyOn(AbortSignal.prototype, 'removeEventListener')
+
+        await transcribeAudio(mockFile, { onProgress: vi.fn(), signal: new AbortController().signal })
+
+        const added = addListener.mock.calls.filter(([type]) => type === 'abort').map(([, listener]) => listener)
+        const removed = removeListener.mock.calls.map(([, listener]) => listener)
+        expect(added).toHaveLength(2)
+        expect(removed).toEqual(expect.arrayContaining(added))
+        addListener.mockRestore()
+        removeListener.mockRestore()
+      })
+
+      it('should read errors from the response', async () => {
+        vi.stubGlobal('XMLHttpRequest', mockXhr(413, JSON.stringify({ error: 'File too large' })))
+
+        const result = await transcribeAudio(mockFile, { onProgress: vi.fn() })
+
+        expect(result).toEqual({ success: false, error: 'File too large' })
+      })
+
+      it('should not send anything when already cancelled', async () => {
+        vi.stubGlobal('XMLHttpRequest', mockXhr(200, 'midi data'))
+        const controller = new AbortController()
+        controller.abort()
+
+        const result = await transcribeAudio(mockFile, { onProgress: vi.fn(), signal: controller.signal })
+
+        expect(result.cancelled).toBe(true)
+        expect(requests).toHaveLength(0)
+      })
+    })
+
+    describe('as a job', () => {
+      const mockFile = new File(['audio'], 'rehearsal.wav', { type: 'audio/wav' })
+      const running = (progress) => ({ status: 'running', progress })
+      const done = { status: 'done', progress: 100 }
+      let server
+
+      /**
+       * Start a local HTTP server standing in for a backend that runs
+       * transcriptions as jobs. It answers under /api, as the dev server's
+       * proxy does, and the app's fetch calls are sent to it over the network.
+       * @param {Object} options - Backend behavior
+       * @param {Array} options.updates - Statuses the job goes through, one per poll
+       * @param {boolean} options.events - Whether the job also publishes server-sent events
+       * @param {number} options.eventCount - How many updates the event stream sends before it ends
+       * @param {string} options.streamEnd - How the event stream ends: 'close', 'garble' or 'reset'
+       * @returns {Promise<{requests: Array<string>, origin: string, close: Function}>} Requests received,
+       *   server address and a function that stops the server
+       */
+      const startStandInServer = ({ updates, events = false, eventCount = updates.length, streamEnd = 'close' }) => {
+        const requests = []
+        let polls = 0
+        const json = (response, body, status = 200) => {
+          response.writeHead(status, { 'Content-Type': 'application/json' })
+          response.end(JSON.stringify(body))
+        }
+
+        const httpServer = http.createServer((request, response) => {
+          const path = request.url.replace(/^\/api/, '')
+          requests.push(`${request.method} ${path}`)
+          request.resume() // The uploaded form is not read
+
+          if (request.method === 'POST' && path === '/transcribe') {
+            if (request.headers.prefer === 'respond-async') {
+              json(response, { job_id: 'job 1', status: 'queued', events }, 202)
+            } else {
+              response.end('midi data')
+            }
+          } else if (path === '/jobs/job%201' && request.method === 'DELETE') {
+            response.writeHead(204)
+            response.end()
+          } else if (path === '/jobs/job%201') {
+            json(response, updates[Math.min(polls++, updates.length - 1)])
+          } else if (path === '/jobs/job%201/events') {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+            // Comments keep the connection alive; small writes split events as a network would
+            const text = updates.slice(0, eventCount)
+              .map(update => `: keep-alive\n\ndata: ${JSON.stringify(update)}\r\n\r\n`)
+              .join('')
+            for (let index = 0; index < text.length; index += 7) {
+              response.write(text.slice(index, index + 7))
+            }
+            if (streamEnd === 'garble') {
+              response.write('data: {"status": "runn\n\n')
+            }
+            if (streamEnd === 'reset') {
+              // Give the written events time to arrive before the connection breaks
+              setTimeout(() => response.destroy(), 20)
+            } else {
+              response.end()
+            }
+          } else if (path === '/jobs/job%201/result') {
+            response.writeHead(200, { 'Content-Type': 'audio/midi' })
+            response.end('midi data')
+          } else {
+            json(response, { error: 'Not found' }, 404)
+          }
+        })
+
+        return new Promise(resolve => {
+          httpServer.listen(0, '127.0.0.1', () => {
+            resolve({
+              requests,
+              origin: `http://127.0.0.1:${httpServer.address().port}`,
+              close: () => new Promise(closed => {
+                httpServer.closeAllConnections()
+                httpServer.close(closed)
+              })
+            })
+          })
+        })
+      }
+
+      // Send the app's requests to the stand-in server through a real HTTP client
+      const useServer = async (options) => {
+        server = await startStandInServer(options)
+        fetch.mockImplementation((url, init) => networkFetch(new URL(url, server.origin), init))
+        return server
+      }
+
+      afterEach(async () => {
+        fetch.mockReset()
+        vi.restoreAllMocks()
+        vi.unstubAllGlobals()
+        await server?.close()
+        server = null
+      })
+
+      it('should poll the job and download its result', async () => {
+        await useServer({ updates: [{ status: 'queued' }, running(40), done] })
+
+        const result = await transcribeAudio(mockFile, { pollIntervalMs: 1 })
+
+        expect(result.success).toBe(true)
+        expect(await result.midiFile.text()).toBe('midi data')
+        expect(result.filename).toBe('rehearsal.mid')
+        expect(server.requests).toEqual([
+          'POST /transcribe',
+          'GET /jobs/job%201',
+          'GET /jobs/job%201',
+          'GET /jobs/job%201',
+          'GET /jobs/job%201/result'
+        ])
+      })
+
+      it('should report job progress from the event stream', async () => {
+        await useServer({ updates: [{ status: 'queued' }, running(40), done], events: true })
+        vi.stubGlobal('XMLHttpRequest', class {
+          constructor() {
+            this.upload = {}
+          }
+
+          open(method, url) {
+            Object.assign(this, { method, url, headers: {} })
+          }
+
+          setRequestHeader(name, value) {
+            this.headers[name] = value
+          }
+
+          // Upload to the stand-in server with fetch, which reports no upload progress
+          async send(body) {
+            const response = await networkFetch(new URL(this.url, server.origin), {
+              method: this.method,
+              headers: this.headers,
+              body
+            })
+            this.upload.onload({ loaded: 5 })
+            Object.assign(this, { status: response.status, statusText: '', response: await response.text() })
+            this.onload()
+          }
+        })
+        const onProgress = vi.fn()
+
+        const result = await transcribeAudio(mockFile, { onProgress, pollIntervalMs: 1 })
+
+        expect(result.success).toBe(true)
+        expect(server.requests).toEqual(['POST /transcribe', 'GET /jobs/job%201/events', 'GET /jobs/job%201/result'])
+        expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+          { phase: 'transcribing', loaded: 5, total: 5 },
+          { phase: 'queued', percent: undefined },
+          { phase: 'transcribing', percent: 40 },
+          { phase: 'transcribing', percent: 100 }
+        ])
+      })
+
+      it.each([
+        ['ends early', 'close'],
+        ['sends an event that is not JSON', 'garble'],
+        ['loses its connection', 'reset']
+      ])('should go back to polling when the event stream %s', async (_, streamEnd) => {
+        await useServer({ updates: [running(10), done], events: true, eventCount: 1, streamEnd })
+        vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+        const result = await transcribeAudio(mockFile, { pollIntervalMs: 1 })
+
+        expect(result.success).toBe(true)
+        expect(server.requests).toEqual([
+          'POST /transcribe',
+          'GET /jobs/job%201/events',
+          'GET /jobs/job%201',
+          'GET /jobs/job%201',
+          'GET /jobs/job%201/result'
+        ])
+      })
+
+      it('should report failed jobs', async () => {
+        await useServer({ updates: [running(10), { status: 'failed', error: 'Could not decode the audio' }] })
+
+        const result = await transcribeAudio(mockFile, { pollIntervalMs: 1 })
+
+        expect(result).toEqual({ success: false, error: `${TRANSCRIPTION_FAILED}: Could not decode the audio` })
+        expect(getErrorMessage(result.error)).toBe('Transcription failed: Could not decode the audio')
+        expect(server.requests).not.toContain('GET /jobs/job%201/result')
+      })
+
+      it('should report failed jobs that give their reason as a message', async () => {
+        await useServer({ updates: [{ status: 'failed', message: 'Out of memory' }] })
+
+        const result = await transcribeAudio(mockFile, { pollIntervalMs: 1 })
+
+        expect(getErrorMessage(result.error)).toBe('Transcription failed: Out of memory')
+      })
+
+      it('should cancel the job on the backend', async () => {
+        await useServer({ updates: [running(10)] })
+        const controller = new AbortController()
+        // Cancel as soon as the job reports that it is running
+        fetch.mockImplementation(async (url, init) => {
+          const response = await networkFetch(new URL(url, server.origin), init)
+          if (url.endsWith('/jobs/job%201') && !init.method) {
+            controller.abort()
+          }
+          return response
+        })
+
+        const result = await transcribeAudio(mockFile, { signal: controller.signal, pollIntervalMs: 1000 })
+
+        expect(result).toEqual({ success: false, error: TRANSCRIPTION_CANCELLED, cancelled: true })
+        await vi.waitFor(() => {
+          expect(server.requests).toEqual(['POST /transcribe', 'GET /jobs/job%201', 'DELETE /jobs/job%201'])
+        })
+      })
+
+      it('should only time out when the job stops reporting', async () => {
+        const updates = [...Array.from({ length: 8 }, (_, index) => running(index * 10)), done]
+        await useServer({ updates })
+
+        const result = await transcribeAudio(mockFile, { timeoutMs: 150, pollIntervalMs: 30 })
+
+        expect(result.success).toBe(true)
+      })
+    })
   })
 
   describe('getErrorMessage', () => {
@@ -0,0 +1,96 @@
+/**
+ * Audio Analysis Tests
+ * Tests for waveform peaks and the semitone spectrogram
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  getMonoSamples,
+  computeWaveformPeaks,
+  computeSpectrogram,
+  SPECTROGRAM_MIN_MIDI,
+  SPECTROGRAM_MAX_MIDI
+} from '../services/audioAnalysis'
+
+// Minimal stand-in for a decoded AudioBuffer
+const createAudioBuffer = (channels, sampleRate = 44100) => ({
+  sampleRate,
+  length: channels[0].length,
+  duration: channels[0].length / sampleRate,
+  numberOfChannels: channels.length,
+  getChannelData: (channel) => channels[channel]
+})
+
+const createSine = (frequency, seconds, sampleRate = 44100) => Float32Array.from(
+  { length: Math.round(seconds * sampleRate) },
+  (_, index) => Math.sin(2 * Math.PI * frequency * index / sampleRate)
+)
+
+describe('Audio Analysis', () => {
+  describe('getMonoSamples', () => {
+    it('should average the channels', () => {
+      const audioBuffer = createAudioBuffer([
+        Float32Array.from([1, 0.5, -1]),
+        Float32Array.from([0, 0.5, 1])
+      ])
+
+      expect(Array.from(getMonoSamples(audioBuffer))).toEqual([0.5, 0.5, 0])
+    })
+  })
+
+  describe('computeWaveformPeaks', () => {
+    it('should keep the lowest and highest sample of every slice', () => {
+      const audioBuffer = createAudioBuffer([Float32Array.from([0.5, -0.25, 0, 0.75, -1, 0])], 6)
+
+      const peaks = computeWaveformPeaks(audioBuffer, 3)
+
+      expect(Array.from(peaks.max)).toEqual([0.5, 0.75, 0])
+      expect(Array.from(peaks.min)).toEqual([-0.25, 0, -1])
+      expect(peaks.peakDuration).toBeCloseTo(1 / 3)
+    })
+  })
+
+  describe('computeSpectrogram', () => {
+    const loudestPitch = (spectrogram, frame) => {
+      const pitchCount = spectrogram.maxMidi - spectrogram.minMidi + 1
+      const row = Array.from(spectrogram.values.subarray(frame * pitchCount, (frame + 1) * pitchCount))
+      return spectrogram.minMidi + row.indexOf(Math.max(...row))
+    }
+
+    it('should have a row for every piano key', () => {
+      const spectrogram = computeSpectrogram(createAudioBuffer([createSine(440, 0.5)]))
+
+      expect(spectrogram.minMidi).toBe(SPECTROGRAM_MIN_MIDI)
+      expect(spectrogram.maxMidi).toBe(SPECTROGRAM_MAX_MIDI)
+      expect(spectrogram.values).toHaveLength(spectrogram.frameCount * 88)
+      expect(spectrogram.frameCount * spectrogram.frameDuration).toBeCloseTo(0.5, 1)
+    })
+
+    it('should light up the row of the pitch being played', () => {
+      const audioBuffer = createAudioBuffer([createSine(440, 0.5)])
+
+      const spectrogram = computeSpectrogram(audioBuffer)
+      const middle = Math.floor(spectrogram.frameCount / 2)
+
+      expect(loudestPitch(spectrogram, middle)).toBe(69)
+      expect(Math.max(...spectrogram.values)).toBe(1)
+    })
+
+    it('should follow the pitch over time', () => {
+      const samples = new Float32Array(44100)
+      samples.set(createSine(261.63, 0.5))
+      samples.set(createSine(392, 0.5), 22050)
+
+      const spectrogram = computeSpectrogram(createAudioBuffer([samples]))
+      const frameAt = (seconds) => Math.round(seconds / spectrogram.frameDuration)
+
+      expect(loudestPitch(spectrogram, frameAt(0.25))).toBe(60)
+      expect(loudestPitch(spectrogram, frameAt(0.75))).toBe(67)
+    })
+
+    it('should handle silence and empty recordings', () => {
+      expect(computeSpectrogram(createAudioBuffer([new Float32Array(0)])).frameCount).toBe(0)
+      expect(computeSpectrogram(createAudioBuffer([new Float32Array(4410)])).values.every(value => value === 0)).toBe(true)
+    })
+  })
+})
@@ -3,12 +3,31 @@
  * Tests for UI components and user interactions
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import BackendStatus from '../components/BackendStatus'
 import FileUploader from '../components/FileUploader'
 import SheetMusicViewer from '../components/SheetMusicViewer'
+import PlaybackControls from '../components/PlaybackControls'
+import ABCJSViewer from '../components/ABCJSViewer'
+import VexFlowViewer from '../components/VexFlowViewer'
+import AudioAnalysisView from '../components/AudioAnalysisView'
+import PianoRollViewer from '../components/PianoRollViewer'
+import EditHistory from '../components/EditHistory'
+import TransposePanel from '../components/TransposePanel'
+import CleanupPanel from '../components/CleanupPanel'
+import TranscriptionOptions from '../components/TranscriptionOptions'
+import TranscriptionQueue from '../components/TranscriptionQueue'
+import HistorySidebar from '../components/HistorySidebar'
+import { createMidiPlayer } from '../services/midiPlayer'
+import { createScoreDocument, executeCommand } from '../services/scoreDocument'
+import { createTranscriptionQueue } from '../services/transcriptionQueue'
+import { createTranscriptionHistory } from '../services/transcriptionHistory'
+import { IDBFactory } from 'fake-indexeddb'
+import { StaveTie } from 'vexflow'
+import { convertMidiToVexFlow } from '../services/midiProcessor'
+import { SYSTEMS_PER_PAGE, layoutSystems } from '../services/vexFlowLayout'
 import * as apiService from '../services/apiService'
 
 // Mock the API service
@@ -75,6 +94,50 @@ describe('FileUploader Component', () => {
     expect(screen.getByText(/processing your audio file/i)).toBeInTheDocument()
   })
 
+  it('should show upload progress and cancel the transcription', async () => {
+    const onCancel = vi.fn()
+    const { rerender } = render(
+      <FileUploader
+        onFileUpload={mockOnFileUpload}
+        isTranscribing={true}
+        progress={{ phase: 'uploading', loaded: 5 * 1024 * 1024, total: 20 * 1024 * 1024 }}
+        onCancel={onCancel}
+      />
+    )
+
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '25')
+    expect(screen.getByText(/uploading\.\.\. 5\.0 MB of 20\.0 MB \(25%\)/i)).toBeInTheDocument()
+
+    rerender(
+      <FileUploader
+        onFileUpload={mockOnFileUpload}
+        isTranscribing={true}
+        progress={{ phase: 'transcribing', loaded: 20 * 1024 * 1024, total: 20 * 1024 * 1024 }}
+        onCancel={onCancel}
+      />
+    )
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument()
+    expect(screen.getByText(/upload complete\. transcribing your audio/i)).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: /cancel/i }))
+    expect(onCancel).toHaveBeenCalledTimes(1)
+  })
+
+  it('should show the progress of a transcription job', () => {
+    const { rerender } = render(
+      <FileUploader onFileUpload={mockOnFileUpload} isTranscribing={true} progress={{ phase: 'queued' }} />
+    )
+
+    expect(screen.getByText(/waiting for the transcription service/i)).toBeInTheDocument()
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument()
+
+    rerender(
+      <FileUploader onFileUpload={mockOnFileUpload} isTranscribing={true} progress={{ phase: 'transcribing', percent: 42.4 }} />
+    )
+    expect(screen.getByRole('progressbar', { name: /transcription progress/i })).toHaveAttribute('aria-valuenow', '42')
+    expect(screen.getByText('Transcribing your audio... 42%')).toBeInTheDocument()
+  })
+
   it('should handle valid file upload', async () => {
     apiService.isValidAudioFile.mockReturnValue(true)
     
@@ -107,6 +170,44 @@ describe('FileUploader Component', () => {
     )
   })
 
+  it('should show the transcription options the backend accepts', async () => {
+    apiService.getTranscriptionCapabilities.mockResolvedValue({
+      instrument: { choices: ['piano', 'guitar'], default: 'piano' }
+    })
+    const onSettingsChange = vi.fn()
+
+    render(
+      <FileUploader
+        onFileUpload={mockOnFileUpload}
+        isTranscribing={false}
+        settings={{}}
+        onSettingsChange={onSettingsChange}
+      />
+    )
+    await userEvent.click(await screen.findByRole('button', { name: /transcription options/i }))
+    await userEvent.selectOptions(screen.getByLabelText(/instrument/i), 'guitar')
+
+    expect(onSettingsChange).toHaveBeenCalledWith({ instrument: 'guitar' })
+  })
+
+  it('should send several files to the batch queue', async () => {
+    apiService.isValidAudioFile.mockImplementation(file => file.name.endsWith('.wav'))
+    window.alert = vi.fn()
+    const onFilesUpload = vi.fn()
+
+    const { container } = render(
+      <FileUploader onFileUpload={mockOnFileUpload} isTranscribing={false} onFilesUpload={onFilesUpload} />
+    )
+    await screen.findByText(/drop several files or a whole folder/i)
+
+    const files = ['one.wav', 'two.wav', 'notes.mp3'].map(name => new File(['audio'], name, { type: 'audio/wav' }))
+    await userEvent.upload(container.querySelector('input[type="file"]'), files)
+
+    expect(onFilesUpload).toHaveBeenCalledWith(files.slice(0, 2))
+    expect(mockOnFileUpload).not.toHaveBeenCalled()
+    expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 file'))
+  })
+
   it('should show how it works section', async () => {
     render(<FileUploader onFileUpload={mockOnFileUpload} isTranscribing={false} />)
     
@@ -180,6 +281,81 @@ describe('SheetMusicViewer Component', () => {
     expect(screen.getByRole('button', { name: /vexflow/i })).toBeInTheDocument()
   })
 
+  it('should show the detected key and allow overriding it', async () => {
+    render(
+      <SheetMusicViewer 
+        midiData={mockMidiData} 
+        midiSummary={{ ...mockMidiSummary, key: 'C major' }} 
+        onDownload={mockOnDownload} 
+      />
+    )
+
+    const keySelect = screen.getByRole('combobox', { name: /key/i })
+    expect(screen.getByRole('option', { name: 'Auto (C major)' })).toBeInTheDocument()
+
+    await userEvent.selectOptions(keySelect, 'Bb')
+
+    expect(keySelect).toHaveValue('Bb')
+  })
+
+  it('should offer a grand staff layout', async () => {
+    render(
+      <SheetMusicViewer 
+        midiData={mockMidiData} 
+        midiSummary={mockMidiSummary} 
+        onDownload={mockOnDownload} 
+      />
+    )
+
+    const stavesSelect = screen.getByRole('combobox', { name: /staves/i })
+    expect(stavesSelect).toHaveValue('auto')
+
+    await userEvent.selectOptions(stavesSelect, 'Grand staff')
+
+    expect(screen.getByRole('combobox', { name: /staves/i })).toHaveValue('grand')
+  })
+
+  it('should let tracks be hidden when there are several', async () => {
+    const multiTrackMidiData = {
+      ...mockMidiData,
+      tracks: [
+        { name: 'Melody', notes: mockMidiData.tracks[0].notes },
+        { name: 'Bass', notes: [{ name: 'C3', duration: 1, time: 0 }] }
+      ]
+    }
+
+    render(
+      <SheetMusicViewer 
+        midiData={multiTrackMidiData} 
+        midiSummary={mockMidiSummary} 
+        onDownload={mockOnDownload} 
+      />
+    )
+
+    const melody = screen.getByRole('checkbox', { name: /melody/i })
+    const bass = screen.getByRole('checkbox', { name: /bass/i })
+    expect(melody).toBeChecked()
+    expect(bass).toBeChecked()
+
+    await userEvent.click(bass)
+
+    expect(screen.getByRole('checkbox', { name: /bass/i })).not.toBeChecked()
+    // The last visible track cannot be hidden
+    expect(screen.getByRole('checkbox', { name: /melody/i })).toBeDisabled()
+  })
+
+  it('should not show the track selector for a single track', () => {
+    render(
+      <SheetMusicViewer 
+        midiData={mockMidiData} 
+        midiSummary={mockMidiSummary} 
+        onDownload={mockOnDownload} 
+      />
+    )
+
+    expect(screen.queryByRole('checkbox')).not.toBeInTheDocument()
+  })
+
   it('should have download button that calls onDownload', async () => {
     render(
       <SheetMusicViewer 
@@ -210,6 +386,77 @@ describe('SheetMusicViewer Component', () => {
     expect(screen.getByText(/vexflow notation/i)).toBeInTheDocument()
   })
 
+  it('should show the notes in a piano roll', async () => {
+    render(
+      <SheetMusicViewer 
+        midiData={mockMidiData} 
+        midiSummary={mockMidiSummary} 
+        onDownload={mockOnDownload} 
+      />
+    )
+
+    await userEvent.click(screen.getByRole('button', { name: /piano roll/i }))
+
+    expect(screen.getByText(/exact note timing/i)).toBeInTheDocument()
+    expect(screen.getAllByTestId('piano-roll-note')).toHaveLength(2)
+  })
+
+  it('should show the edited score with its history', async () => {
+    const [, second] = mockMidiData.tracks[0].notes
+    const scoreDocument = executeCommand(
+      createScoreDocument(mockMidiData),
+      { type: 'removeNote', trackIndex: 0, note: second }
+    )
+
+    render(
+      <SheetMusicViewer
+        midiData={mockMidiData}
+        midiSummary={mockMidiSummary}
+        onDownload={mockOnDownload}
+        scoreDocument={scoreDocument}
+        onDocumentChange={vi.fn()}
+      />
+    )
+    await userEvent.click(screen.getByRole('button', { name: /piano roll/i }))
+
+    expect(screen.getByText(/edited/i, { selector: 'span' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /download edited midi/i })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Delete D4' })).toBeInTheDocument()
+    expect(screen.getAllByTestId('piano-roll-note')).toHaveLength(1)
+  })
+
+  it('should download the score as MusicXML', async () => {
+    render(
+      <SheetMusicViewer
+        midiData={mockMidiData}
+        midiSummary={mockMidiSummary}
+        onDownload={mockOnDownload}
+        filename="song.mid"
+      />
+    )
+
+    await userEvent.click(screen.getByRole('button', { name: /musicxml/i }))
+
+    expect(apiService.downloadFile).toHaveBeenCalledWith(expect.any(Object), 'song.musicxml')
+    expect(apiService.downloadFile.mock.calls[0][0].parts[0]).toContain('<score-partwise version="4.0">')
+  })
+
+  it('should download the score as LilyPond', async () => {
+    render(
+      <SheetMusicViewer
+        midiData={mockMidiData}
+        midiSummary={mockMidiSummary}
+        onDownload={mockOnDownload}
+        filename="song.mid"
+      />
+    )
+
+    await userEvent.click(screen.getByRole('button', { name: /lilypond/i }))
+
+    expect(apiService.downloadFile).toHaveBeenCalledWith(expect.any(Object), 'song.ly')
+    expect(apiService.downloadFile.mock.calls[0][0].parts[0]).toContain('\\version "2.24.0"')
+  })
+
   it('should show tips for better results', () => {
     render(
       <SheetMusicViewer 
@@ -223,3 +470,741 @@ describe('SheetMusicViewer Component', () => {
     expect(screen.getByText(/use clear, single-instrument recordings/i)).toBeInTheDocument()
   })
 })
+
+describe('PlaybackControls Component', () => {
+  const midiData = {
+    duration: 65,
+    tracks: [
+      { name: 'Melody', notes: [{ midi: 72, time: 0, duration: 65, velocity: 1 }] },
+      { name: 'Bass', notes: [{ midi: 36, time: 0, duration: 1, velocity: 1 }] }
+    ]
+  }
+
+  const renderControls = () => {
+    const player = createMidiPlayer()
+    player.load(midiData)
+    render(<PlaybackControls player={player} midiData={midiData} />)
+    return player
+  }
+
+  it('should show the position and duration', () => {
+    renderControls()
+
+    expect(screen.getByText('0:00')).toBeInTheDocument()
+    expect(screen.getByText('1:05')).toBeInTheDocument()
+    expect(screen.getByRole('slider', { name: /seek/i })).toHaveValue('0')
+  })
+
+  it('should toggle between play and pause', async () => {
+    const player = renderControls()
+
+    await userEvent.click(screen.getByRole('button', { name: /play/i }))
+
+    expect(await screen.findByRole('button', { name: /pause/i })).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: /pause/i }))
+
+    expect(screen.getByRole('button', { name: /play/i })).toBeInTheDocument()
+    player.dispose()
+  })
+
+  it('should seek and change speed', async () => {
+    const player = renderControls()
+
+    fireEvent.change(screen.getByRole('slider', { name: /seek/i }), { target: { value: '30' } })
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: /speed/i }), '75%')
+
+    expect(player.getState()).toMatchObject({ currentTime: 30, playbackRate: 0.75 })
+    expect(screen.getByText('0:30')).toBeInTheDocument()
+  })
+
+  it('should mute and solo tracks', async () => {
+    const player = renderControls()
+
+    await userEvent.click(screen.getByRole('button', { name: /mute bass/i }))
+    await userEvent.click(screen.getByRole('button', { name: /solo melody/i }))
+
+    expect(screen.getByRole('button', { name: /mute bass/i })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByRole('button', { name: /solo melody/i })).toHaveAttribute('aria-pressed', 'true')
+    expect(player.getState()).toMatchObject({ mutedTracks: [1], soloTracks: [0] })
+  })
+
+  it('should switch and crossfade between the original recording and the MIDI', async () => {
+    const player = renderControls()
+
+    expect(screen.queryByText(/a\/b compare/i)).not.toBeInTheDocument()
+
+    await act(() => player.loadOriginal(new File(['audio'], 'song.wav', { type: 'audio/wav' })))
+    await userEvent.click(screen.getByRole('button', { name: /a: original/i }))
+
+    expect(screen.getByRole('button', { name: /a: original/i })).toHaveAttribute('aria-pressed', 'true')
+    expect(player.getState().mix).toBe(0)
+
+    await userEvent.click(screen.getByRole('checkbox', { name: /overlay both/i }))
+    fireEvent.change(screen.getByRole('slider', { name: /crossfade/i }), { target: { value: '0.25' } })
+
+    expect(player.getState().mix).toBe(0.25)
+  })
+})
+
+describe('ABCJSViewer Component', () => {
+  const abcNotation = 'X:1\nT:Test\nM:4/4\nL:1/4\nQ:1/4=120\nK:C\nC D E F |]'
+
+  it('should highlight the note at the playback position', () => {
+    const { container, rerender } = render(<ABCJSViewer abcNotation={abcNotation} cursorBeat={null} />)
+
+    expect(container.querySelector('.playback-note')).toBeNull()
+
+    rerender(<ABCJSViewer abcNotation={abcNotation} cursorBeat={2.5} />)
+
+    const highlighted = container.querySelectorAll('.playback-note')
+    expect(highlighted.length).toBeGreaterThan(0)
+    expect(highlighted[0].querySelector('path')).toHaveAttribute('data-name', 'E')
+    expect(container.querySelector('.playback-cursor')).toHaveAttribute('visibility', 'visible')
+  })
+
+  it('should hide the cursor when playback stops', () => {
+    const { container, rerender } = render(<ABCJSViewer abcNotation={abcNotation} cursorBeat={1} />)
+
+    rerender(<ABCJSViewer abcNotation={abcNotation} cursorBeat={null} />)
+
+    expect(container.querySelector('.playback-note')).toBeNull()
+    expect(container.querySelector('.playback-cursor')).toHaveAttribute('visibility', 'hidden')
+  })
+})
+
+describe('VexFlowViewer Component', () => {
+  // Whole notes at the default 120 BPM, one per measure
+  const wholeNotes = (count) => Array.from({ length: count }, (_, index) => (
+    { name: 'C4', midi: 60, time: index * 2, duration: 2 }
+  ))
+  const toVexFlow = (notes) => convertMidiToVexFlow({ tracks: [{ notes }] })
+
+  // Width left for measures in the 800 pixel default viewer
+  const systemsFor = (vexFlowData) => layoutSystems(vexFlowData[0].staves, 780)
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should draw every measure of a short score', () => {
+    const { container } = render(<VexFlowViewer vexFlowData={toVexFlow(wholeNotes(3))} />)
+
+    expect(screen.getByText(/3 measures • 1 systems/)).toBeInTheDocument()
+    expect(container.querySelectorAll('svg .vf-stave')).toHaveLength(3)
+    expect(container.querySelectorAll('svg .vf-stavenote')).toHaveLength(3)
+    expect(screen.queryByText(/error rendering sheet music/i)).not.toBeInTheDocument()
+    expect(screen.queryByText(/page 1 of/i)).not.toBeInTheDocument()
+  })
+
+  it('should page through a long score', async () => {
+    const vexFlowData = toVexFlow(wholeNotes(120))
+    const systems = systemsFor(vexFlowData)
+    const pageCount = Math.ceil(systems.length / SYSTEMS_PER_PAGE)
+    const { container } = render(<VexFlowViewer vexFlowData={vexFlowData} />)
+    const countStaves = (from, to) => systems.slice(from, to).reduce((sum, system) => sum + system.measures.length, 0)
+
+    expect(screen.getByText(`Page 1 of ${pageCount}`)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /previous/i })).toBeDisabled()
+    expect(container.querySelectorAll('svg .vf-stave')).toHaveLength(countStaves(0, SYSTEMS_PER_PAGE))
+
+    await userEvent.click(screen.getByRole('button', { name: /next/i }))
+
+    expect(screen.getByText(`Page 2 of ${pageCount}`)).toBeInTheDocument()
+    expect(container.querySelectorAll('svg .vf-stave'))
+      .toHaveLength(countStaves(SYSTEMS_PER_PAGE, SYSTEMS_PER_PAGE * 2))
+    expect(screen.getByRole('button', { name: /previous/i })).toBeEnabled()
+  })
+
+  it('should turn to the page the playback cursor is on', () => {
+    const vexFlowData = toVexFlow(wholeNotes(120))
+    const [secondPage] = systemsFor(vexFlowData).slice(SYSTEMS_PER_PAGE)
+    const beat = secondPage.measures[0].index * 4 + 1
+    const { container, rerender } = render(<VexFlowViewer vexFlowData={vexFlowData} cursorBeat={null} />)
+
+    rerender(<VexFlowViewer vexFlowData={vexFlowData} cursorBeat={beat} />)
+
+    expect(screen.getByText(/page 2 of/i)).toBeInTheDocument()
+    expect(container.querySelector('.playback-cursor')).toHaveAttribute('visibility', 'visible')
+  })
+
+  it('should split a tie carried across a system break', () => {
+    const drawn = []
+    const draw = StaveTie.prototype.draw
+    vi.spyOn(StaveTie.prototype, 'draw').mockImplementation(function () {
+      drawn.push(this.getNotes())
+      return draw.call(this)
+    })
+    // The last measure of the first system, with a half note held into the next system
+    const lastMeasure = systemsFor(toVexFlow(wholeNotes(20)))[0].measures.at(-1).index
+    const notes = wholeNotes(20).filter(note => note.time < lastMeasure * 2 || note.time > (lastMeasure + 1) * 2)
+    notes.push(
+      { name: 'C4', midi: 60, time: lastMeasure * 2, duration: 1 },
+      { name: 'E4', midi: 64, time: lastMeasure * 2 + 1, duration: 2 },
+      { name: 'C4', midi: 60, time: lastMeasure * 2 + 3, duration: 1 }
+    )
+    notes.sort((a, b) => a.time - b.time)
+
+    render(<VexFlowViewer vexFlowData={toVexFlow(notes)} />)
+
+    // The end of the first system and the start of the second each get half of the tie
+    expect(drawn).toHaveLength(2)
+    expect(drawn[0].firstNote.keys).toEqual(['e/4'])
+    expect(drawn[0].lastNote).toBeUndefined()
+    expect(drawn[1].firstNote).toBeUndefined()
+    expect(drawn[1].lastNote.keys).toEqual(['e/4'])
+  })
+})
+
+describe('AudioAnalysisView Component', () => {
+  const samples = Float32Array.from({ length: 44100 }, (_, index) => Math.sin(2 * Math.PI * 440 * index / 44100))
+  const audioBuffer = {
+    sampleRate: 44100,
+    length: samples.length,
+    duration: 1,
+    numberOfChannels: 1,
+    getChannelData: () => samples
+  }
+  const midiData = { tracks: [{ notes: [{ midi: 69, time: 0, duration: 1 }] }] }
+
+  it('should analyze the recording and zoom the time axis', async () => {
+    const { container } = render(<AudioAnalysisView audioBuffer={audioBuffer} midiData={midiData} />)
+
+    expect(screen.getByText(/analyzing audio/i)).toBeInTheDocument()
+    await waitFor(() => expect(container.querySelector('canvas')).toBeInTheDocument())
+
+    expect(screen.getByText('100 px/s')).toBeInTheDocument()
+    await userEvent.click(screen.getByRole('button', { name: /zoom in/i }))
+    expect(screen.getByText('200 px/s')).toBeInTheDocument()
+  })
+
+  it('should seek to the clicked time and show the playback cursor', async () => {
+    const onSeek = vi.fn()
+    const { container } = render(
+      <AudioAnalysisView audioBuffer={audioBuffer} midiData={midiData} currentTime={0.5} showCursor onSeek={onSeek} />
+    )
+
+    await waitFor(() => expect(container.querySelector('canvas')).toBeInTheDocument())
+    fireEvent.click(container.querySelector('canvas'), { clientX: 50 })
+
+    expect(onSeek).toHaveBeenCalledWith(0.5)
+    expect(container.querySelector('.playback-cursor-bar')).toHaveStyle({ left: '50px' })
+  })
+})
+
+describe('PianoRollViewer Component', () => {
+  const midiData = {
+    duration: 2,
+    tracks: [
+      {
+        name: 'Melody',
+        notes: [
+          { midi: 72, time: 0, duration: 0.5, velocity: 1 },
+          { midi: 74, time: 0.5, duration: 1, velocity: 0.2 }
+        ]
+      },
+      { name: 'Bass', notes: [{ midi: 48, time: 0, duration: 2, velocity: 0.8 }] }
+    ]
+  }
+
+  it('should draw notes at their time and length, colored by velocity', () => {
+    render(<PianoRollViewer midiData={midiData} />)
+
+    const [loud, soft] = screen.getAllByTestId('piano-roll-note')
+    expect(loud).toHaveAttribute('x', '0')
+    expect(loud).toHaveAttribute('width', '50')
+    expect(soft).toHaveAttribute('x', '50')
+    expect(loud.getAttribute('fill')).not.toBe(soft.getAttribute('fill'))
+    expect(screen.getByText('Melody')).toBeInTheDocument()
+    expect(screen.getByText('Bass')).toBeInTheDocument()
+  })
+
+  it('should only draw the selected tracks', () => {
+    render(<PianoRollViewer midiData={midiData} tracks={[1]} />)
+
+    expect(screen.getAllByTestId('piano-roll-note')).toHaveLength(1)
+  })
+
+  it('should zoom the time axis', async () => {
+    render(<PianoRollViewer midiData={midiData} />)
+
+    await userEvent.click(screen.getByRole('button', { name: /zoom in time/i }))
+
+    expect(screen.getAllByTestId('piano-roll-note')[0]).toHaveAttribute('width', '100')
+  })
+
+  it('should seek to the clicked time', () => {
+    const onSeek = vi.fn()
+    render(<PianoRollViewer midiData={midiData} onSeek={onSeek} />)
+
+    fireEvent.click(screen.getAllByTestId('piano-roll-note')[0], { clientX: 125 })
+
+    expect(onSeek).toHaveBeenCalledWith(1.25)
+  })
+
+  describe('editing', () => {
+    const renderEditor = async () => {
+      const onCommand = vi.fn()
+      render(<PianoRollViewer midiData={midiData} onCommand={onCommand} />)
+      await userEvent.click(screen.getByRole('button', { name: /edit notes/i }))
+      return onCommand
+    }
+
+    it('should not offer editing without a command handler', () => {
+      render(<PianoRollViewer midiData={midiData} />)
+
+      expect(screen.queryByRole('button', { name: /edit notes/i })).not.toBeInTheDocument()
+    })
+
+    it('should add a snapped, beat-long note where the empty grid is clicked', async () => {
+      const onCommand = await renderEditor()
+
+      // Row 0 is the highest pitch shown: 74 plus padding
+      const grid = screen.getAllByTestId('piano-roll-note')[0].ownerSVGElement
+      fireEvent.click(grid, { clientX: 132, clientY: 5 })
+
+      const command = onCommand.mock.calls.at(-1)[0]
+      expect(command).toMatchObject({ type: 'addNote', trackIndex: 0 })
+      expect(command.note).toMatchObject({ midi: 76, time: 1.375, duration: 0.5 })
+    })
+
+    it('should move a dragged note by whole semitones and snapped times', async () => {
+      const onCommand = await renderEditor()
+      const [note] = screen.getAllByTestId('piano-roll-note')
+
+      fireEvent.mouseDown(note, { clientX: 10, clientY: 100 })
+      fireEvent.mouseMove(window, { clientX: 36, clientY: 80 })
+      fireEvent.mouseUp(window, { clientX: 36, clientY: 80 })
+
+      const command = onCommand.mock.calls.at(-1)[0]
+      expect(command).toMatchObject({ type: 'replaceNote', trackIndex: 0, note: midiData.tracks[0].notes[0] })
+      expect(command.replacement).toMatchObject({ midi: 74, time: 0.25, duration: 0.5 })
+    })
+
+    it('should resize a note from its right edge', async () => {
+      const onCommand = await renderEditor()
+      const [note] = screen.getAllByTestId('piano-roll-note')
+
+      fireEvent.mouseDown(note, { clientX: 48, clientY: 100 })
+      fireEvent.mouseUp(window, { clientX: 98, clientY: 100 })
+
+      expect(onCommand.mock.calls.at(-1)[0].replacement).toMatchObject({ midi: 72, time: 0, duration: 1 })
+    })
+
+    it('should change the velocity of the selected note and delete it', async () => {
+      const onCommand = vi.fn()
+      const { rerender } = render(<PianoRollViewer midiData={midiData} onCommand={onCommand} />)
+      // Feed every edit back in, as the score document does
+      onCommand.mockImplementation(command => rerender(
+        <PianoRollViewer midiData={executeCommand(createScoreDocument(midiData), command).entries[0].midiData} onCommand={onCommand} />
+      ))
+      await userEvent.click(screen.getByRole('button', { name: /edit notes/i }))
+
+      fireEvent.mouseDown(screen.getAllByTestId('piano-roll-note')[0], { clientX: 10, clientY: 100 })
+      fireEvent.mouseUp(window, { clientX: 10, clientY: 100 })
+      fireEvent.change(screen.getByRole('slider', { name: /velocity/i }), { target: { value: '64' } })
+
+      expect(onCommand.mock.calls.at(-1)[0].replacement.velocity).toBeCloseTo(64 / 127)
+
+      await userEvent.click(screen.getByRole('button', { name: /delete note/i }))
+
+      expect(onCommand.mock.calls.at(-1)[0]).toMatchObject({ type: 'removeNote', trackIndex: 0 })
+    })
+  })
+})
+
+describe('EditHistory Component', () => {
+  const midiData = {
+    duration: 1,
+    tracks: [{ name: 'Melody', notes: [{ name: 'C4', midi: 60, time: 0, duration: 0.5, velocity: 0.8 }] }]
+  }
+  const [note] = midiData.tracks[0].notes
+  const edited = [
+    { type: 'addNote', trackIndex: 0, note: { name: 'E4', midi: 64, time: 0.5, duration: 0.5, velocity: 0.8 } },
+    { type: 'removeNote', trackIndex: 0, note }
+  ].reduce(executeCommand, createScoreDocument(midiData))
+
+  it('should render nothing before the first change', () => {
+    const { container } = render(<EditHistory scoreDocument={createScoreDocument(midiData)} onChange={vi.fn()} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should list the changes and mark the current one', () => {
+    render(<EditHistory scoreDocument={edited} onChange={vi.fn()} />)
+
+    const steps = screen.getAllByRole('listitem').map(item => item.textContent)
+    expect(steps).toEqual(['Original transcription', 'Add E4', 'Delete C4'])
+    expect(screen.getByRole('button', { name: 'Delete C4' })).toHaveAttribute('aria-current', 'step')
+    expect(screen.getByRole('button', { name: /redo/i })).toBeDisabled()
+  })
+
+  it('should undo, jump to a step and revert through the change handler', async () => {
+    const onChange = vi.fn()
+    render(<EditHistory scoreDocument={edited} onChange={onChange} />)
+
+    await userEvent.click(screen.getByRole('button', { name: /undo/i }))
+    await userEvent.click(screen.getByRole('button', { name: 'Original transcription' }))
+    await userEvent.click(screen.getByRole('button', { name: /revert to original/i }))
+
+    const [undone, jumped, reverted] = onChange.mock.calls.map(([update]) => update(edited))
+    expect(undone.position).toBe(1)
+    expect(jumped.position).toBe(0)
+    expect(reverted.entries.at(-1).label).toBe('Revert to original')
+    expect(reverted.entries.at(-1).midiData).toBe(midiData)
+  })
+})
+
+describe('TransposePanel Component', () => {
+  const midiData = {
+    duration: 2,
+    tracks: [
+      {
+        name: 'Melody',
+        notes: [60, 64, 67, 72, 79].map((midi, index) => ({ midi, time: index * 0.4, duration: 0.4 }))
+      },
+      { name: 'Bass', notes: [{ midi: 24, time: 0, duration: 2 }] }
+    ]
+  }
+
+  it('should transpose by semitones', async () => {
+    const onCommand = vi.fn()
+    render(<TransposePanel midiData={midiData} onCommand={onCommand} />)
+    await userEvent.click(screen.getByRole('button', { name: /transpose/i, expanded: false }))
+
+    expect(screen.getByRole('button', { name: 'Transpose' })).toBeDisabled()
+
+    fireEvent.change(screen.getByRole('spinbutton', { name: /semitones/i }), { target: { value: '-3' } })
+    await userEvent.click(screen.getByRole('button', { name: 'Transpose' }))
+
+    expect(onCommand).toHaveBeenCalledWith({ type: 'transpose', semitones: -3, tracks: undefined, target: '' })
+  })
+
+  it('should transpose one track to a chosen key', async () => {
+    const onCommand = vi.fn()
+    render(<TransposePanel midiData={midiData} onCommand={onCommand} />)
+    await userEvent.click(screen.getByRole('button', { name: /transpose/i, expanded: false }))
+
+    await userEvent.click(screen.getByRole('button', { name: /to key/i }))
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: /from c major to/i }), 'D')
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: /tracks/i }), '0')
+    await userEvent.click(screen.getByRole('button', { name: 'Transpose' }))
+
+    expect(onCommand).toHaveBeenCalledWith({ type: 'transpose', semitones: 2, tracks: [0], target: 'D major' })
+  })
+
+  it('should use the written key of a transposing instrument and warn about its range', async () => {
+    const onCommand = vi.fn()
+    render(<TransposePanel midiData={midiData} onCommand={onCommand} />)
+    await userEvent.click(screen.getByRole('button', { name: /transpose/i, expanded: false }))
+
+    await userEvent.click(screen.getByRole('button', { name: /for instrument/i }))
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: /instrument/i }), 'f-horn')
+
+    expect(screen.getByText(/in g major/i)).toBeInTheDocument()
+    expect(screen.getByRole('alert')).toHaveTextContent('1 note below and 1 note above the F Horn\'s range (F#2–C6)')
+
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: /tracks/i }), '0')
+    expect(screen.getByRole('alert')).toHaveTextContent(/^⚠️ 1 note above/)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Transpose' }))
+
+    expect(onCommand).toHaveBeenCalledWith({ type: 'transpose', semitones: 7, tracks: [0], target: 'F Horn' })
+  })
+
+  it('should warn about notes pushed outside the MIDI range', async () => {
+    const lowNotes = { duration: 1, tracks: [{ name: 'Synth', notes: [{ midi: 10, time: 0, duration: 1 }] }] }
+    render(<TransposePanel midiData={lowNotes} onCommand={vi.fn()} />)
+    await userEvent.click(screen.getByRole('button', { name: /transpose/i, expanded: false }))
+
+    fireEvent.change(screen.getByRole('spinbutton', { name: /semitones/i }), { target: { value: '-10' } })
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+
+    fireEvent.change(screen.getByRole('spinbutton', { name: /semitones/i }), { target: { value: '-11' } })
+    expect(screen.getByRole('alert')).toHaveTextContent('1 note would leave the MIDI range (C-1–G9) and be dropped')
+  })
+})
+
+describe('CleanupPanel Component', () => {
+  const midiData = {
+    duration: 2,
+    tracks: [
+      {
+        name: 'Piano',
+        notes: [
+          { midi: 60, time: 0, duration: 0.5, velocity: 0.8 },
+          { midi: 62, time: 0.6, duration: 0.02, velocity: 0.8 },
+          { midi: 64, time: 1, duration: 0.5, velocity: 0.02 }
+        ]
+      }
+    ]
+  }
+
+  const openPanel = async (onCommand = vi.fn()) => {
+    render(<CleanupPanel midiData={midiData} onCommand={onCommand} />)
+    await userEvent.click(screen.getByRole('button', { name: /clean up transcription/i }))
+    return onCommand
+  }
+
+  it('should preview how many notes each filter removes', async () => {
+    await openPanel()
+
+    expect(screen.getByTestId('cleanup-removed-minDuration')).toHaveTextContent('−1 note')
+    expect(screen.getByTestId('cleanup-removed-minVelocity')).toHaveTextContent('−1 note')
+    expect(screen.getByTestId('cleanup-removed-mergeGap')).toHaveTextContent('−0 notes')
+    expect(screen.getByText('−2 notes in total')).toBeInTheDocument()
+  })
+
+  it('should update the preview when a filter changes', async () => {
+    await openPanel()
+
+    fireEvent.change(screen.getByRole('spinbutton', { name: /minimum note length/i }), { target: { value: '0' } })
+
+    expect(screen.getByTestId('cleanup-removed-minDuration')).toHaveTextContent('−0 notes')
+    expect(screen.getByText('−1 note in total')).toBeInTheDocument()
+  })
+
+  it('should apply the cleanup as a command', async () => {
+    const onCommand = await openPanel()
+
+    fireEvent.change(screen.getByRole('spinbutton', { name: /minimum velocity/i }), { target: { value: '0' } })
+    await userEvent.click(screen.getByRole('button', { name: /apply cleanup/i }))
+
+    expect(onCommand).toHaveBeenCalledWith({
+      type: 'cleanup',
+      options: { minDuration: 0.05, minVelocity: 0, mergeGap: 0.03, removeOctaveDuplicates: true },
+      removedCount: 1
+    })
+  })
+})
+
+describe('TranscriptionOptions Component', () => {
+  const capabilities = {
+    polyphony: { choices: ['polyphonic', 'melody'], default: 'polyphonic' },
+    onset_threshold: { min: 0.1, max: 0.9, step: 0.05, default: 0.5 },
+    min_pitch: { min: 0, max: 127, default: 21 },
+    max_pitch: { min: 0, max: 127, default: 108 },
+    hop_size: { label: 'Hop size', min: 128, max: 1024, default: 512 }
+  }
+
+  const openPanel = async () => {
+    await userEvent.click(screen.getByRole('button', { name: /transcription options/i }))
+  }
+
+  it('should render nothing when the backend takes no options', () => {
+    const { container } = render(<TranscriptionOptions capabilities={{}} settings={{}} onChange={vi.fn()} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should show each option with its default', async () => {
+    render(<TranscriptionOptions capabilities={capabilities} settings={{}} onChange={vi.fn()} />)
+    await openPanel()
+
+    expect(screen.getByLabelText(/notes at a time/i)).toHaveValue('polyphonic')
+    expect(screen.getByRole('option', { name: 'Melody only' })).toBeInTheDocument()
+    expect(screen.getByLabelText(/onset threshold/i)).toHaveValue(0.5)
+    expect(screen.getByLabelText(/onset threshold/i)).toHaveAttribute('step', '0.05')
+    expect(screen.getByLabelText(/hop size/i)).toHaveValue(512)
+  })
+
+  it('should only keep options changed from their defaults', async () => {
+    const onChange = vi.fn()
+    render(<TranscriptionOptions capabilities={capabilities} settings={{ min_pitch: 40 }} onChange={onChange} />)
+    await openPanel()
+
+    expect(screen.getByRole('button', { name: /transcription options \(1 changed\)/i })).toBeInTheDocument()
+
+    await userEvent.selectOptions(screen.getByLabelText(/notes at a time/i), 'melody')
+    expect(onChange).toHaveBeenLastCalledWith({ min_pitch: 40, polyphony: 'melody' })
+
+    fireEvent.change(screen.getByLabelText(/lowest note/i), { target: { value: '21' } })
+    expect(onChange).toHaveBeenLastCalledWith({})
+
+    await userEvent.click(screen.getByRole('button', { name: /reset to defaults/i }))
+    expect(onChange).toHaveBeenLastCalledWith({})
+  })
+
+  it('should recognize numeric choices as their default', async () => {
+    const onChange = vi.fn()
+    const sampleRates = { sample_rate: { label: 'Sample rate', choices: [16000, 22050], default: 22050 } }
+    render(<TranscriptionOptions capabilities={sampleRates} settings={{}} onChange={onChange} />)
+    await openPanel()
+
+    await userEvent.selectOptions(screen.getByLabelText(/sample rate/i), '16000')
+    expect(onChange).toHaveBeenLastCalledWith({ sample_rate: 16000 })
+
+    await userEvent.selectOptions(screen.getByLabelText(/sample rate/i), '22050')
+    expect(onChange).toHaveBeenLastCalledWith({})
+  })
+
+  it('should warn when the pitch range is empty', async () => {
+    render(<TranscriptionOptions capabilities={capabilities} settings={{ min_pitch: 110 }} onChange={vi.fn()} />)
+    await openPanel()
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/lowest note is above the highest note/i)
+  })
+})
+
+describe('TranscriptionQueue Component', () => {
+  // Transcriptions finished by the test: resolve every pending call with its result
+  const createQueue = () => {
+    const calls = []
+    const transcribe = vi.fn((file, options) => new Promise(resolve => calls.push({ file, options, resolve })))
+    return { queue: createTranscriptionQueue({ transcribe, concurrency: 1 }), calls }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    apiService.getErrorMessage.mockImplementation(error => `Friendly: ${error}`)
+  })
+
+  it('should render nothing while the queue is empty', () => {
+    const { container } = render(<TranscriptionQueue queue={createQueue().queue} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should show the status of each file', async () => {
+    const { queue, calls } = createQueue()
+    render(<TranscriptionQueue queue={queue} onOpen={vi.fn()} />)
+
+    act(() => {
+      queue.add(['a.wav', 'b.wav'].map(name => new File(['audio'], name)))
+      calls[0].options.onProgress({ phase: 'uploading', loaded: 1, total: 4 })
+    })
+
+    const items = screen.getAllByTestId('queue-item')
+    expect(items[0]).toHaveTextContent('Uploading 25%')
+    expect(items[1]).toHaveTextContent('Queued')
+    expect(screen.getByText('0 of 2 done')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /download all as zip/i })).toBeDisabled()
+  })
+
+  it('should retry failed files and open finished ones', async () => {
+    const { queue, calls } = createQueue()
+    const onOpen = vi.fn()
+    render(<TranscriptionQueue queue={queue} onOpen={onOpen} />)
+
+    await act(async () => {
+      queue.add(['a.wav', 'b.wav'].map(name => new File(['audio'], name)))
+      calls[0].resolve({ success: false, error: 'Internal server error' })
+    })
+    await act(async () => {
+      calls[1].resolve({ success: true, midiFile: new Blob(['midi']), filename: 'b.mid' })
+    })
+
+    expect(screen.getByText('1 of 2 done, 1 failed')).toBeInTheDocument()
+    expect(screen.getByText('Friendly: Internal server error')).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: 'View' }))
+    expect(onOpen).toHaveBeenCalledWith(expect.objectContaining({ filename: 'b.mid' }))
+
+    await userEvent.click(screen.getByRole('button', { name: 'Retry' }))
+    expect(calls).toHaveLength(3)
+    expect(screen.getAllByTestId('queue-item')[0]).toHaveTextContent('Uploading')
+  })
+
+  it('should download the results as a ZIP archive', async () => {
+    const { queue, calls } = createQueue()
+    render(<TranscriptionQueue queue={queue} />)
+
+    await act(async () => {
+      queue.add([new File(['audio'], 'a.wav')])
+      calls[0].resolve({ success: true, midiFile: new Blob(['midi']), filename: 'a.mid' })
+    })
+    await userEvent.click(screen.getByRole('button', { name: /download all as zip/i }))
+
+    await waitFor(() => {
+      expect(apiService.downloadFile).toHaveBeenCalledWith(expect.any(Object), 'transcriptions.zip')
+    })
+  })
+
+  it('should change the concurrency and remove files', async () => {
+    const { queue, calls } = createQueue()
+    render(<TranscriptionQueue queue={queue} />)
+
+    act(() => {
+      queue.add(['a.wav', 'b.wav', 'c.wav'].map(name => new File(['audio'], name)))
+    })
+    await userEvent.selectOptions(screen.getByLabelText(/at a time/i), '2')
+    expect(calls).toHaveLength(2)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Remove a.wav' }))
+    expect(calls[0].options.signal.aborted).toBe(true)
+    expect(screen.getAllByTestId('queue-item')).toHaveLength(2)
+  })
+})
+
+describe('HistorySidebar Component', () => {
+  const createHistory = async (names = []) => {
+    const history = createTranscriptionHistory({ indexedDB: new IDBFactory(), storage: null })
+    for (const name of names) {
+      await history.add({
+        sourceName: name,
+        midiFile: new Blob(['midi'], { type: 'audio/midi' }),
+        filename: name.replace(/\.\w+$/, '.mid'),
+        summary: { totalNotes: 42, duration: '12.5 seconds' },
+        settings: {},
+        audioFile: new File(['audio'], name)
+      })
+    }
+    return history
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render nothing without IndexedDB', () => {
+    const history = createTranscriptionHistory({ indexedDB: null, storage: null })
+    const { container } = render(<HistorySidebar history={history} onOpen={vi.fn()} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should list saved transcriptions and open them', async () => {
+    const history = await createHistory(['verse.wav', 'chorus.wav'])
+    const onOpen = vi.fn()
+    render(<HistorySidebar history={history} onOpen={onOpen} />)
+
+    const entries = screen.getAllByTestId('history-entry')
+    expect(entries).toHaveLength(2)
+    expect(entries[0]).toHaveTextContent('chorus.wav')
+    expect(entries[0]).toHaveTextContent('42 notes, 12.5 seconds')
+
+    await userEvent.click(screen.getByRole('button', { name: 'verse.wav' }))
+    expect(onOpen).toHaveBeenCalledWith(expect.objectContaining({ sourceName: 'verse.wav' }))
+  })
+
+  it('should rename, download and delete entries', async () => {
+    const history = await createHistory(['take.wav'])
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true)
+    render(<HistorySidebar history={history} onOpen={vi.fn()} />)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Rename take.wav' }))
+    const input = screen.getByLabelText('New name for take.wav')
+    await userEvent.clear(input)
+    await userEvent.type(input, 'Bridge idea{Enter}')
+    expect(await screen.findByRole('button', { name: 'Bridge idea' })).toBeInTheDocument()
+    expect(screen.getByText('From take.wav')).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: 'Download Bridge idea' }))
+    expect(apiService.downloadMidiFile).toHaveBeenCalledWith(expect.any(Object), 'Bridge idea.mid')
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete Bridge idea' }))
+    expect(confirmSpy).toHaveBeenCalled()
+    expect(await screen.findByText('No saved transcriptions yet.')).toBeInTheDocument()
+    confirmSpy.mockRestore()
+  })
+
+  it('should remember whether to keep the original audio', async () => {
+    const history = await createHistory()
+    render(<HistorySidebar history={history} onOpen={vi.fn()} />)
+
+    await userEvent.click(screen.getByLabelText('Also keep the original audio'))
+
+    expect(history.getState().keepAudio).toBe(true)
+    expect(screen.getByLabelText('Also keep the original audio')).toBeChecked()
+  })
+})
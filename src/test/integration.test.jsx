@@ -9,6 +9,7 @@ import userEvent from '@testing-library/user-event'
 import App from '../App'
 import * as apiService from '../services/apiService'
 import * as midiProcessor from '../services/midiProcessor'
+import { IDBFactory } from 'fake-indexeddb'
 
 // Mock all external dependencies
 vi.mock('../services/apiService')
@@ -29,6 +30,15 @@ vi.mock('vexflow', () => ({
     draw: vi.fn()
   })),
   StaveNote: vi.fn(),
+  StaveTie: vi.fn(),
+  StaveConnector: vi.fn().mockImplementation(() => ({
+    setType: vi.fn().mockReturnThis(),
+    setText: vi.fn().mockReturnThis(),
+    setContext: vi.fn().mockReturnThis(),
+    draw: vi.fn()
+  })),
+  Dot: { buildAndAttach: vi.fn() },
+  Tuplet: vi.fn(),
   Voice: vi.fn().mockImplementation(() => ({
     addTickables: vi.fn(),
     draw: vi.fn()
@@ -56,6 +66,7 @@ describe('App Integration Tests', () => {
       max_file_size_mb: 50
     })
     apiService.isValidAudioFile.mockReturnValue(true)
+    midiProcessor.cleanupMidiData.mockImplementation(midiData => ({ midiData, removed: {} }))
   })
 
   it('should render the main application with all sections', async () => {
@@ -103,7 +114,13 @@ describe('App Integration Tests', () => {
     midiProcessor.getMidiSummary.mockReturnValue(mockSummary)
     midiProcessor.convertMidiToABC.mockReturnValue('X:1\nT:Test Song\nK:C\nC')
     midiProcessor.convertMidiToVexFlow.mockReturnValue([
-      { keys: ['C/4'], duration: 'q', midi: 60, time: 0 }
+      {
+        name: 'Track 1',
+        staves: [{
+          clef: 'treble',
+          measures: [{ number: 1, timeSignature: '4/4', notes: [{ keys: ['C/4'], duration: 'q', midi: 60, time: 0 }] }]
+        }]
+      }
     ])
 
     const { container } = render(<App />)
@@ -187,6 +204,118 @@ describe('App Integration Tests', () => {
     })
   })
 
+  it('should cancel a running transcription without showing an error', async () => {
+    apiService.transcribeAudio.mockImplementation((file, { signal, onProgress }) => new Promise(resolve => {
+      onProgress({ phase: 'uploading', loaded: 512, total: 1024 })
+      signal.addEventListener('abort', () => resolve({ success: false, error: 'Transcription cancelled', cancelled: true }))
+    }))
+
+    const { container } = render(<App />)
+
+    await waitFor(() => {
+      expect(screen.getByText(/upload audio file/i)).toBeInTheDocument()
+    })
+
+    const file = new File(['audio content'], 'test.wav', { type: 'audio/wav' })
+    const fileInput = container.querySelector('input[type="file"]')
+    await userEvent.upload(fileInput, file)
+
+    await waitFor(() => {
+      expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '50')
+    })
+
+    await userEvent.click(screen.getByRole('button', { name: /cancel/i }))
+
+    await waitFor(() => {
+      expect(screen.getByText(/drag & drop an audio file here/i)).toBeInTheDocument()
+    })
+    expect(screen.queryByText(/transcription error/i)).not.toBeInTheDocument()
+  })
+
+  it('should transcribe several files as a batch and open a result', async () => {
+    apiService.transcribeAudio.mockImplementation(async (file) => ({
+      success: true,
+      midiFile: new Blob(['midi data'], { type: 'audio/midi' }),
+      filename: file.name.replace('.wav', '.mid')
+    }))
+    midiProcessor.parseMidiBlob.mockResolvedValue({
+      name: 'Take 2',
+      duration: 1,
+      tracks: [{ notes: [{ name: 'C4', duration: 0.5 }] }]
+    })
+    midiProcessor.getMidiSummary.mockReturnValue({
+      name: 'Take 2',
+      duration: '1.0 seconds',
+      tracks: 1,
+      totalNotes: 1,
+      instruments: 'Piano'
+    })
+
+    const { container } = render(<App />)
+
+    await waitFor(() => {
+      expect(screen.getByText(/upload audio file/i)).toBeInTheDocument()
+    })
+
+    const files = ['take1.wav', 'take2.wav'].map(name => new File(['audio content'], name, { type: 'audio/wav' }))
+    await userEvent.upload(container.querySelector('input[type="file"]'), files)
+
+    await waitFor(() => {
+      expect(screen.getByText('2 of 2 done')).toBeInTheDocument()
+    })
+
+    await userEvent.click(screen.getAllByRole('button', { name: 'View' })[1])
+
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: /generated sheet music/i })).toBeInTheDocument()
+    })
+    expect(midiProcessor.parseMidiBlob).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reopen a saved transcription after a reload', async () => {
+    vi.stubGlobal('indexedDB', new IDBFactory())
+    apiService.transcribeAudio.mockResolvedValue({
+      success: true,
+      midiFile: new Blob(['midi data'], { type: 'audio/midi' }),
+      filename: 'song.mid'
+    })
+    midiProcessor.parseMidiBlob.mockResolvedValue({
+      name: 'Song',
+      duration: 2,
+      tracks: [{ notes: [{ name: 'C4', duration: 0.5 }] }]
+    })
+    midiProcessor.getMidiSummary.mockReturnValue({
+      name: 'Song',
+      duration: '2 seconds',
+      tracks: 1,
+      totalNotes: 1,
+      instruments: 'Piano'
+    })
+
+    const { container, unmount } = render(<App />)
+    await waitFor(() => {
+      expect(screen.getByText(/upload audio file/i)).toBeInTheDocument()
+    })
+    await userEvent.upload(
+      container.querySelector('input[type="file"]'),
+      new File(['audio content'], 'song.wav', { type: 'audio/wav' })
+    )
+    await waitFor(() => {
+      expect(screen.getAllByTestId('history-entry')).toHaveLength(1)
+    })
+    unmount()
+
+    // A fresh page finds the transcription in the history
+    render(<App />)
+    await userEvent.click(await screen.findByRole('button', { name: 'song.wav' }))
+
+    await waitFor(() => {
+      expect(screen.getByText(/successfully converted "song.wav"/i)).toBeInTheDocument()
+    })
+    expect(screen.getByRole('heading', { name: /generated sheet music/i })).toBeInTheDocument()
+    vi.unstubAllGlobals()
+  })
+
   it('should allow switching between notation libraries', async () => {
     // Setup successful transcription first
     const mockMidiBlob = new Blob(['midi data'], { type: 'audio/midi' })
@@ -212,7 +341,13 @@ describe('App Integration Tests', () => {
     })
     midiProcessor.convertMidiToABC.mockReturnValue('X:1\nT:Test Song\nK:C\nC')
     midiProcessor.convertMidiToVexFlow.mockReturnValue([
-      { keys: ['C/4'], duration: 'q', midi: 60, time: 0 }
+      {
+        name: 'Track 1',
+        staves: [{
+          clef: 'treble',
+          measures: [{ number: 1, timeSignature: '4/4', notes: [{ keys: ['C/4'], duration: 'q', midi: 60, time: 0 }] }]
+        }]
+      }
     ])
 
     const { container } = render(<App />)
@@ -243,6 +378,37 @@ describe('App Integration Tests', () => {
     expect(screen.getByText(/abcjs notation/i)).toBeInTheDocument()
   })
 
+  it('should download a cleaned transcription under its own name', async () => {
+    const mockMidiBlob = new Blob(['midi data'], { type: 'audio/midi' })
+    const note = { name: 'C4', midi: 60, time: 0, duration: 0.5, velocity: 0.8 }
+    const ghost = { name: 'D4', midi: 62, time: 0.5, duration: 0.01, velocity: 0.8 }
+
+    apiService.transcribeAudio.mockResolvedValue({ success: true, midiFile: mockMidiBlob, filename: 'test.mid' })
+    midiProcessor.parseMidiBlob.mockResolvedValue({ name: 'Test Song', duration: 1, tracks: [{ notes: [note, ghost] }] })
+    midiProcessor.getMidiSummary.mockReturnValue({ name: 'Test Song', duration: '1 seconds', tracks: 1, totalNotes: 2 })
+    midiProcessor.convertMidiToABC.mockReturnValue('X:1\nT:Test Song\nK:C\nC')
+    midiProcessor.cleanupMidiData.mockImplementation(midiData => ({
+      midiData: { ...midiData, tracks: [{ notes: [note] }] },
+      removed: { shortNotes: 1 }
+    }))
+
+    const { container } = render(<App />)
+    await waitFor(() => {
+      expect(screen.getByText(/upload audio file/i)).toBeInTheDocument()
+    })
+    await userEvent.upload(container.querySelector('input[type="file"]'), new File(['audio'], 'test.wav', { type: 'audio/wav' }))
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: /generated sheet music/i })).toBeInTheDocument()
+    })
+
+    // The automatic cleanup is not an edit of the user's
+    expect(screen.queryByRole('button', { name: /download edited midi/i })).not.toBeInTheDocument()
+    await userEvent.click(screen.getAllByRole('button', { name: /download midi/i })[0])
+
+    expect(apiService.downloadMidiFile).toHaveBeenCalledWith(expect.any(Blob), 'test.mid')
+    expect(apiService.downloadMidiFile.mock.calls[0][0]).not.toBe(mockMidiBlob)
+  })
+
   it('should handle reset functionality', async () => {
     // Setup successful transcription
     const mockMidiBlob = new Blob(['midi data'], { type: 'audio/midi' })
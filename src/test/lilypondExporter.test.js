@@ -0,0 +1,131 @@
+/**
+ * LilyPond Exporter Tests
+ * Tests for LilyPond documents written from the notated score
+ */
+
+import { describe, it, expect } from 'vitest'
+import { convertMidiToLilyPond, exportLilyPondBlob, LILYPOND_MIME_TYPE } from '../services/lilypondExporter'
+
+describe('LilyPond Exporter', () => {
+  it('should write the header, key, meter and tempo', () => {
+    const midiData = {
+      name: 'Song "One"',
+      tempos: [{ bpm: 90, time: 0 }],
+      tracks: [
+        {
+          name: 'Flute',
+          notes: [
+            { name: 'D4', midi: 62, duration: 2 / 3, time: 0 },
+            { name: 'F#4', midi: 66, duration: 2 / 3, time: 2 / 3 }
+          ]
+        }
+      ]
+    }
+
+    const result = convertMidiToLilyPond(midiData, { key: 'D' })
+
+    expect(result).toMatch(/^\\version "2\.24\.0"\n/)
+    expect(result).toContain('title = "Song \\"One\\""')
+    expect(result).toContain('\\new Staff \\with { instrumentName = "Flute" } {')
+    expect(result).toContain('\\clef treble')
+    expect(result).toContain('\\key d \\major')
+    expect(result).toContain('\\time 4/4')
+    expect(result).toContain('\\tempo 4 = 90')
+    expect(result).toContain("d'4 fis'4 r2 |\n")
+    expect(result).toContain('\\bar "|."')
+  })
+
+  it('should spell flats and octaves in absolute pitch', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'Eb2', midi: 39, duration: 0.5, time: 0 },
+            { name: 'Ab5', midi: 80, duration: 0.5, time: 0.5 }
+          ]
+        }
+      ]
+    }
+
+    const result = convertMidiToLilyPond(midiData, { key: 'Cm', staffLayout: 'single' })
+
+    expect(result).toContain('\\key c \\minor')
+    expect(result).toContain("es,4 as''4 r2 |")
+  })
+
+  it('should tie notes across barlines and write chords and full-measure rests', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'C4', midi: 60, duration: 1.5, time: 1.5 },
+            { name: 'E4', midi: 64, duration: 1.5, time: 1.5 },
+            { name: 'G4', midi: 67, duration: 0.5, time: 7.5 }
+          ]
+        }
+      ]
+    }
+
+    const result = convertMidiToLilyPond(midiData)
+
+    expect(result).toContain("r2. <c' e'>4~ |\n  ")
+    expect(result).toContain("<c' e'>2 r2 |")
+    expect(result).toContain("<c' e'>2 r2 |\n      R1 |\n      r2. g'4 |")
+  })
+
+  it('should write triplets and grand staves', () => {
+    const midiData = {
+      tracks: [
+        {
+          name: 'Piano',
+          instrument: { name: 'acoustic grand piano', family: 'piano' },
+          notes: [
+            { name: 'C5', midi: 72, duration: 1 / 6, time: 0 },
+            { name: 'D5', midi: 74, duration: 1 / 6, time: 1 / 6 },
+            { name: 'E5', midi: 76, duration: 1 / 6, time: 1 / 3 },
+            { name: 'C2', midi: 36, duration: 2, time: 0 }
+          ]
+        }
+      ]
+    }
+
+    const result = convertMidiToLilyPond(midiData, { grid: '1/8T' })
+
+    expect(result).toContain('\\new PianoStaff \\with { instrumentName = "Piano (acoustic grand piano)" } <<')
+    expect(result).toContain("\\tuplet 3/2 { c''8 d''8 e''8 } r2. |")
+    expect(result).toContain('\\clef bass')
+    expect(result).toContain('c,1 |')
+    expect(result.match(/\\new Staff \{/g)).toHaveLength(2)
+  })
+
+  it('should close triplets before plain values and at the barline', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'C5', midi: 72, duration: 1 / 3, time: 0 },
+            { name: 'D5', midi: 74, duration: 2 / 3, time: 1 / 3 },
+            { name: 'E5', midi: 76, duration: 1, time: 1 },
+            { name: 'F5', midi: 77, duration: 1 / 6, time: 2 }
+          ]
+        }
+      ]
+    }
+
+    const result = convertMidiToLilyPond(midiData, { grid: '1/8T' })
+    const measures = result.split('\n').map(line => line.trim()).filter(line => line.endsWith('|'))
+
+    expect(measures[0]).toBe("\\tuplet 3/2 { c''4 } d''4~ \\tuplet 3/2 { d''8 } e''2 |")
+    expect(measures[1]).toBe("\\tuplet 3/2 { f''8 } r2. \\tuplet 3/2 { r4 } |")
+    measures.forEach(measure => {
+      expect(measure.split('{').length).toBe(measure.split('}').length)
+    })
+  })
+
+  it('should export a .ly file', () => {
+    const blob = exportLilyPondBlob({ tracks: [{ notes: [{ name: 'C4', midi: 60, duration: 0.5, time: 0 }] }] })
+
+    expect(blob.type).toBe(LILYPOND_MIME_TYPE)
+    expect(blob.parts[0]).toContain("c'4 r2. |")
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * MIDI Editor Tests
+ * Tests for note edits and writing MIDI files back out
+ */
+
+import { describe, it, expect } from 'vitest'
+import { Midi } from '@tonejs/midi'
+import { createNote, addNote, removeNote, replaceNote, exportMidiBlob, DEFAULT_VELOCITY } from '../services/midiEditor'
+
+describe('MIDI Editor', () => {
+  const midiData = {
+    name: 'Test Song',
+    duration: 1,
+    ppq: 96,
+    tempos: [{ bpm: 120, ticks: 0, time: 0 }],
+    timeSignatures: [{ ticks: 0, timeSignature: [3, 4], measures: 0 }],
+    tracks: [
+      {
+        name: 'Piano',
+        instrument: { number: 0, family: 'piano' },
+        notes: [
+          { name: 'C4', midi: 60, time: 0, duration: 0.5, velocity: 1 },
+          { name: 'E4', midi: 64, time: 0.5, duration: 0.5, velocity: 0.5 }
+        ]
+      },
+      { name: 'Bass', instrument: { number: 32, family: 'bass' }, notes: [] }
+    ]
+  }
+
+  describe('createNote', () => {
+    it('should derive the name and ticks of a note', () => {
+      expect(createNote(midiData, { midi: 61, time: 0.25, duration: 0.75 })).toEqual({
+        name: 'C#4',
+        midi: 61,
+        time: 0.25,
+        duration: 0.75,
+        ticks: 48,
+        durationTicks: 144,
+        velocity: DEFAULT_VELOCITY,
+        octave: 4,
+        pitch: 'C#'
+      })
+    })
+  })
+
+  describe('note edits', () => {
+    it('should add a note in time order without changing the original data', () => {
+      const note = createNote(midiData, { midi: 62, time: 0.25, duration: 1 })
+
+      const edited = addNote(midiData, 0, note)
+
+      expect(edited.tracks[0].notes.map(other => other.midi)).toEqual([60, 62, 64])
+      expect(edited.duration).toBe(1.25)
+      expect(edited.tracks[1]).toBe(midiData.tracks[1])
+      expect(midiData.tracks[0].notes).toHaveLength(2)
+    })
+
+    it('should remove a note', () => {
+      const edited = removeNote(midiData, 0, midiData.tracks[0].notes[1])
+
+      expect(edited.tracks[0].notes).toEqual([midiData.tracks[0].notes[0]])
+      expect(edited.duration).toBe(0.5)
+    })
+
+    it('should replace a note and keep the notes sorted', () => {
+      const [first] = midiData.tracks[0].notes
+      const moved = createNote(midiData, { midi: 67, time: 1, duration: 0.5, velocity: first.velocity })
+
+      const edited = replaceNote(midiData, 0, first, moved)
+
+      expect(edited.tracks[0].notes).toEqual([midiData.tracks[0].notes[1], moved])
+    })
+  })
+
+  describe('exportMidiBlob', () => {
+    const readBlob = (blob) => new Midi(blob.parts[0])
+
+    it('should write the notes, tracks and instruments', () => {
+      const midi = readBlob(exportMidiBlob(midiData))
+
+      expect(midi.tracks.map(track => track.name)).toEqual(['Piano', 'Bass'])
+      expect(midi.tracks[1].instrument.number).toBe(32)
+      expect(midi.tracks[0].notes.map(note => [note.midi, note.time, note.duration])).toEqual([[60, 0, 0.5], [64, 0.5, 0.5]])
+      expect(midi.tracks[0].notes[1].velocity).toBeCloseTo(0.5, 1)
+    })
+
+    it('should keep the tempo map and time signature', () => {
+      const slower = {
+        ...midiData,
+        tempos: [{ bpm: 120, ticks: 0, time: 0 }, { bpm: 60, ticks: 96, time: 0.5 }]
+      }
+
+      const midi = readBlob(exportMidiBlob(addNote(slower, 1, createNote(slower, { midi: 36, time: 1.5, duration: 1 }))))
+
+      expect(midi.header.tempos.map(tempo => [tempo.bpm, tempo.ticks])).toEqual([[120, 0], [60, 480]])
+      expect(midi.header.timeSignatures[0].timeSignature).toEqual([3, 4])
+      expect(midi.tracks[1].notes[0]).toMatchObject({ midi: 36, time: 1.5, duration: 1 })
+    })
+  })
+})
@@ -0,0 +1,351 @@
+/**
+ * MIDI Player Tests
+ * Tests for Web Audio playback scheduling and transport controls
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createMidiPlayer, midiToFrequency, getCrossfadeGains } from '../services/midiPlayer'
+
+describe('MIDI Player', () => {
+  const midiData = {
+    duration: 2,
+    tracks: [
+      {
+        notes: [
+          { midi: 60, time: 0, duration: 0.5, velocity: 1 },
+          { midi: 64, time: 0.5, duration: 0.5, velocity: 0.5 },
+          { midi: 67, time: 1.5, duration: 0.5, velocity: 0.5 }
+        ]
+      },
+      {
+        notes: [{ midi: 48, time: 0, duration: 2, velocity: 0.8 }]
+      }
+    ]
+  }
+
+  let audioContext
+  let oscillators
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    audioContext = new AudioContext()
+    oscillators = []
+    const createOscillator = audioContext.createOscillator.bind(audioContext)
+    audioContext.createOscillator = () => {
+      const oscillator = createOscillator()
+      oscillators.push(oscillator)
+      return oscillator
+    }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  // Move the audio clock and let the scheduler run
+  const advance = (seconds) => {
+    audioContext.currentTime += seconds
+    vi.advanceTimersByTime(seconds * 1000)
+  }
+
+  const getScheduledNotes = () => oscillators.map(oscillator => ({
+    frequency: oscillator.frequency.value,
+    start: oscillator.start.mock.calls[0][0]
+  }))
+
+  describe('midiToFrequency', () => {
+    it('should convert MIDI numbers to frequencies', () => {
+      expect(midiToFrequency(69)).toBe(440)
+      expect(midiToFrequency(81)).toBe(880)
+      expect(midiToFrequency(60)).toBeCloseTo(261.63, 2)
+    })
+  })
+
+  describe('transport', () => {
+    it('should report the loaded duration and track count', () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      expect(player.getState()).toMatchObject({
+        isPlaying: false,
+        currentTime: 0,
+        duration: 2,
+        playbackRate: 1,
+        trackCount: 2
+      })
+    })
+
+    it('should only schedule notes within the lookahead window', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      await player.play()
+
+      expect(getScheduledNotes().map(note => note.frequency)).toEqual([midiToFrequency(60), midiToFrequency(48)])
+
+      advance(0.5)
+
+      expect(oscillators).toHaveLength(3)
+      expect(getScheduledNotes()[2]).toEqual({ frequency: midiToFrequency(64), start: 0.5 })
+    })
+
+    it('should pause and resume from the same position', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      await player.play()
+      advance(1)
+      player.pause()
+      advance(5)
+
+      expect(player.getState()).toMatchObject({ isPlaying: false, currentTime: 1 })
+
+      await player.play()
+      advance(0.5)
+
+      expect(player.getCurrentTime()).toBeCloseTo(1.5)
+      expect(getScheduledNotes().pop()).toEqual({ frequency: midiToFrequency(67), start: 6.5 })
+    })
+
+    it('should stop and rewind at the end of the song', async () => {
+      const player = createMidiPlayer({ audioContext })
+      const listener = vi.fn()
+      player.load(midiData)
+      player.subscribe(listener)
+
+      await player.play()
+      advance(2.1)
+
+      expect(player.getState()).toMatchObject({ isPlaying: false, currentTime: 0 })
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isPlaying: false, currentTime: 0 }))
+    })
+
+    it('should seek while playing', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      await player.play()
+      player.seek(1.5)
+
+      expect(player.getCurrentTime()).toBe(1.5)
+      expect(getScheduledNotes().pop()).toEqual({ frequency: midiToFrequency(67), start: 0 })
+    })
+
+    it('should stop the notes that are sounding when stopped', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      await player.play()
+      advance(0.2)
+      player.stop()
+
+      oscillators.forEach(oscillator => {
+        expect(oscillator.stop).toHaveBeenLastCalledWith(expect.closeTo(0.25, 5))
+      })
+      expect(player.getState()).toMatchObject({ isPlaying: false, currentTime: 0 })
+    })
+  })
+
+  describe('tempo scaling', () => {
+    it('should play notes later and longer at a slower speed', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+      player.setPlaybackRate(0.5)
+
+      await player.play()
+      advance(1)
+
+      expect(player.getCurrentTime()).toBeCloseTo(0.5)
+      expect(getScheduledNotes()[2]).toEqual({ frequency: midiToFrequency(64), start: 1 })
+    })
+
+    it('should keep the position when the speed changes during playback', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      await player.play()
+      advance(1)
+      player.setPlaybackRate(1.5)
+      advance(0.2)
+
+      expect(player.getCurrentTime()).toBeCloseTo(1.3)
+    })
+  })
+
+  describe('mute and solo', () => {
+    it('should mute tracks through their gain', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      player.setTrackMuted(1, true)
+
+      expect(player.isTrackAudible(0)).toBe(true)
+      expect(player.isTrackAudible(1)).toBe(false)
+      expect(player.getState().mutedTracks).toEqual([1])
+    })
+
+    it('should only play soloed tracks while any track is soloed', () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+
+      player.setTrackSolo(1, true)
+
+      expect(player.isTrackAudible(0)).toBe(false)
+      expect(player.isTrackAudible(1)).toBe(true)
+
+      player.setTrackSolo(1, false)
+
+      expect(player.isTrackAudible(0)).toBe(true)
+    })
+
+    it('should silence a muted track without rescheduling', async () => {
+      const player = createMidiPlayer({ audioContext })
+      const gains = []
+      const createGain = audioContext.createGain.bind(audioContext)
+      audioContext.createGain = () => {
+        const gain = createGain()
+        gains.push(gain)
+        return gain
+      }
+      player.load(midiData)
+
+      await player.play()
+      player.setTrackMuted(0, true)
+
+      // Master, MIDI and original gains, then a gain per track next to each note envelope
+      const trackGains = gains.filter(gain => gain.gain.setValueAtTime.mock.calls.length === 0).slice(3)
+      expect(trackGains.map(gain => gain.gain.value)).toEqual([0, 1])
+    })
+  })
+
+  describe('A/B comparison', () => {
+    const audioFile = { arrayBuffer: () => Promise.resolve(new ArrayBuffer(8)) }
+    let sources
+
+    beforeEach(() => {
+      sources = []
+      audioContext.decodeAudioData = () => Promise.resolve({ duration: 3 })
+      const createBufferSource = audioContext.createBufferSource.bind(audioContext)
+      audioContext.createBufferSource = () => {
+        const source = createBufferSource()
+        sources.push(source)
+        return source
+      }
+    })
+
+    it('should crossfade with equal power', () => {
+      expect(getCrossfadeGains(0)).toEqual({ original: 1, midi: 0 })
+      expect(getCrossfadeGains(1).original).toBeCloseTo(0)
+      expect(getCrossfadeGains(0.5).original).toBeCloseTo(Math.SQRT1_2)
+      expect(getCrossfadeGains(0.5).midi).toBeCloseTo(Math.SQRT1_2)
+    })
+
+    it('should play the original recording in lockstep with the MIDI', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+      await player.loadOriginal(audioFile)
+
+      expect(player.getState()).toMatchObject({ hasOriginal: true, duration: 3, mix: 1 })
+
+      await player.play()
+      advance(0.5)
+      player.seek(1)
+
+      expect(sources).toHaveLength(2)
+      expect(sources[0].start).toHaveBeenCalledWith(0, 0)
+      expect(sources[0].stop).toHaveBeenCalled()
+      expect(sources[1].start).toHaveBeenCalledWith(0.5, 1)
+    })
+
+    it('should follow the playback speed', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+      await player.loadOriginal(audioFile)
+
+      await player.play()
+      player.setPlaybackRate(0.75)
+
+      expect(sources.pop().playbackRate.value).toBe(0.75)
+    })
+
+    it('should set the gains of both sides from the mix', async () => {
+      const player = createMidiPlayer({ audioContext })
+      const gains = []
+      const createGain = audioContext.createGain.bind(audioContext)
+      audioContext.createGain = () => {
+        const gain = createGain()
+        gains.push(gain)
+        return gain
+      }
+      player.load(midiData)
+      await player.loadOriginal(audioFile)
+
+      player.setMix(0)
+
+      // Master gain, then the MIDI and original gains
+      expect(gains[1].gain.value).toBeCloseTo(0)
+      expect(gains[2].gain.value).toBe(1)
+      expect(player.getState().mix).toBe(0)
+    })
+
+    it('should remove the original recording', async () => {
+      const player = createMidiPlayer({ audioContext })
+      player.load(midiData)
+      await player.loadOriginal(audioFile)
+
+      await player.loadOriginal(null)
+
+      expect(player.getState()).toMatchObject({ hasOriginal: false, duration: 2 })
+    })
+  })
+
+  it('should reset mute and solo when new data is loaded', () => {
+    const player = createMidiPlayer({ audioContext })
+    player.load(midiData)
+    player.setTrackMuted(0, true)
+    player.setTrackSolo(1, true)
+
+    player.load(midiData)
+
+    expect(player.getState()).toMatchObject({ mutedTracks: [], soloTracks: [] })
+  })
+
+  it('should keep playing from the same position when the score is edited', async () => {
+    const player = createMidiPlayer({ audioContext })
+    player.load(midiData)
+    player.setTrackMuted(0, true)
+    player.setTrackSolo(1, true)
+    await player.play()
+    advance(1)
+
+    const edited = structuredClone(midiData)
+    edited.tracks[0].notes[2].midi = 69
+    player.update(edited)
+
+    expect(player.getState()).toMatchObject({ isPlaying: true, mutedTracks: [0], soloTracks: [1] })
+    expect(player.getCurrentTime()).toBeCloseTo(1)
+    advance(0.6)
+    // The edited note plays instead of the one it replaced
+    expect(getScheduledNotes().map(note => note.frequency)).not.toContain(midiToFrequency(67))
+    expect(getScheduledNotes().pop().frequency).toBe(midiToFrequency(69))
+  })
+
+  it('should keep a paused position when the score is edited', () => {
+    const player = createMidiPlayer({ audioContext })
+    player.load(midiData)
+    player.seek(1.5)
+
+    player.update({ ...midiData, duration: 1, tracks: [{ notes: [{ midi: 60, time: 0, duration: 1 }] }] })
+
+    expect(player.getState()).toMatchObject({ isPlaying: false, currentTime: 1, duration: 1 })
+  })
+
+  it('should not play without notes', async () => {
+    const player = createMidiPlayer({ audioContext })
+    player.load({ tracks: [] })
+
+    await player.play()
+
+    expect(player.getState().isPlaying).toBe(false)
+  })
+})
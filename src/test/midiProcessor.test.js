@@ -9,7 +9,28 @@ import {
   convertNoteToABC,
   convertMidiToABC,
   convertMidiToVexFlow,
-  getMidiSummary
+  getMidiSummary,
+  secondsToBeats,
+  beatsToSeconds,
+  quantizeNotes,
+  splitIntoNoteValues,
+  buildMeasures,
+  groupChords,
+  detectKey,
+  spellMidiNote,
+  estimateTempo,
+  estimateTimeSignature,
+  buildScore,
+  getTrackLabel,
+  splitHands,
+  chooseClef,
+  transposeMidiData,
+  getKeyTransposition,
+  transposeKey,
+  countNotesOutOfRange,
+  countNotesDroppedByTransposition,
+  TRANSPOSING_INSTRUMENTS,
+  cleanupMidiData
 } from '../services/midiProcessor'
 
 // Mock @tonejs/midi
@@ -17,6 +38,11 @@ vi.mock('@tonejs/midi', () => ({
   Midi: vi.fn().mockImplementation(() => ({
     name: 'Test Song',
     duration: 4.5,
+    header: {
+      ppq: 480,
+      tempos: [{ bpm: 120, ticks: 0, time: 0 }],
+      timeSignatures: [{ ticks: 0, timeSignature: [4, 4], measures: 0 }]
+    },
     tracks: [
       {
         name: 'Track 1',
@@ -56,6 +82,9 @@ describe('MIDI Processor', () => {
       expect(result).toEqual({
         name: 'Test Song',
         duration: 4.5,
+        ppq: 480,
+        tempos: [{ bpm: 120, ticks: 0, time: 0 }],
+        timeSignatures: [{ ticks: 0, timeSignature: [4, 4], measures: 0 }],
         tracks: [
           {
             name: 'Track 1',
@@ -85,6 +114,35 @@ describe('MIDI Processor', () => {
       })
     })
 
+    it('should estimate tempo and meter when the file has none', async () => {
+      const { Midi } = await import('@tonejs/midi')
+      Midi.mockImplementationOnce(() => ({
+        name: 'No Meta Events',
+        duration: 9.6,
+        header: { ppq: 480, tempos: [], timeSignatures: [] },
+        tracks: [
+          {
+            name: 'Track 1',
+            notes: Array.from({ length: 16 }, (_, index) => ({
+              name: 'C4',
+              midi: 60,
+              time: index * 0.6, // Quarter notes at 100 BPM
+              duration: 0.5,
+              ticks: index * 576,
+              durationTicks: 480,
+              velocity: index % 4 === 0 ? 1 : 0.5
+            }))
+          }
+        ]
+      }))
+
+      const result = await parseMidiBlob(new Blob(['mock midi data']))
+
+      expect(result.tempos).toEqual([{ bpm: 100, ticks: 0, time: 0, estimated: true }])
+      expect(result.timeSignatures[0]).toMatchObject({ timeSignature: [4, 4], estimated: true })
+      expect(result.tracks[0].notes[1].ticks).toBe(480) // Re-derived at the estimated tempo
+    })
+
     it('should handle parsing errors', async () => {
       const { Midi } = await import('@tonejs/midi')
       Midi.mockImplementationOnce(() => {
@@ -119,13 +177,26 @@ describe('MIDI Processor', () => {
     })
 
     it('should handle different durations', () => {
-      const shortNote = { name: 'C4', duration: 0.2 }
+      const shortNote = { name: 'C4', duration: 0.125 } // Sixteenth at 120 BPM
       const longNote = { name: 'C4', duration: 2 }
       
       expect(convertNoteToABC(shortNote)).toBe('C/4')
       expect(convertNoteToABC(longNote)).toBe('C4') // Whole note in ABC notation
     })
 
+    it('should use the tempo map instead of raw seconds', () => {
+      const note = { name: 'C4', time: 0, duration: 1 }
+
+      expect(convertNoteToABC(note)).toBe('C2') // Half note at 120 BPM
+      expect(convertNoteToABC(note, { tempos: [{ bpm: 60, time: 0 }] })).toBe('C')
+    })
+
+    it('should tie durations without a single written value', () => {
+      const note = { name: 'C4', time: 0, duration: 0.625 } // Quarter + sixteenth
+
+      expect(convertNoteToABC(note)).toBe('C-C/4')
+    })
+
     it('should handle different octaves', () => {
       const lowNote = { name: 'C3', duration: 0.5 }
       const highNote = { name: 'C6', duration: 0.5 }
@@ -159,6 +230,171 @@ describe('MIDI Processor', () => {
       expect(result).toContain('C D')
     })
 
+    it('should insert barlines and tie notes across them', () => {
+      const midiData = {
+        name: 'Test Song',
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 1.5, time: 0 },
+              { name: 'D4', duration: 1, time: 1.5 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('C3 D- | D z3 |]')
+    })
+
+    it('should write each track as its own voice', () => {
+      const midiData = {
+        name: 'Duet',
+        tracks: [
+          { name: 'Flute', notes: [{ name: 'C5', duration: 2, time: 0 }] },
+          { name: 'Bass "low"', notes: [{ name: 'C3', duration: 4, time: 0 }] }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('V:1 name="Flute" clef=treble')
+      expect(result).toContain("V:2 name=\"Bass 'low'\" clef=bass")
+      expect(result).toContain('V:1\nc4 | z4 |]\nV:2\nC,4- | C,4 |]')
+    })
+
+    it('should write wide piano parts on a braced grand staff', () => {
+      const midiData = {
+        name: 'Piano Piece',
+        tracks: [
+          {
+            instrument: { name: 'acoustic grand piano', family: 'piano' },
+            notes: [
+              { name: 'C2', duration: 2, time: 0 },
+              { name: 'E5', duration: 0.5, time: 0 },
+              { name: 'G5', duration: 0.5, time: 0.5 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('%%score {1 | 2}')
+      expect(result).toContain('V:1 name="acoustic grand piano" clef=treble')
+      expect(result).toContain('V:2 clef=bass')
+      expect(result).toContain('V:1\ne g z2 |]\nV:2\nC,,4 |]')
+    })
+
+    it('should switch to the bass clef for low single-staff parts', () => {
+      const midiData = {
+        tracks: [{ notes: [{ name: 'C2', duration: 2, time: 0 }] }]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('K:C clef=bass')
+      expect(result).not.toContain('V:')
+    })
+
+    it('should write simultaneous notes as chords', () => {
+      const midiData = {
+        name: 'Test Song',
+        tracks: [
+          {
+            notes: [
+              { name: 'G4', midi: 67, duration: 1, time: 0.02 },
+              { name: 'C4', midi: 60, duration: 1, time: 0 },
+              { name: 'E4', midi: 64, duration: 1, time: 0.01 },
+              { name: 'F4', midi: 65, duration: 1, time: 1 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('[CEG]2 F2 |]')
+    })
+
+    it('should write the detected key and spell accidentals relative to it', () => {
+      const midiData = {
+        name: 'Test Song',
+        tracks: [
+          {
+            notes: [
+              { name: 'F4', midi: 65, duration: 0.5, time: 0 },
+              { name: 'G4', midi: 67, duration: 0.5, time: 0.5 },
+              { name: 'A4', midi: 69, duration: 0.5, time: 1 },
+              { name: 'A#4', midi: 70, duration: 0.5, time: 1.5 },
+              { name: 'C5', midi: 72, duration: 1, time: 2 },
+              { name: 'B4', midi: 71, duration: 0.5, time: 3 },
+              { name: 'A#4', midi: 70, duration: 0.5, time: 3.5 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('K:F')
+      expect(result).toContain('F G A B | c2 =B _B |]')
+    })
+
+    it('should use an overridden key', () => {
+      const midiData = {
+        name: 'Test Song',
+        tracks: [{ notes: [{ name: 'A#4', midi: 70, duration: 0.5, time: 0 }] }]
+      }
+
+      const result = convertMidiToABC(midiData, { key: 'E' })
+
+      expect(result).toContain('K:E')
+      expect(result).toContain('^A')
+    })
+
+    it('should emit rests for gaps and empty measures', () => {
+      const midiData = {
+        name: 'Test Song',
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 0.5, time: 0.5 },
+              { name: 'D4', duration: 0.25, time: 1.25 },
+              { name: 'E4', duration: 2, time: 4 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('z C z/2 D/2 z | z4 | E4 |]')
+    })
+
+    it('should write the time signature and tempo of the file', () => {
+      const midiData = {
+        name: 'Waltz',
+        tempos: [{ bpm: 90, time: 0 }],
+        timeSignatures: [{ ticks: 0, timeSignature: [3, 4] }],
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 2, time: 0 },
+              { name: 'E4', duration: 2, time: 2 }
+            ]
+          }
+        ]
+      }
+
+      const result = convertMidiToABC(midiData)
+
+      expect(result).toContain('M:3/4')
+      expect(result).toContain('Q:1/4=90')
+      expect(result).toContain('C3 | E3 |]')
+    })
+
     it('should handle MIDI data without tracks', () => {
       const midiData = {
         name: 'Empty Song',
@@ -182,6 +418,8 @@ describe('MIDI Processor', () => {
   })
 
   describe('convertMidiToVexFlow', () => {
+    const getFirstStaff = parts => parts[0].staves[0].measures
+
     it('should convert MIDI data to VexFlow format', () => {
       const midiData = {
         tracks: [
@@ -204,20 +442,30 @@ describe('MIDI Processor', () => {
         ]
       }
       
-      const result = convertMidiToVexFlow(midiData)
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
       
-      expect(result).toHaveLength(2)
-      expect(result[0]).toEqual({
+      expect(result).toHaveLength(1)
+      expect(result[0].timeSignature).toBe('4/4')
+      expect(result[0].notes).toHaveLength(3)
+      expect(result[0].notes[0]).toEqual({
         keys: ['C/4'],
         duration: 'q',
         midi: 60,
-        time: 0
+        time: 0,
+        beat: 0
       })
-      expect(result[1]).toEqual({
+      expect(result[0].notes[1]).toEqual({
         keys: ['D/4'],
-        duration: 'h', // duration 1.0 -> 'h'
+        duration: 'h', // 1 second = 2 beats at 120 BPM
         midi: 62,
-        time: 0.5
+        time: 0.5,
+        beat: 1
+      })
+      expect(result[0].notes[2]).toEqual({
+        keys: ['B/4'],
+        duration: 'qr', // Rest completing the measure
+        rest: true,
+        beat: 3
       })
     })
 
@@ -226,21 +474,189 @@ describe('MIDI Processor', () => {
         tracks: [
           {
             notes: [
-              { name: 'C4', duration: 0.1, time: 0, midi: 60 }, // Sixteenth
-              { name: 'D4', duration: 0.3, time: 0.1, midi: 62 }, // Eighth
-              { name: 'E4', duration: 2, time: 0.4, midi: 64 }, // Half
-              { name: 'F4', duration: 4, time: 2.4, midi: 65 }  // Whole note (duration >= 2)
+              { name: 'C4', duration: 0.125, time: 0, midi: 60 }, // Sixteenth
+              { name: 'D4', duration: 0.25, time: 0.125, midi: 62 }, // Eighth
+              { name: 'E4', duration: 0.5, time: 0.375, midi: 64 }, // Quarter
+              { name: 'F4', duration: 0.75, time: 0.875, midi: 65 }  // Dotted quarter
             ]
           }
         ]
       }
       
-      const result = convertMidiToVexFlow(midiData)
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
       
-      expect(result[0].duration).toBe('16')
-      expect(result[1].duration).toBe('8')
-      expect(result[2].duration).toBe('h')  // duration 2: should be 'h' since 2 <= 2
-      expect(result[3].duration).toBe('w')  // duration 4: should be 'w' since 4 > 2
+      // Durations are read at the default 120 BPM
+      expect(result[0].notes.map(note => note.duration)).toEqual(['16', '8', 'q', 'qd', '8dr'])
+    })
+
+    it('should write chords as multi-key notes', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'E4', duration: 0.5, time: 0, midi: 64 },
+              { name: 'C4', duration: 0.5, time: 0, midi: 60 },
+              { name: 'D4', duration: 0.5, time: 0.5, midi: 62 }
+            ]
+          }
+        ]
+      }
+
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
+
+      expect(result[0].notes[0]).toEqual({ keys: ['C/4', 'E/4'], duration: 'q', midi: 60, time: 0, beat: 0 })
+      expect(result[0].notes[1].keys).toEqual(['D/4'])
+    })
+
+    it('should spell keys in the detected key signature', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'F4', duration: 0.5, time: 0, midi: 65 },
+              { name: 'A#4', duration: 0.5, time: 0.5, midi: 70 },
+              { name: 'C5', duration: 0.5, time: 1, midi: 72 },
+              { name: 'A4', duration: 0.5, time: 1.5, midi: 69 }
+            ]
+          }
+        ]
+      }
+
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
+
+      expect(result[0].keySignature).toBe('F')
+      expect(result[0].tempo).toBe(120)
+      expect(result[0].notes[1].keys).toEqual(['Bb/4'])
+    })
+
+    it('should emit rests for gaps and full-measure rests', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 0.5, time: 0.5, midi: 60 },
+              { name: 'D4', duration: 2, time: 4, midi: 62 }
+            ]
+          }
+        ]
+      }
+
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
+
+      expect(result).toHaveLength(3)
+      expect(result[0].notes.map(note => note.duration)).toEqual(['qr', 'q', 'hr'])
+      expect(result[1].notes).toEqual([
+        { keys: ['B/4'], duration: 'wr', rest: true, fullMeasure: true, beat: 4 }
+      ])
+      expect(result[2].notes.map(note => note.duration)).toEqual(['w'])
+      expect(result[2]).toMatchObject({ beat: 8, beats: 4 })
+    })
+
+    it('should tie notes across barlines', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 1.5, time: 0, midi: 60 },
+              { name: 'D4', duration: 1, time: 1.5, midi: 62 }
+            ]
+          }
+        ]
+      }
+
+      const result = getFirstStaff(convertMidiToVexFlow(midiData))
+
+      expect(result).toHaveLength(2)
+      expect(result[0].notes[1]).toMatchObject({ keys: ['D/4'], duration: 'q', tie: true })
+      expect(result[1].notes[0]).toMatchObject({ keys: ['D/4'], duration: 'q' })
+      expect(result[1].notes[0].tie).toBeUndefined()
+    })
+
+    it('should snap to a triplet grid', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'C4', duration: 1 / 6, time: 0, midi: 60 },
+              { name: 'D4', duration: 1 / 6, time: 1 / 6, midi: 62 },
+              { name: 'E4', duration: 1 / 6, time: 1 / 3, midi: 64 }
+            ]
+          }
+        ]
+      }
+
+      const result = getFirstStaff(convertMidiToVexFlow(midiData, { grid: '1/8T' }))
+
+      expect(result[0].notes).toHaveLength(4)
+      result[0].notes.slice(0, 3).forEach(note => {
+        expect(note).toMatchObject({ duration: '8', tuplet: 3 })
+      })
+      expect(result[0].notes[3]).toMatchObject({ duration: 'hdr', rest: true })
+    })
+
+    it('should return one part per track with a name', () => {
+      const midiData = {
+        tracks: [
+          { name: 'Melody', instrument: { name: 'violin' }, notes: [{ name: 'E5', duration: 0.5, time: 0, midi: 76 }] },
+          { notes: [] },
+          { instrument: { name: 'cello' }, notes: [{ name: 'C3', duration: 4, time: 0, midi: 48 }] }
+        ]
+      }
+
+      const result = convertMidiToVexFlow(midiData)
+
+      expect(result).toHaveLength(2)
+      expect(result.map(part => part.name)).toEqual(['Melody (violin)', 'cello'])
+      expect(result.map(part => part.trackIndex)).toEqual([0, 2])
+      // Parts line up measure by measure
+      expect(result[0].staves[0].measures).toHaveLength(2)
+      expect(result[1].staves[0].measures).toHaveLength(2)
+      expect(result[0].staves[0].measures[1].notes[0]).toMatchObject({ rest: true, fullMeasure: true })
+    })
+
+    it('should split piano parts into treble and bass staves', () => {
+      const midiData = {
+        tracks: [
+          {
+            notes: [
+              { name: 'C2', duration: 0.5, time: 0, midi: 36 },
+              { name: 'C5', duration: 0.5, time: 0, midi: 72 }
+            ]
+          }
+        ]
+      }
+
+      const [part] = convertMidiToVexFlow(midiData)
+
+      expect(part.staves.map(staff => staff.clef)).toEqual(['treble', 'bass'])
+      expect(part.staves[0].measures[0].notes[0].keys).toEqual(['C/5'])
+      expect(part.staves[1].measures[0].notes[0].keys).toEqual(['C/2'])
+      // Rests sit on the middle line of each clef
+      expect(part.staves[0].measures[0].notes[1].keys).toEqual(['B/4'])
+      expect(part.staves[1].measures[0].notes[1].keys).toEqual(['D/3'])
+    })
+
+    it('should follow the staff layout option', () => {
+      const midiData = {
+        tracks: [{ notes: [{ name: 'C4', duration: 0.5, time: 0, midi: 60 }] }]
+      }
+
+      expect(convertMidiToVexFlow(midiData, { staffLayout: 'grand' })[0].staves).toHaveLength(2)
+      expect(convertMidiToVexFlow(midiData, { staffLayout: 'single' })[0].staves).toHaveLength(1)
+    })
+
+    it('should only include the selected tracks', () => {
+      const midiData = {
+        tracks: [
+          { notes: [{ name: 'C4', duration: 0.5, time: 0, midi: 60 }] },
+          { notes: [{ name: 'G4', duration: 0.5, time: 0, midi: 67 }] }
+        ]
+      }
+
+      const result = convertMidiToVexFlow(midiData, { tracks: [1] })
+
+      expect(result).toHaveLength(1)
+      expect(result[0].staves[0].measures[0].notes[0].keys).toEqual(['G/4'])
     })
 
     it('should return empty array for invalid data', () => {
@@ -252,6 +668,450 @@ describe('MIDI Processor', () => {
     })
   })
 
+  describe('buildScore', () => {
+    it('should collect key, meter, tempo and parts', () => {
+      const midiData = {
+        name: 'Score',
+        tempos: [{ bpm: 90, ticks: 0, time: 0 }],
+        timeSignatures: [{ ticks: 0, timeSignature: [3, 4] }],
+        tracks: [{ notes: [{ name: 'C4', duration: 1, time: 0 }] }]
+      }
+
+      const score = buildScore(midiData)
+
+      expect(score.title).toBe('Score')
+      expect(score.key.id).toBe('C')
+      expect(score.timeSignature).toEqual([3, 4])
+      expect(score.tempo).toBe(90)
+      expect(score.parts).toHaveLength(1)
+      expect(score.parts[0]).toMatchObject({ trackIndex: 0, name: 'Track 1', instrument: 'Piano' })
+      expect(score.parts[0].staves[0].clef).toBe('treble')
+    })
+  })
+
+  describe('splitHands', () => {
+    const note = (name, midi, onset) => ({ name, midi, onset, length: 48 })
+
+    it('should split at a fixed split point', () => {
+      const notes = [note('B3', 59, 0), note('C4', 60, 0), note('E4', 64, 0)]
+
+      const hands = splitHands(notes, { splitPoint: 60 })
+
+      expect(hands.treble.map(n => n.midi)).toEqual([60, 64])
+      expect(hands.bass.map(n => n.midi)).toEqual([59])
+    })
+
+    it('should give notes near middle C to the closest hand', () => {
+      const notes = [
+        // Left hand walking up to D4 while the right hand plays high
+        note('C3', 48, 0), note('G5', 79, 0),
+        note('G3', 55, 48), note('A5', 81, 48),
+        note('D4', 62, 96), note('B5', 83, 96)
+      ]
+
+      const hands = splitHands(notes)
+
+      expect(hands.bass.map(n => n.midi)).toEqual([48, 55, 62])
+      expect(hands.treble.map(n => n.midi)).toEqual([79, 81, 83])
+    })
+
+    it('should not let a hand cross far over the split', () => {
+      const notes = [note('E2', 40, 0), note('B2', 47, 0), note('A4', 69, 0)]
+
+      const hands = splitHands(notes)
+
+      expect(hands.bass.map(n => n.midi)).toEqual([40, 47])
+      expect(hands.treble.map(n => n.midi)).toEqual([69])
+    })
+  })
+
+  describe('chooseClef', () => {
+    it('should pick the clef with the fewest ledger lines', () => {
+      expect(chooseClef([{ name: 'C5' }, { name: 'G4' }])).toBe('treble')
+      expect(chooseClef([{ name: 'C2' }, { name: 'G3' }])).toBe('bass')
+      expect(chooseClef([{ name: 'C4' }])).toBe('treble')
+    })
+  })
+
+  describe('getTrackLabel', () => {
+    it('should combine the track name and instrument', () => {
+      expect(getTrackLabel({ name: 'Lead', instrument: { name: 'violin' } }, 0)).toBe('Lead (violin)')
+      expect(getTrackLabel({ name: 'Violin', instrument: { name: 'violin' } }, 0)).toBe('Violin')
+      expect(getTrackLabel({ name: '', instrument: { name: 'cello' } }, 1)).toBe('cello')
+      expect(getTrackLabel({}, 2)).toBe('Track 3')
+    })
+  })
+
+  describe('beatsToSeconds', () => {
+    it('should invert secondsToBeats across tempo changes', () => {
+      const tempos = [{ bpm: 120, time: 0 }, { bpm: 60, time: 2 }]
+
+      expect(beatsToSeconds(2)).toBe(1)
+      expect(beatsToSeconds(4, tempos)).toBe(2)
+      expect(beatsToSeconds(6, tempos)).toBe(4)
+      expect(secondsToBeats(beatsToSeconds(5.5, tempos), tempos)).toBeCloseTo(5.5)
+    })
+  })
+
+  describe('secondsToBeats', () => {
+    it('should assume 120 BPM without tempo events', () => {
+      expect(secondsToBeats(1)).toBe(2)
+    })
+
+    it('should follow tempo changes', () => {
+      const tempos = [
+        { bpm: 60, time: 0 },
+        { bpm: 120, time: 2 }
+      ]
+
+      expect(secondsToBeats(1, tempos)).toBe(1)
+      expect(secondsToBeats(3, tempos)).toBe(4) // 2 beats at 60 BPM + 2 at 120 BPM
+    })
+  })
+
+  describe('quantizeNotes', () => {
+    it('should prefer tick positions when available', () => {
+      const notes = [{ name: 'C4', midi: 60, time: 9, duration: 9, ticks: 490, durationTicks: 230 }]
+
+      const [note] = quantizeNotes(notes, { ppq: 480 })
+
+      expect(note.onset).toBe(48)
+      expect(note.length).toBe(24)
+    })
+
+    it('should snap to the selected grid and sort by onset', () => {
+      const notes = [
+        { name: 'D4', midi: 62, time: 0.26, duration: 0.2 },
+        { name: 'C4', midi: 60, time: 0.01, duration: 0.2 }
+      ]
+
+      const result = quantizeNotes(notes, {}, { grid: '1/8' })
+
+      expect(result.map(note => note.name)).toEqual(['C4', 'D4'])
+      expect(result.map(note => note.onset)).toEqual([0, 24])
+      expect(result.map(note => note.length)).toEqual([24, 24])
+    })
+  })
+
+  describe('splitIntoNoteValues', () => {
+    it('should split lengths into tied written values', () => {
+      expect(splitIntoNoteValues(48).map(value => value.vexflow)).toEqual(['q'])
+      expect(splitIntoNoteValues(72).map(value => value.vexflow)).toEqual(['qd'])
+      expect(splitIntoNoteValues(60).map(value => value.vexflow)).toEqual(['q', '16'])
+    })
+  })
+
+  describe('buildMeasures', () => {
+    it('should fill measures according to the time signature', () => {
+      const notes = [
+        { name: 'C4', midi: 60, onset: 0, length: 72 },
+        { name: 'D4', midi: 62, onset: 72, length: 96 }
+      ]
+
+      const measures = buildMeasures(notes, { timeSignature: [3, 4] })
+
+      expect(measures).toHaveLength(2)
+      expect(measures[0]).toMatchObject({ number: 1, start: 0, length: 144 })
+      expect(measures[0].events.map(event => [event.onset, event.length, event.tie])).toEqual([
+        [0, 72, false],
+        [72, 72, true]
+      ])
+      expect(measures[1].events.map(event => [event.onset, event.length, event.tie])).toEqual([
+        [144, 24, false],
+        [168, 120, false]
+      ])
+      expect(measures[1].events[1].rest).toBe(true)
+    })
+
+    it('should cut notes off at the next onset', () => {
+      const notes = [
+        { name: 'C4', midi: 60, onset: 0, length: 96 },
+        { name: 'D4', midi: 62, onset: 48, length: 48 }
+      ]
+
+      const [measure] = buildMeasures(notes)
+
+      expect(measure.events.filter(event => !event.rest).map(event => event.length)).toEqual([48, 48])
+    })
+  })
+
+  describe('groupChords', () => {
+    it('should group notes inside the tolerance window with a shared duration', () => {
+      const notes = [
+        { name: 'C4', midi: 60, time: 0, onset: 0, length: 48 },
+        { name: 'E4', midi: 64, time: 0.04, onset: 12, length: 72 },
+        { name: 'G4', midi: 67, time: 0.5, onset: 48, length: 48 }
+      ]
+
+      const chords = groupChords(notes)
+
+      expect(chords).toHaveLength(2)
+      expect(chords[0]).toMatchObject({ onset: 0, length: 84 })
+      expect(chords[0].notes.map(note => note.name)).toEqual(['C4', 'E4'])
+    })
+
+    it('should respect a custom tolerance', () => {
+      const notes = [
+        { name: 'C4', midi: 60, time: 0, onset: 0, length: 48 },
+        { name: 'E4', midi: 64, time: 0.04, onset: 12, length: 48 }
+      ]
+
+      expect(groupChords(notes, { chordTolerance: 0.01 })).toHaveLength(2)
+    })
+  })
+
+  describe('estimateTempo', () => {
+    it('should find the beat from onset intervals', () => {
+      // Quarter notes at 100 BPM, played slightly unevenly
+      const notes = Array.from({ length: 12 }, (_, index) => ({ time: index * 0.6 + (index % 2) * 0.01 }))
+
+      expect(estimateTempo(notes)).toBe(100)
+    })
+
+    it('should fall back to the default tempo with too few notes', () => {
+      expect(estimateTempo([{ time: 0 }, { time: 1 }])).toBe(120)
+    })
+  })
+
+  describe('estimateTimeSignature', () => {
+    it('should recognize a waltz', () => {
+      const notes = Array.from({ length: 6 }, (_, measure) => [
+        { time: measure * 1.5, duration: 1.5, velocity: 1 },
+        { time: measure * 1.5 + 0.5, duration: 0.25, velocity: 0.5 },
+        { time: measure * 1.5 + 0.5, duration: 0.25, velocity: 0.5 },
+        { time: measure * 1.5 + 1, duration: 0.25, velocity: 0.5 },
+        { time: measure * 1.5 + 1, duration: 0.25, velocity: 0.5 }
+      ]).flat()
+
+      expect(estimateTimeSignature(notes, 120)).toEqual([3, 4])
+    })
+
+    it('should recognize a jig', () => {
+      const velocities = [1, 0.5, 0.5, 0.8, 0.5, 0.5]
+      const notes = Array.from({ length: 36 }, (_, index) => ({
+        time: index * 0.25,
+        duration: 0.25,
+        velocity: velocities[index % 6]
+      }))
+
+      expect(estimateTimeSignature(notes, 120)).toEqual([6, 8])
+    })
+
+    it('should recognize common time', () => {
+      const notes = Array.from({ length: 16 }, (_, index) => ({
+        time: index * 0.5,
+        duration: 0.5,
+        velocity: index % 4 === 0 ? 1 : 0.5
+      }))
+
+      expect(estimateTimeSignature(notes, 120)).toEqual([4, 4])
+    })
+  })
+
+  describe('detectKey', () => {
+    const toMidiData = (midiNumbers) => ({
+      tracks: [{ notes: midiNumbers.map(midi => ({ midi, duration: 0.5 })) }]
+    })
+
+    it('should detect major keys', () => {
+      expect(detectKey(toMidiData([70, 72, 74, 75, 77, 79, 81, 70, 74, 77])).name).toBe('Bb major')
+    })
+
+    it('should detect minor keys', () => {
+      expect(detectKey(toMidiData([57, 59, 60, 62, 64, 65, 68, 69, 57, 60, 64, 57])).name).toBe('A minor')
+    })
+
+    it('should fall back to C major without notes', () => {
+      expect(detectKey({ tracks: [] }).id).toBe('C')
+    })
+  })
+
+  describe('spellMidiNote', () => {
+    it('should spell accidentals relative to the key', () => {
+      expect(spellMidiNote(70, 'F').name).toBe('Bb4')
+      expect(spellMidiNote(70, 'E').name).toBe('A#4')
+      expect(spellMidiNote(61, 'Bb').name).toBe('Db4')
+      expect(spellMidiNote(71, 'F').name).toBe('B4')
+    })
+
+    it('should raise the sixth and seventh degrees of minor keys', () => {
+      expect(spellMidiNote(61, 'Dm').name).toBe('C#4')
+      expect(spellMidiNote(67, 'G#m').name).toBe('F##4')
+    })
+
+    it('should keep the octave of the written letter', () => {
+      expect(spellMidiNote(59, 'Ebm')).toMatchObject({ letter: 'C', alter: -1, octave: 4 })
+    })
+  })
+
+  describe('transposeMidiData', () => {
+    const midiData = {
+      duration: 1,
+      tracks: [
+        {
+          name: 'Melody',
+          notes: [
+            { name: 'C4', midi: 60, time: 0, duration: 0.5, octave: 4, pitch: 'C' },
+            { name: 'G9', midi: 127, time: 0.5, duration: 0.5 }
+          ]
+        },
+        { name: 'Bass', notes: [{ name: 'E2', midi: 40, time: 0, duration: 1 }] },
+        { name: 'Drums', instrument: { percussion: true }, notes: [{ name: 'C2', midi: 36, time: 0, duration: 0.1 }] }
+      ]
+    }
+
+    it('should move every pitched note and rename it', () => {
+      const transposed = transposeMidiData(midiData, -1)
+
+      expect(transposed.tracks[0].notes[0]).toMatchObject({ midi: 59, name: 'B3', octave: 3, pitch: 'B' })
+      expect(transposed.tracks[0].notes[1]).toMatchObject({ midi: 126, name: 'F#9' })
+      expect(transposed.tracks[1].notes[0].name).toBe('D#2')
+      expect(transposed.tracks[2]).toBe(midiData.tracks[2])
+      expect(midiData.tracks[0].notes[0].midi).toBe(60)
+    })
+
+    it('should only transpose the chosen tracks', () => {
+      const transposed = transposeMidiData(midiData, 12, { tracks: [1] })
+
+      expect(transposed.tracks[0]).toBe(midiData.tracks[0])
+      expect(transposed.tracks[1].notes[0].name).toBe('E3')
+    })
+
+    it('should drop notes pushed outside the MIDI range', () => {
+      expect(transposeMidiData(midiData, 2).tracks[0].notes.map(note => note.midi)).toEqual([62])
+    })
+  })
+
+  describe('getKeyTransposition', () => {
+    it('should take the shortest way to the target key', () => {
+      expect(getKeyTransposition('C', 'D')).toBe(2)
+      expect(getKeyTransposition('C', 'Bb')).toBe(-2)
+      expect(getKeyTransposition('Am', 'Em')).toBe(-5)
+      expect(getKeyTransposition('Eb', 'A')).toBe(6)
+    })
+  })
+
+  describe('transposeKey', () => {
+    it('should spell the new key with the fewest accidentals', () => {
+      expect(transposeKey('C', 2).name).toBe('D major')
+      expect(transposeKey('F', 5).name).toBe('Bb major')
+      expect(transposeKey('Em', 9).name).toBe('C# minor')
+      expect(transposeKey('Eb', 9).name).toBe('C major')
+    })
+  })
+
+  describe('countNotesOutOfRange', () => {
+    it('should count notes below and above an instrument range', () => {
+      const midiData = {
+        tracks: [
+          { notes: [50, 60, 90, 91].map(midi => ({ midi, time: 0, duration: 1 })) },
+          { instrument: { percussion: true }, notes: [{ midi: 35, time: 0, duration: 1 }] }
+        ]
+      }
+      const trumpet = TRANSPOSING_INSTRUMENTS.find(instrument => instrument.id === 'bb-trumpet')
+
+      expect(countNotesOutOfRange(midiData, trumpet.range)).toEqual({ below: 1, above: 2 })
+      expect(countNotesOutOfRange(midiData, trumpet.range, { tracks: [1] })).toEqual({ below: 0, above: 0 })
+    })
+  })
+
+  describe('countNotesDroppedByTransposition', () => {
+    it('should count the notes transposeMidiData drops', () => {
+      const midiData = {
+        tracks: [
+          { notes: [2, 60, 120, 126].map(midi => ({ midi, time: 0, duration: 1 })) },
+          { notes: [{ midi: 1, time: 0, duration: 1 }] }
+        ]
+      }
+      const kept = (semitones, options) => transposeMidiData(midiData, semitones, options).tracks
+        .reduce((sum, track) => sum + track.notes.length, 0)
+
+      expect(countNotesDroppedByTransposition(midiData, 5)).toBe(1)
+      expect(kept(5)).toBe(4)
+      expect(countNotesDroppedByTransposition(midiData, -3)).toBe(2)
+      expect(kept(-3)).toBe(3)
+      expect(countNotesDroppedByTransposition(midiData, -3, { tracks: [0] })).toBe(1)
+      expect(countNotesDroppedByTransposition(midiData, 0)).toBe(0)
+    })
+  })
+
+  describe('cleanupMidiData', () => {
+    const note = (midi, time, duration, velocity = 0.8) => ({ midi, time, duration, velocity })
+    const toMidiData = (notes) => ({ duration: 4, tracks: [{ name: 'Piano', notes }] })
+
+    it('should drop ghost notes that are too short or too soft', () => {
+      const midiData = toMidiData([note(60, 0, 0.5), note(62, 0.5, 0.02), note(64, 1, 0.5, 0.05)])
+
+      const { midiData: cleaned, removed } = cleanupMidiData(midiData)
+
+      expect(cleaned.tracks[0].notes.map(kept => kept.midi)).toEqual([60])
+      expect(removed).toMatchObject({ minDuration: 1, minVelocity: 1 })
+      expect(midiData.tracks[0].notes).toHaveLength(3)
+    })
+
+    it('should merge fragments of a sustained note before checking their length', () => {
+      const midiData = toMidiData([note(60, 0, 0.04, 0.5), note(60, 0.05, 0.04, 0.9), note(60, 0.1, 0.3), note(60, 1, 0.5)])
+
+      const { midiData: cleaned, removed } = cleanupMidiData(midiData)
+
+      expect(cleaned.tracks[0].notes).toHaveLength(2)
+      expect(cleaned.tracks[0].notes[0]).toMatchObject({ time: 0, velocity: 0.9 })
+      expect(cleaned.tracks[0].notes[0].duration).toBeCloseTo(0.4)
+      expect(removed).toMatchObject({ mergeGap: 2, minDuration: 0 })
+    })
+
+    it('should lengthen the merged note in ticks, which notation reads first', () => {
+      // 120 BPM: a beat is half a second, or 480 ticks
+      const fragment = (time, duration) => ({
+        ...note(60, time, duration),
+        ticks: Math.round(time * 960),
+        durationTicks: Math.round(duration * 960)
+      })
+      const midiData = {
+        ...toMidiData([fragment(0, 0.24), fragment(0.26, 0.24), fragment(0.51, 0.49)]),
+        duration: 2,
+        ppq: 480,
+        tempos: [{ bpm: 120, ticks: 0, time: 0 }],
+        timeSignatures: [{ ticks: 0, timeSignature: [4, 4] }]
+      }
+
+      const { midiData: cleaned } = cleanupMidiData(midiData)
+
+      expect(cleaned.tracks[0].notes).toHaveLength(1)
+      expect(cleaned.tracks[0].notes[0]).toMatchObject({ ticks: 0, durationTicks: 960 })
+      expect(convertMidiToABC(cleaned)).toContain('C2 z2 |]')
+    })
+
+    it('should remove quieter notes an octave away from a simultaneous note', () => {
+      const midiData = toMidiData([note(48, 0, 1, 0.9), note(60, 0.01, 1, 0.3), note(64, 0, 1, 0.3), note(72, 1, 1, 0.8), note(84, 1, 1, 0.7)])
+
+      const { midiData: cleaned, removed } = cleanupMidiData(midiData)
+
+      expect(cleaned.tracks[0].notes.map(kept => kept.midi)).toEqual([48, 64, 72, 84])
+      expect(removed.removeOctaveDuplicates).toBe(1)
+    })
+
+    it('should let each filter be turned off', () => {
+      const midiData = toMidiData([note(60, 0, 0.02, 0.01), note(60, 0.03, 0.5), note(72, 0.03, 0.5, 0.1)])
+
+      const { midiData: cleaned, removed } = cleanupMidiData(midiData, {
+        minDuration: 0,
+        minVelocity: 0,
+        mergeGap: 0,
+        removeOctaveDuplicates: false
+      })
+
+      expect(cleaned.tracks[0]).toBe(midiData.tracks[0])
+      expect(Object.values(removed)).toEqual([0, 0, 0, 0])
+    })
+
+    it('should leave percussion tracks alone', () => {
+      const drums = { name: 'Drums', instrument: { percussion: true }, notes: [note(42, 0, 0.01)] }
+
+      expect(cleanupMidiData({ tracks: [drums] }).midiData.tracks[0]).toBe(drums)
+    })
+  })
+
   describe('getMidiSummary', () => {
     it('should generate MIDI summary correctly', () => {
       const midiData = {
@@ -276,7 +1136,10 @@ describe('MIDI Processor', () => {
         duration: '4.57 seconds',
         tracks: 2,
         totalNotes: 3,
-        instruments: 'Piano, Guitar'
+        instruments: 'Piano, Guitar',
+        key: 'C major',
+        tempo: '120 BPM',
+        timeSignature: '4/4'
       })
     })
 
@@ -307,7 +1170,10 @@ describe('MIDI Processor', () => {
         duration: '0 seconds',
         tracks: 0,
         totalNotes: 0,
-        instruments: 'Unknown'
+        instruments: 'Unknown',
+        key: 'Unknown',
+        tempo: 'Unknown',
+        timeSignature: 'Unknown'
       })
     })
   })
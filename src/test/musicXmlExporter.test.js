@@ -0,0 +1,196 @@
+/**
+ * MusicXML Exporter Tests
+ * Tests for MusicXML documents and compressed .mxl archives
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  convertMidiToMusicXML,
+  exportMusicXmlBlob,
+  exportMxlBlob,
+  MUSICXML_MIME_TYPE,
+  MXL_MIME_TYPE
+} from '../services/musicXmlExporter'
+
+/**
+ * Parse an exported document
+ * @param {string} xml - MusicXML document
+ * @returns {Document} Parsed document
+ */
+const parse = (xml) => new DOMParser().parseFromString(xml, 'application/xml')
+
+/**
+ * Get the text of every matching element
+ * @param {Element|Document} root - Where to search
+ * @param {string} selector - CSS selector
+ * @returns {Array<string>} Text contents
+ */
+const texts = (root, selector) => Array.from(root.querySelectorAll(selector), node => node.textContent)
+
+describe('MusicXML Exporter', () => {
+  it('should write a partwise MusicXML 4.0 document', () => {
+    const midiData = {
+      name: 'Test & "Song"',
+      tempos: [{ bpm: 90, time: 0 }],
+      tracks: [
+        {
+          name: 'Melody',
+          instrument: { name: 'violin', number: 40 },
+          notes: [
+            { name: 'C4', midi: 60, duration: 2 / 3, time: 0 },
+            { name: 'F#4', midi: 66, duration: 2 / 3, time: 2 / 3 }
+          ]
+        }
+      ]
+    }
+
+    const xml = convertMidiToMusicXML(midiData, { key: 'D' })
+    const doc = parse(xml)
+
+    expect(xml).toContain('<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN"')
+    expect(doc.querySelector('parsererror')).toBeNull()
+    expect(doc.documentElement.getAttribute('version')).toBe('4.0')
+    expect(texts(doc, 'work-title')).toEqual(['Test & "Song"'])
+    expect(texts(doc, 'score-part part-name')).toEqual(['Melody (violin)'])
+    expect(texts(doc, 'midi-program')).toEqual(['41'])
+    expect(texts(doc, 'attributes divisions')).toEqual(['48'])
+    expect(texts(doc, 'key fifths')).toEqual(['2'])
+    expect(texts(doc, 'time beats')).toEqual(['4'])
+    expect(texts(doc, 'per-minute')).toEqual(['90'])
+
+    const notes = Array.from(doc.querySelectorAll('note:not(:has(rest))'), note => ({
+      step: note.querySelector('step').textContent,
+      alter: note.querySelector('alter')?.textContent,
+      octave: note.querySelector('octave').textContent,
+      type: note.querySelector('type').textContent
+    }))
+    expect(notes).toEqual([
+      { step: 'C', alter: undefined, octave: '4', type: 'quarter' },
+      { step: 'F', alter: '1', octave: '4', type: 'quarter' }
+    ])
+    expect(doc.querySelector('barline bar-style').textContent).toBe('light-heavy')
+  })
+
+  it('should tie notes across barlines and mark chords', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'C4', midi: 60, duration: 1.5, time: 1.5 },
+            { name: 'E4', midi: 64, duration: 1.5, time: 1.5 }
+          ]
+        }
+      ]
+    }
+
+    const doc = parse(convertMidiToMusicXML(midiData))
+    const [first, second] = doc.querySelectorAll('measure')
+    const pitched = (measure) => Array.from(measure.querySelectorAll('note')).filter(note => note.querySelector('pitch'))
+
+    expect(pitched(first).map(note => note.querySelector('chord') !== null)).toEqual([false, true])
+    expect(pitched(first).map(note => note.querySelector('tie').getAttribute('type'))).toEqual(['start', 'start'])
+    expect(pitched(second).map(note => note.querySelector('tie').getAttribute('type'))).toEqual(['stop', 'stop'])
+    expect(second.querySelectorAll('notations tied[type="stop"]')).toHaveLength(2)
+  })
+
+  it('should write grand staff parts with a staff and voice per hand', () => {
+    const midiData = {
+      tracks: [
+        {
+          instrument: { name: 'acoustic grand piano', family: 'piano' },
+          notes: [
+            { name: 'C2', midi: 36, duration: 2, time: 0 },
+            { name: 'E5', midi: 76, duration: 0.5, time: 0 }
+          ]
+        }
+      ]
+    }
+
+    const doc = parse(convertMidiToMusicXML(midiData))
+    const measure = doc.querySelector('measure')
+
+    expect(texts(measure, 'attributes staves')).toEqual(['2'])
+    expect(Array.from(measure.querySelectorAll('clef'), clef => clef.getAttribute('number'))).toEqual(['1', '2'])
+    expect(texts(measure, 'clef sign')).toEqual(['G', 'F'])
+    expect(texts(measure, 'backup duration')).toEqual(['192'])
+
+    const bass = Array.from(measure.querySelectorAll('note')).find(note => note.querySelector('step')?.textContent === 'C')
+    expect(bass.querySelector('staff').textContent).toBe('2')
+    expect(bass.querySelector('voice').textContent).toBe('5')
+  })
+
+  it('should mark triplets with a time modification', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'C4', midi: 60, duration: 1 / 6, time: 0 },
+            { name: 'D4', midi: 62, duration: 1 / 6, time: 1 / 6 },
+            { name: 'E4', midi: 64, duration: 1 / 6, time: 1 / 3 }
+          ]
+        }
+      ]
+    }
+
+    const doc = parse(convertMidiToMusicXML(midiData, { grid: '1/8T' }))
+    const triplet = Array.from(doc.querySelectorAll('note')).slice(0, 3)
+
+    triplet.forEach(note => {
+      expect(note.querySelector('duration').textContent).toBe('16')
+      expect(note.querySelector('time-modification actual-notes').textContent).toBe('3')
+      expect(note.querySelector('time-modification normal-notes').textContent).toBe('2')
+    })
+    expect(triplet[0].querySelector('tuplet').getAttribute('type')).toBe('start')
+    expect(triplet[2].querySelector('tuplet').getAttribute('type')).toBe('stop')
+  })
+
+  it('should end triplets before plain values and at the barline', () => {
+    const midiData = {
+      tracks: [
+        {
+          notes: [
+            { name: 'C4', midi: 60, duration: 1 / 3, time: 0 },
+            { name: 'D4', midi: 62, duration: 2 / 3, time: 1 / 3 },
+            { name: 'E4', midi: 64, duration: 1, time: 1 },
+            { name: 'F4', midi: 65, duration: 1 / 6, time: 2 }
+          ]
+        }
+      ]
+    }
+
+    const doc = parse(convertMidiToMusicXML(midiData, { grid: '1/8T' }))
+    const measures = Array.from(doc.querySelectorAll('part measure'))
+    const tupletTypes = (note) => Array.from(note.querySelectorAll('tuplet'), tuplet => tuplet.getAttribute('type'))
+
+    // Triplet quarter, quarter tied to a triplet eighth, half note
+    expect(Array.from(measures[0].querySelectorAll('note'), tupletTypes))
+      .toEqual([['start', 'stop'], [], ['start', 'stop'], []])
+    measures.forEach(measure => {
+      expect(measure.querySelectorAll('tuplet[type="start"]').length)
+        .toBe(measure.querySelectorAll('tuplet[type="stop"]').length)
+    })
+    // A lone triplet eighth, then the rest of the measure
+    expect(Array.from(measures[1].querySelectorAll('note'), tupletTypes))
+      .toEqual([['start', 'stop'], [], ['start', 'stop']])
+  })
+
+  it('should export uncompressed and compressed files', async () => {
+    const midiData = {
+      tracks: [{ notes: [{ name: 'C4', midi: 60, duration: 0.5, time: 0 }] }]
+    }
+
+    const blob = exportMusicXmlBlob(midiData)
+    expect(blob.type).toBe(MUSICXML_MIME_TYPE)
+    expect(blob.parts[0]).toContain('<score-partwise version="4.0">')
+
+    const archive = await exportMxlBlob(midiData)
+    const bytes = archive.parts[0]
+    const decoder = new TextDecoder()
+    expect(archive.type).toBe(MXL_MIME_TYPE)
+    // The mimetype comes first and uncompressed, so it can be read at a fixed offset
+    expect(decoder.decode(bytes.subarray(30, 38))).toBe('mimetype')
+    expect(decoder.decode(bytes.subarray(38, 38 + MXL_MIME_TYPE.length))).toBe(MXL_MIME_TYPE)
+    expect(decoder.decode(bytes)).toContain('META-INF/container.xml')
+    expect(decoder.decode(bytes)).toContain('score.musicxml')
+  })
+})
@@ -0,0 +1,182 @@
+/**
+ * Score Document Tests
+ * Tests for recorded edit commands, undo/redo and reverting
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  createScoreDocument,
+  createCleanedScoreDocument,
+  getCurrentMidiData,
+  executeCommand,
+  describeCommand,
+  goToPosition,
+  canUndo,
+  canRedo,
+  undo,
+  redo,
+  isModified
+} from '../services/scoreDocument'
+
+describe('Score Document', () => {
+  const midiData = {
+    duration: 1,
+    tracks: [
+      {
+        name: 'Piano',
+        notes: [
+          { name: 'C4', midi: 60, time: 0, duration: 0.5, velocity: 0.8 },
+          { name: 'E4', midi: 64, time: 0.5, duration: 0.5, velocity: 0.8 }
+        ]
+      }
+    ]
+  }
+  const [first, second] = midiData.tracks[0].notes
+  const added = { name: 'G4', midi: 67, time: 1, duration: 0.5, velocity: 0.8 }
+
+  const edit = (scoreDocument, ...commands) => commands.reduce(executeCommand, scoreDocument)
+
+  it('should start at the original transcription', () => {
+    const scoreDocument = createScoreDocument(midiData)
+
+    expect(getCurrentMidiData(scoreDocument)).toBe(midiData)
+    expect(canUndo(scoreDocument)).toBe(false)
+    expect(canRedo(scoreDocument)).toBe(false)
+    expect(isModified(scoreDocument)).toBe(false)
+  })
+
+  it('should record every command with a label', () => {
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'addNote', trackIndex: 0, note: added },
+      { type: 'removeNote', trackIndex: 0, note: second }
+    )
+
+    expect(scoreDocument.entries.map(entry => entry.label)).toEqual(['Add G4', 'Delete E4'])
+    expect(getCurrentMidiData(scoreDocument).tracks[0].notes).toEqual([first, added])
+    expect(isModified(scoreDocument)).toBe(true)
+    expect(midiData.tracks[0].notes).toEqual([first, second])
+  })
+
+  it('should undo and redo, and drop undone commands after a new one', () => {
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'addNote', trackIndex: 0, note: added },
+      { type: 'removeNote', trackIndex: 0, note: first }
+    )
+
+    const undone = undo(undo(scoreDocument))
+    expect(getCurrentMidiData(undone)).toBe(midiData)
+    expect(canUndo(undone)).toBe(false)
+    expect(getCurrentMidiData(redo(undone)).tracks[0].notes).toHaveLength(3)
+    expect(undo(undone)).toBe(undone)
+
+    const branched = executeCommand(redo(undone), { type: 'removeNote', trackIndex: 0, note: second })
+    expect(branched.entries.map(entry => entry.label)).toEqual(['Add G4', 'Delete E4'])
+    expect(canRedo(branched)).toBe(false)
+  })
+
+  it('should jump to any point in the history', () => {
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'addNote', trackIndex: 0, note: added },
+      { type: 'removeNote', trackIndex: 0, note: first }
+    )
+
+    expect(goToPosition(scoreDocument, 1).position).toBe(1)
+    expect(goToPosition(scoreDocument, 10).position).toBe(2)
+    expect(getCurrentMidiData(goToPosition(scoreDocument, 0))).toBe(midiData)
+  })
+
+  it('should describe note changes by what changed', () => {
+    const moved = { ...first, name: 'D4', midi: 62 }
+    const resized = { ...first, duration: 1 }
+    const softer = { ...first, velocity: 0.4 }
+
+    expect(describeCommand({ type: 'replaceNote', note: first, replacement: moved })).toBe('Move C4 to D4')
+    expect(describeCommand({ type: 'replaceNote', note: first, replacement: resized })).toBe('Resize C4')
+    expect(describeCommand({ type: 'replaceNote', note: first, replacement: softer })).toBe('Change velocity of C4')
+    expect(() => describeCommand({ type: 'explode' })).toThrow('Unknown edit command')
+  })
+
+  it('should fold a run of velocity changes on one note into a single entry', () => {
+    const softer = { ...first, velocity: 0.5 }
+    const softest = { ...first, velocity: 0.2 }
+
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'replaceNote', trackIndex: 0, note: first, replacement: softer },
+      { type: 'replaceNote', trackIndex: 0, note: softer, replacement: softest }
+    )
+
+    expect(scoreDocument.entries).toHaveLength(1)
+    expect(scoreDocument.entries[0].command.note).toBe(first)
+    expect(getCurrentMidiData(scoreDocument).tracks[0].notes[0]).toBe(softest)
+  })
+
+  it('should record transpositions', () => {
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'transpose', semitones: 2, target: 'Bb Trumpet' },
+      { type: 'transpose', semitones: -1, tracks: [0] }
+    )
+
+    expect(scoreDocument.entries.map(entry => entry.label)).toEqual([
+      'Transpose up 2 semitones (Bb Trumpet)',
+      'Transpose down 1 semitone'
+    ])
+    expect(getCurrentMidiData(scoreDocument).tracks[0].notes.map(note => note.name)).toEqual(['C#4', 'F4'])
+  })
+
+  it('should record cleanups', () => {
+    const ghost = { name: 'D4', midi: 62, time: 0.5, duration: 0.01, velocity: 0.8 }
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'addNote', trackIndex: 0, note: ghost },
+      { type: 'cleanup', options: { mergeGap: 0 }, removedCount: 1 }
+    )
+
+    expect(scoreDocument.entries[1].label).toBe('Clean up (1 note removed)')
+    expect(getCurrentMidiData(scoreDocument).tracks[0].notes).toEqual([first, second])
+  })
+
+  it('should clean up a new transcription as an undoable step', () => {
+    const ghost = { name: 'D4', midi: 62, time: 0.5, duration: 0.01, velocity: 0.8 }
+    const raw = { ...midiData, tracks: [{ ...midiData.tracks[0], notes: [first, ghost, second] }] }
+
+    const scoreDocument = createCleanedScoreDocument(raw)
+
+    expect(scoreDocument.entries.map(entry => entry.label)).toEqual(['Automatic cleanup (1 note removed)'])
+    expect(getCurrentMidiData(scoreDocument).tracks[0].notes).toEqual([first, second])
+    expect(getCurrentMidiData(undo(scoreDocument))).toBe(raw)
+    expect(createCleanedScoreDocument(midiData).entries).toEqual([])
+  })
+
+  it('should only count the user\'s own changes as modifications of a cleaned transcription', () => {
+    const ghost = { name: 'D4', midi: 62, time: 0.5, duration: 0.01, velocity: 0.8 }
+    const raw = { ...midiData, tracks: [{ ...midiData.tracks[0], notes: [first, ghost, second] }] }
+    const cleaned = createCleanedScoreDocument(raw)
+
+    const edited = executeCommand(cleaned, { type: 'addNote', trackIndex: 0, note: added })
+    const reverted = executeCommand(edited, { type: 'revert' })
+
+    expect(isModified(cleaned)).toBe(false)
+    expect(isModified(edited)).toBe(true)
+    expect(getCurrentMidiData(reverted)).toBe(getCurrentMidiData(cleaned))
+    expect(isModified(reverted)).toBe(false)
+    // Undoing the cleanup itself brings back notes the user did not have
+    expect(isModified(undo(cleaned))).toBe(true)
+  })
+
+  it('should revert to the original as an undoable step', () => {
+    const scoreDocument = edit(
+      createScoreDocument(midiData),
+      { type: 'addNote', trackIndex: 0, note: added },
+      { type: 'revert' }
+    )
+
+    expect(getCurrentMidiData(scoreDocument)).toBe(midiData)
+    expect(isModified(scoreDocument)).toBe(false)
+    expect(getCurrentMidiData(undo(scoreDocument)).tracks[0].notes).toHaveLength(3)
+  })
+})
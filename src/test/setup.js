@@ -3,31 +3,75 @@
  * Sets up testing environment for React components
  */
 
+import { vi } from 'vitest'
 import '@testing-library/jest-dom'
 
 // Mock the Web Audio API and other browser APIs that aren't available in jsdom
+const createMockAudioParam = (value) => ({
+  value,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn()
+})
+
 global.AudioContext = class MockAudioContext {
   constructor() {
     this.state = 'running'
     this.sampleRate = 44100
+    this.currentTime = 0
   }
   
   createOscillator() {
     return {
+      type: 'sine',
       connect: () => {},
-      start: () => {},
-      stop: () => {},
-      frequency: { value: 440 }
+      disconnect: () => {},
+      start: vi.fn(),
+      stop: vi.fn(),
+      frequency: createMockAudioParam(440)
     }
   }
   
   createGain() {
     return {
       connect: () => {},
-      gain: { value: 1 }
+      disconnect: () => {},
+      gain: createMockAudioParam(1)
+    }
+  }
+  
+  createBufferSource() {
+    return {
+      buffer: null,
+      connect: () => {},
+      disconnect: () => {},
+      start: vi.fn(),
+      stop: vi.fn(),
+      playbackRate: createMockAudioParam(1)
     }
   }
   
+  decodeAudioData() {
+    return Promise.resolve({
+      duration: 0,
+      length: 0,
+      sampleRate: this.sampleRate,
+      numberOfChannels: 1,
+      getChannelData: () => new Float32Array(0)
+    })
+  }
+  
+  resume() {
+    this.state = 'running'
+    return Promise.resolve()
+  }
+  
+  close() {
+    this.state = 'closed'
+    return Promise.resolve()
+  }
+  
   get destination() {
     return { connect: () => {} }
   }
@@ -49,6 +93,10 @@ global.File = class MockFile {
     this.size = bits.reduce((acc, bit) => acc + (bit.length || bit.size || 0), 0)
     this.lastModified = Date.now()
   }
+  
+  arrayBuffer() {
+    return Promise.resolve(new ArrayBuffer(this.size))
+  }
 }
 
 // Mock Blob
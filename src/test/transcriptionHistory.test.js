@@ -0,0 +1,127 @@
+/**
+ * Transcription History Tests
+ * Tests for saving, renaming and deleting transcriptions in IndexedDB
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb'
+import { createTranscriptionHistory, getHistoryFilename } from '../services/transcriptionHistory'
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem and setItem
+ */
+const createStorage = () => {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value))
+  }
+}
+
+const createTranscription = (sourceName) => ({
+  sourceName,
+  midiFile: new Blob(['midi'], { type: 'audio/midi' }),
+  filename: sourceName.replace(/\.\w+$/, '.mid'),
+  summary: { totalNotes: 12, duration: '4 seconds' },
+  settings: { instrument: 'piano' },
+  audioFile: new File(['audio'], sourceName, { type: 'audio/wav' })
+})
+
+describe('Transcription History', () => {
+  let indexedDB
+  let storage
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory()
+    storage = createStorage()
+  })
+
+  it('should keep saved transcriptions across sessions, newest first', async () => {
+    const first = createTranscriptionHistory({ indexedDB, storage })
+    await first.add(createTranscription('verse.wav'))
+    await first.add(createTranscription('chorus.wav'))
+    first.dispose()
+
+    const second = createTranscriptionHistory({ indexedDB, storage })
+    await second.load()
+
+    const { entries } = second.getState()
+    expect(entries.map(entry => entry.name)).toEqual(['chorus.wav', 'verse.wav'])
+    expect(entries[0]).toMatchObject({
+      sourceName: 'chorus.wav',
+      filename: 'chorus.mid',
+      summary: { totalNotes: 12, duration: '4 seconds' },
+      settings: { instrument: 'piano' },
+      createdAt: expect.any(Number)
+    })
+    expect(entries[0].midiFile.type).toBe('audio/midi')
+    second.dispose()
+  })
+
+  it('should only keep the original audio when asked to', async () => {
+    const history = createTranscriptionHistory({ indexedDB, storage })
+
+    const withoutAudio = await history.add(createTranscription('take1.wav'))
+    history.setKeepAudio(true)
+    const withAudio = await history.add(createTranscription('take2.wav'))
+
+    expect(withoutAudio.audioFile).toBeNull()
+    expect(withAudio.audioFile.name).toBe('take2.wav')
+    expect(createTranscriptionHistory({ indexedDB, storage }).getState().keepAudio).toBe(true)
+    history.dispose()
+  })
+
+  it('should rename and delete entries', async () => {
+    const history = createTranscriptionHistory({ indexedDB, storage })
+    const listener = vi.fn()
+    history.subscribe(listener)
+    const verse = await history.add(createTranscription('verse.wav'))
+    const chorus = await history.add(createTranscription('chorus.wav'))
+
+    await history.rename(verse.id, '  Verse idea  ')
+    await history.remove(chorus.id)
+
+    const reloaded = createTranscriptionHistory({ indexedDB, storage })
+    await reloaded.load()
+    expect(reloaded.getState().entries.map(entry => entry.name)).toEqual(['Verse idea'])
+    expect(listener).toHaveBeenCalledTimes(4)
+
+    await history.rename(verse.id, '')
+    expect(history.getState().entries[0].name).toBe('verse.wav')
+    history.dispose()
+    reloaded.dispose()
+  })
+
+  it('should report storage that is full', async () => {
+    const history = createTranscriptionHistory({ indexedDB, storage })
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const quotaError = new DOMException('Quota exceeded', 'QuotaExceededError')
+    vi.spyOn(IDBObjectStore.prototype, 'add').mockImplementationOnce(() => {
+      throw quotaError
+    })
+
+    const entry = await history.add(createTranscription('long.wav'))
+
+    expect(entry).toBeNull()
+    expect(history.getState().entries).toEqual([])
+    expect(history.getState().error).toMatch(/"long.wav" could not be saved.*out of storage space/)
+    consoleSpy.mockRestore()
+    history.dispose()
+  })
+
+  it('should be unavailable without IndexedDB', async () => {
+    const history = createTranscriptionHistory({ indexedDB: null, storage })
+
+    expect(history.getState().isAvailable).toBe(false)
+    expect(await history.add(createTranscription('song.wav'))).toBeNull()
+  })
+
+  it('should download renamed entries under their new name', () => {
+    const entry = { name: 'song.wav', sourceName: 'song.wav', filename: 'song_basic_pitch.mid' }
+
+    expect(getHistoryFilename(entry)).toBe('song_basic_pitch.mid')
+    expect(getHistoryFilename({ ...entry, name: 'Bridge v2' })).toBe('Bridge v2.mid')
+    expect(getHistoryFilename({ ...entry, name: 'bridge.MIDI' })).toBe('bridge.MIDI')
+  })
+})
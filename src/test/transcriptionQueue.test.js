@@ -0,0 +1,152 @@
+/**
+ * Transcription Queue Tests
+ * Tests for batch transcription scheduling, retries and the results archive
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { createTranscriptionQueue, createResultsArchive } from '../services/transcriptionQueue'
+
+/**
+ * Stand-in for transcribeAudio whose calls are finished by the test
+ * @returns {{transcribe: Function, calls: Array}} Transcribe function and its pending calls
+ */
+const createControlledTranscribe = () => {
+  const calls = []
+  const transcribe = vi.fn((file, options) => new Promise(resolve => {
+    const call = { file, options, resolve }
+    options.signal.addEventListener('abort', () => {
+      resolve({ success: false, error: 'Transcription cancelled', cancelled: true })
+    })
+    calls.push(call)
+  }))
+  return { transcribe, calls }
+}
+
+const createFile = (name) => new File(['audio'], name, { type: 'audio/wav' })
+
+const succeed = (call) => call.resolve({
+  success: true,
+  midiFile: new Blob(['midi'], { type: 'audio/midi' }),
+  filename: call.file.name.replace(/\.\w+$/, '.mid')
+})
+
+// Let finished transcriptions update the queue
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+const statuses = (queue) => queue.getState().items.map(item => item.status)
+
+describe('Transcription Queue', () => {
+  it('should transcribe a few files at a time, oldest first', async () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe, concurrency: 2 })
+
+    queue.add(['a.wav', 'b.wav', 'c.wav'].map(createFile), { instrument: 'guitar' })
+
+    expect(calls.map(call => call.file.name)).toEqual(['a.wav', 'b.wav'])
+    expect(calls[0].options.settings).toEqual({ instrument: 'guitar' })
+    expect(statuses(queue)).toEqual(['uploading', 'uploading', 'queued'])
+
+    succeed(calls[0])
+    await settle()
+
+    expect(calls.map(call => call.file.name)).toEqual(['a.wav', 'b.wav', 'c.wav'])
+    expect(statuses(queue)).toEqual(['done', 'uploading', 'uploading'])
+    expect(queue.getState().items[0].filename).toBe('a.mid')
+  })
+
+  it('should follow the progress of each file', () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe })
+    const listener = vi.fn()
+    queue.subscribe(listener)
+
+    queue.add([createFile('a.wav')])
+    calls[0].options.onProgress({ phase: 'uploading', loaded: 1, total: 4 })
+    expect(queue.getState().items[0]).toMatchObject({ status: 'uploading', progress: { loaded: 1, total: 4 } })
+
+    calls[0].options.onProgress({ phase: 'transcribing', percent: 60 })
+    expect(queue.getState().items[0]).toMatchObject({ status: 'transcribing', progress: { percent: 60 } })
+    expect(listener).toHaveBeenLastCalledWith(queue.getState())
+  })
+
+  it('should retry failed files', async () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe })
+
+    const [first, second] = queue.add([createFile('a.wav'), createFile('b.wav')])
+    calls[0].resolve({ success: false, error: 'Internal server error' })
+    calls[1].resolve({ success: false, error: 'Network error occurred' })
+    await settle()
+
+    expect(statuses(queue)).toEqual(['failed', 'failed'])
+    expect(queue.getState().items[0].error).toBe('Internal server error')
+
+    queue.retry(first)
+    expect(statuses(queue)).toEqual(['uploading', 'failed'])
+    expect(queue.getState().items[0].error).toBeNull()
+
+    queue.retryFailed()
+    expect(statuses(queue)).toEqual(['uploading', 'uploading'])
+    expect(calls).toHaveLength(4)
+    expect(queue.getState().items[1].id).toBe(second)
+  })
+
+  it('should cancel running files when they are removed', async () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe, concurrency: 1 })
+
+    const [first] = queue.add([createFile('a.wav'), createFile('b.wav')])
+    queue.remove(first)
+    await settle()
+
+    expect(calls[0].options.signal.aborted).toBe(true)
+    expect(queue.getState().items.map(item => item.file.name)).toEqual(['b.wav'])
+    expect(statuses(queue)).toEqual(['uploading'])
+  })
+
+  it('should start more files when the concurrency goes up', () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe, concurrency: 1 })
+
+    queue.add(['a.wav', 'b.wav', 'c.wav', 'd.wav', 'e.wav', 'f.wav'].map(createFile))
+    expect(calls).toHaveLength(1)
+
+    queue.setConcurrency(3)
+    expect(calls).toHaveLength(3)
+
+    queue.setConcurrency(10)
+    expect(queue.getState().concurrency).toBe(4)
+    expect(calls).toHaveLength(4)
+  })
+
+  it('should clear finished files', async () => {
+    const { transcribe, calls } = createControlledTranscribe()
+    const queue = createTranscriptionQueue({ transcribe })
+
+    queue.add([createFile('a.wav'), createFile('b.wav')])
+    succeed(calls[0])
+    await settle()
+    queue.clearFinished()
+
+    expect(queue.getState().items.map(item => item.file.name)).toEqual(['b.wav'])
+  })
+
+  it('should pack the results with unique names', async () => {
+    const midiFile = new Blob(['midi'], { type: 'audio/midi' })
+    const items = [
+      { status: 'done', filename: 'take.mid', midiFile },
+      { status: 'failed', filename: null, midiFile: null },
+      { status: 'done', filename: 'Take.mid', midiFile },
+      { status: 'done', filename: 'take.mid', midiFile }
+    ]
+
+    const archive = await createResultsArchive(items)
+    const text = new TextDecoder().decode(archive.parts[0])
+
+    expect(archive.type).toBe('application/zip')
+    // Each name is written twice: in the file's header and in the central directory
+    expect(text.match(/take\.mid/gi)).toHaveLength(2)
+    expect(text.match(/Take \(2\)\.mid/g)).toHaveLength(2)
+    expect(text.match(/take \(3\)\.mid/g)).toHaveLength(2)
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * VexFlow Layout Tests
+ * Tests for breaking scores into systems and pages
+ */
+
+import { describe, it, expect } from 'vitest'
+import { convertMidiToVexFlow } from '../services/midiProcessor'
+import { SYSTEMS_PER_PAGE, createMeasureVoice, layoutSystems, paginateSystems } from '../services/vexFlowLayout'
+
+// Width left for measures in the default 800 pixel viewer
+const WIDTH = 780
+
+/**
+ * Build the staves of a one-part score
+ * @param {Array} notes - MIDI notes, at the default 120 BPM (0.5 seconds a beat)
+ * @returns {Array} Staves as the viewer lays them out
+ */
+const getStaves = (notes) => convertMidiToVexFlow({ tracks: [{ notes }] })[0].staves
+
+/**
+ * Whole notes, one per measure
+ * @param {number} count - Number of measures
+ * @returns {Array} MIDI notes
+ */
+const wholeNotes = (count) => Array.from({ length: count }, (_, index) => (
+  { name: 'C4', midi: 60, time: index * 2, duration: 2 }
+))
+
+const getSystemWidth = (system) => system.measures.reduce((sum, measure) => sum + measure.width, 0)
+
+describe('VexFlow Layout', () => {
+  describe('createMeasureVoice', () => {
+    it('should fill the measure exactly when triplet groups are cut short', () => {
+      const measure = {
+        beat: 0,
+        beats: 4,
+        timeSignature: '4/4',
+        keySignature: 'C',
+        notes: [
+          { keys: ['C/4'], duration: '8', beat: 0, tuplet: true, tie: false },
+          { keys: ['B/4'], duration: 'qr', beat: 1 / 3, rest: true, tuplet: true, tie: false },
+          { keys: ['D/4'], duration: 'q', beat: 1, tie: false },
+          { keys: ['E/4'], duration: '8', beat: 2, tuplet: true, tie: false },
+          { keys: ['F/4'], duration: 'q', beat: 7 / 3, tuplet: true, tie: false },
+          { keys: ['G/4'], duration: 'q', beat: 3, tie: false }
+        ]
+      }
+
+      const { voice, tuplets } = createMeasureVoice(measure, 'treble')
+
+      expect(tuplets).toHaveLength(2)
+      expect(voice.getTicksUsed().value()).toBe(voice.getTotalTicks().value())
+    })
+  })
+
+  describe('layoutSystems', () => {
+    it('should keep a short score on one system with its natural spacing', () => {
+      const systems = layoutSystems(getStaves(wholeNotes(2)), WIDTH)
+
+      expect(systems).toHaveLength(1)
+      expect(systems[0].measures.map(measure => measure.index)).toEqual([0, 1])
+      expect(getSystemWidth(systems[0])).toBeLessThan(WIDTH)
+    })
+
+    it('should wrap measures onto systems that fill the width', () => {
+      const systems = layoutSystems(getStaves(wholeNotes(40)), WIDTH)
+
+      expect(systems.length).toBeGreaterThan(1)
+      // Every measure is laid out once, in order
+      expect(systems.flatMap(system => system.measures.map(measure => measure.index)))
+        .toEqual(Array.from({ length: 40 }, (_, index) => index))
+      systems.slice(0, -1).forEach(system => {
+        expect(getSystemWidth(system)).toBeCloseTo(WIDTH)
+      })
+      expect(getSystemWidth(systems[systems.length - 1])).toBeLessThanOrEqual(WIDTH + 1e-6)
+    })
+
+    it('should add the clef and key signature to the first measure of each system', () => {
+      const systems = layoutSystems(getStaves(wholeNotes(40)), WIDTH)
+
+      systems.forEach(({ headerWidth, measures: [first, second] }) => {
+        expect(first.width).toBeCloseTo(second.width + headerWidth)
+      })
+    })
+
+    it('should give busy measures more room', () => {
+      const measure = (beat, notes) => ({ beat, beats: 4, timeSignature: '4/4', keySignature: 'C', notes })
+      const staff = {
+        clef: 'treble',
+        measures: [
+          measure(0, [{ keys: ['C/4'], duration: 'w', beat: 0, tie: false }]),
+          measure(4, Array.from({ length: 32 }, (_, index) => (
+            { keys: ['D/4'], duration: '32', beat: 4 + index / 8, tie: false }
+          ))),
+          measure(8, [{ keys: ['E/4'], duration: 'w', beat: 8, tie: false }])
+        ]
+      }
+
+      const [system] = layoutSystems([staff], WIDTH)
+      const [, busy, sparse] = system.measures
+
+      expect(busy.width).toBeGreaterThan(sparse.width)
+    })
+  })
+
+  describe('paginateSystems', () => {
+    it('should start a new page every SYSTEMS_PER_PAGE systems', () => {
+      const systems = Array.from({ length: SYSTEMS_PER_PAGE * 2 + 2 }, (_, index) => ({ index }))
+
+      const pages = paginateSystems(systems)
+
+      expect(pages.map(page => page.length)).toEqual([SYSTEMS_PER_PAGE, SYSTEMS_PER_PAGE, 2])
+      expect(pages[1][0]).toBe(systems[SYSTEMS_PER_PAGE])
+      expect(paginateSystems([])).toEqual([])
+    })
+
+    it('should break a long score onto pages', () => {
+      const systems = layoutSystems(getStaves(wholeNotes(120)), WIDTH)
+
+      const pages = paginateSystems(systems)
+
+      expect(systems.length).toBeGreaterThan(SYSTEMS_PER_PAGE)
+      expect(pages).toHaveLength(Math.ceil(systems.length / SYSTEMS_PER_PAGE))
+      expect(pages.flat()).toEqual(systems)
+    })
+  })
+})
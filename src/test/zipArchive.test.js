@@ -0,0 +1,84 @@
+/**
+ * ZIP Archive Tests
+ * Tests for the checksum and the archive layout
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createZipArchive, crc32 } from '../services/zipArchive'
+
+/**
+ * Read the entries of an archive through its central directory
+ * @param {Uint8Array} bytes - Archive
+ * @returns {Array} Entries ({ name, method, crc, size, data })
+ */
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+  const end = bytes.length - 22
+  expect(view.getUint32(end, true)).toBe(0x06054b50)
+
+  const count = view.getUint16(end + 10, true)
+  let offset = view.getUint32(end + 16, true)
+  return Array.from({ length: count }, () => {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50)
+    const method = view.getUint16(offset + 10, true)
+    const crc = view.getUint32(offset + 16, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const size = view.getUint32(offset + 24, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    offset += 46 + nameLength
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50)
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true)
+    return { name, method, crc, size, data: bytes.subarray(dataStart, dataStart + compressedSize) }
+  })
+}
+
+/**
+ * Get the contents of an entry, inflating it when compressed
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Promise<string>} Contents
+ */
+const readZipEntry = async (entry) => {
+  if (entry.method === 0) {
+    return new TextDecoder().decode(entry.data)
+  }
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(entry.data)
+      controller.close()
+    }
+  }).pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Response(stream).text()
+}
+
+describe('ZIP Archive', () => {
+  it('should compute CRC-32 checksums', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+    expect(crc32(new Uint8Array(0))).toBe(0)
+  })
+
+  it('should store the files in order, compressing the ones that shrink', async () => {
+    const text = 'la '.repeat(500)
+
+    const blob = await createZipArchive([
+      { name: 'mimetype', data: 'application/test', compress: false },
+      { name: 'folder/notes.txt', data: text },
+      { name: 'tiny.bin', data: new Uint8Array([1, 2, 3]) }
+    ], { type: 'application/test' })
+    const entries = readZipEntries(blob.parts[0])
+
+    expect(blob.type).toBe('application/test')
+    expect(entries.map(entry => [entry.name, entry.method])).toEqual([
+      ['mimetype', 0],
+      ['folder/notes.txt', 8],
+      ['tiny.bin', 0]
+    ])
+    expect(entries[1].data.length).toBeLessThan(text.length)
+    expect(await readZipEntry(entries[1])).toBe(text)
+    expect(entries[1].crc).toBe(crc32(new TextEncoder().encode(text)))
+    expect(Array.from(entries[2].data)).toEqual([1, 2, 3])
+  })
+})